@@ -1,31 +1,58 @@
-const CONTRACT_ADDRESS = '0x458b5219aaab5b803706d1af739570cdcdd0fab4';
-const CONTRACT_ABI = [
-    // Write Functions
-    "function reportLost(string memory _title, string memory _description, string memory _ipfsCid) public",
-    "function reportFound(string memory _title, string memory _description, string memory _ipfsCid) public",
-    
-    // View Functions   
-    "function getItemCount() public view returns (uint256)",
-    "function getItem(uint256 _itemId) view returns (uint256 id, address reporter, bool isLost, string memory title, string memory description, string memory ipfsCid)",
-    "function matchedItem(uint256) view returns (uint256)", // Getter for mapping matchedItem
-    
-    // Events
-    "event ItemReported(uint256 indexed itemId, address indexed reporter, bool isLost, string title, string ipfsCid)",
-    "event MatchFound(uint256 indexed itemId1, uint256 indexed itemId2)"
-];
-
-const BACKEND_URL = 'http://localhost:3000'; 
+// Served by the backend in normal use; opened as a file it falls back to a local dev server.
+const BACKEND_URL = window.location.protocol.startsWith('http') ? window.location.origin : 'http://localhost:3000';
+// On a multi-tenant server each venue's pages live under /t/<id>/, with its API under /api/t/<id>/.
+const TENANT = (/^\/t\/([^/]+)/.exec(window.location.pathname) || [])[1] || null;
+const API_URL = TENANT ? `${API_URL}/t/${TENANT}` : `${API_URL}`;
+const MAX_PHOTOS = 5;
+const METADATA_FIELD_IDS = ['itemCategory', 'itemColours', 'itemBrand', 'itemLocation', 'itemLat', 'itemLng', 'itemDate'];
 
 
 let provider;
 let signer;
 let contract;
+let publicConfigPromise;
 
 const connectWalletButton = document.getElementById('connectWalletButton');
 const walletStatus = document.getElementById('walletStatus');
 const messageArea = document.getElementById('message');
 const submitButton = document.getElementById('submitButton');
 
+// Contract address, ABI and network come from the backend so both always use the same contract.
+function loadPublicConfig() {
+    if (!publicConfigPromise) {
+        publicConfigPromise = fetch(`${API_URL}/config/public`)
+            .then(res => {
+                if (!res.ok) throw new Error(`Server error ${res.status}`);
+                return res.json();
+            })
+            .catch(error => {
+                publicConfigPromise = null;
+                throw error;
+            });
+    }
+    return publicConfigPromise;
+}
+
+// Switches the wallet to the backend's chain, adding the chain first if the wallet doesn't know it.
+async function ensureChain(network) {
+    try {
+        await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: network.chainIdHex }] });
+    } catch (error) {
+        // 4902: the wallet has no such chain yet.
+        if (error.code !== 4902) throw error;
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: network.chainIdHex,
+                chainName: network.label,
+                nativeCurrency: { name: network.currency, symbol: network.currency, decimals: 18 },
+                rpcUrls: [network.rpcUrl],
+                ...(network.explorerUrl && { blockExplorerUrls: [network.explorerUrl] })
+            }]
+        });
+    }
+}
+
 // 1. Wallet Connection Handler
 async function connectWallet() {
     messageArea.textContent = 'Connecting...';
@@ -35,12 +62,14 @@ async function connectWallet() {
     }
 
     try {
+        const config = await loadPublicConfig();
         await window.ethereum.request({ method: 'eth_requestAccounts' });
+        await ensureChain(config.network);
 
         provider = new ethers.BrowserProvider(window.ethereum);
         signer = await provider.getSigner();
 
-        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+        contract = new ethers.Contract(config.contractAddress, config.contractAbi, signer);
 
         const address = await signer.getAddress();
         walletStatus.textContent = `Connected: ${address.substring(0, 6)}...${address.substring(38)}`;
@@ -52,7 +81,7 @@ async function connectWallet() {
 
     } catch (error) {
         console.error("Wallet connection failed:", error);
-        messageArea.textContent = 'Connection failed. Ensure you are on the Filecoin network (e.g., Calibration Testnet).';
+        messageArea.textContent = `Connection failed: ${error.message}. Approve the network switch in your wallet and try again.`;
         walletStatus.textContent = 'Wallet not connected.';
         submitButton.disabled = true;
     }
@@ -62,22 +91,146 @@ async function connectWallet() {
 async function pinImageToIPFS(imageFile) {
     if (!imageFile) return '';
 
-    messageArea.textContent = '1/2: Uploading image to Filecoin/IPFS via backend...';
-    
     const formData = new FormData();
     formData.append("file", imageFile);
 
-    const res = await fetch(`${BACKEND_URL}/api/pin-image`, {
+    const res = await fetch(`${API_URL}/pin-image`, {
         method: "POST",
         body: formData,
     });
 
+    const resData = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(resData.error || `IPFS pin failed with status: ${res.status}`);
+    }
+
+    // The backend strips EXIF/GPS metadata and also pins a thumbnail (resData.thumbnailCid).
+    return resData.cid;
+}
+
+// 2b. Item Metadata (structured fields + photo CIDs, stored as one JSON document)
+function readMetadataFields() {
+    const label = document.getElementById('itemLocation').value.trim();
+    const lat = document.getElementById('itemLat').value;
+    const lng = document.getElementById('itemLng').value;
+    const date = document.getElementById('itemDate').value;
+
+    return {
+        category: document.getElementById('itemCategory').value || null,
+        colours: document.getElementById('itemColours').value.split(',').map(colour => colour.trim()).filter(Boolean),
+        brand: document.getElementById('itemBrand').value.trim() || null,
+        location: label || lat || lng
+            ? { label: label || null, lat: lat === '' ? null : Number(lat), lng: lng === '' ? null : Number(lng) }
+            : null,
+        // datetime-local values have no zone; Date reads them as the reporter's local time.
+        occurredAt: date ? new Date(date).toISOString() : null
+    };
+}
+
+async function pinItemMetadata(metadata) {
+    const res = await fetch(`${API_URL}/item-metadata`, {
+        method: "POST",
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(metadata),
+    });
+
+    const resData = await res.json().catch(() => ({}));
     if (!res.ok) {
-        throw new Error(`IPFS pin failed with status: ${res.status}`);
+        throw new Error(resData.error || `Saving item details failed with status: ${res.status}`);
+    }
+    return resData.cid;
+}
+
+// Uploads each photo, then the metadata document. Returns the document's CID for the contract's ipfsCid.
+async function storeItemDetails(imageFiles) {
+    const photos = [];
+    for (const [index, imageFile] of imageFiles.entries()) {
+        messageArea.textContent = `1/3: Uploading photo ${index + 1} of ${imageFiles.length} to Filecoin/IPFS via backend...`;
+        photos.push(await pinImageToIPFS(imageFile));
     }
+    messageArea.textContent = '2/3: Saving item details...';
+    return pinItemMetadata({ ...readMetadataFields(), photos });
+}
 
-    const resData = await res.json();
-    return resData.IpfsHash;
+// 2c. Private verification questions (lost reports only). Only hashes of the answers are stored.
+function readVerificationQuestions() {
+    const answers = [...document.querySelectorAll('.verification-answer')];
+    return [...document.querySelectorAll('.verification-question')]
+        .map((input, index) => ({ question: input.value.trim(), answer: answers[index].value.trim() }))
+        .filter(entry => entry.question || entry.answer);
+}
+
+// The questions are saved for your address, so the backend needs a wallet sign-in first.
+async function signInWithWallet() {
+    const address = (await signer.getAddress()).toLowerCase();
+    const session = await fetch(`${API_URL}/auth/me`, { credentials: 'include' }).then(res => res.json());
+    if (session.wallet === address) return;
+
+    const challengeRes = await fetch(`${API_URL}/auth/wallet/challenge`, {
+        method: "POST",
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address }),
+    });
+    const challenge = await challengeRes.json();
+    if (!challengeRes.ok) {
+        throw new Error(challenge.error || 'Failed to start wallet sign-in.');
+    }
+
+    const signature = await signer.signMessage(challenge.message);
+    const verifyRes = await fetch(`${API_URL}/auth/wallet/verify`, {
+        method: "POST",
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: challenge.message, signature }),
+    });
+    if (!verifyRes.ok) {
+        const resData = await verifyRes.json().catch(() => ({}));
+        throw new Error(resData.error || 'Wallet sign-in failed.');
+    }
+}
+
+// Stored against the metadata CID: the item ID only exists once the report is on-chain.
+async function saveVerificationQuestions(cid, questions) {
+    await signInWithWallet();
+    const res = await fetch(`${API_URL}/verification-details`, {
+        method: "PUT",
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cid, questions }),
+    });
+
+    const resData = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(resData.error || `Saving verification questions failed with status: ${res.status}`);
+    }
+}
+
+function resetReportForm() {
+    ['itemTitle', 'itemDescription', 'itemImage', ...METADATA_FIELD_IDS].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.querySelectorAll('.verification-question, .verification-answer').forEach(input => {
+        input.value = '';
+    });
+}
+
+function useCurrentLocation() {
+    if (!navigator.geolocation) {
+        messageArea.textContent = 'Location is not available in this browser. Enter the coordinates by hand.';
+        return;
+    }
+    messageArea.textContent = 'Getting your location...';
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            document.getElementById('itemLat').value = position.coords.latitude.toFixed(6);
+            document.getElementById('itemLng').value = position.coords.longitude.toFixed(6);
+            messageArea.textContent = 'Location filled in.';
+        },
+        error => {
+            messageArea.textContent = `Could not get your location: ${error.message}`;
+        }
+    );
 }
 
 
@@ -85,12 +238,21 @@ async function pinImageToIPFS(imageFile) {
 async function submitLostReport() {
     const title = document.getElementById('itemTitle').value;
     const description = document.getElementById('itemDescription').value;
-    const imageFile = document.getElementById('itemImage').files[0];
+    const imageFiles = [...document.getElementById('itemImage').files];
+    const questions = readVerificationQuestions();
 
     if (!title || !description) {
         messageArea.textContent = 'Please provide both a title and a description.';
         return;
     }
+    if (questions.some(entry => !entry.question || !entry.answer)) {
+        messageArea.textContent = 'Each verification question needs an answer, and each answer a question.';
+        return;
+    }
+    if (imageFiles.length > MAX_PHOTOS) {
+        messageArea.textContent = `Please choose at most ${MAX_PHOTOS} photos.`;
+        return;
+    }
     if (!contract) {
         messageArea.textContent = 'Error: Wallet not connected or contract not initialized.';
         return;
@@ -100,16 +262,13 @@ async function submitLostReport() {
     submitButton.textContent = 'Submitting...';
     messageArea.textContent = 'Processing...';
 
-    let ipfsCid = '';
-
     try {
-        if (imageFile) {
-            ipfsCid = await pinImageToIPFS(imageFile);
-            messageArea.textContent = `2/2: Image pinned (CID: ${ipfsCid}). Sending transaction to FEVM...`;
-        } else {
-             messageArea.textContent = `1/1: No image to pin. Sending transaction to FEVM...`;
+        const ipfsCid = await storeItemDetails(imageFiles);
+        if (questions.length) {
+            messageArea.textContent = '2/3: Saving your private verification questions (sign in with your wallet if asked)...';
+            await saveVerificationQuestions(ipfsCid, questions);
         }
-        
+        messageArea.textContent = `3/3: Item details saved (CID: ${ipfsCid}). Sending transaction to FEVM...`;
 
         const tx = await contract.reportLost(title, description, ipfsCid);
         
@@ -117,9 +276,7 @@ async function submitLostReport() {
 
         messageArea.textContent = `Report successful! Tx Hash: ${receipt.hash}`;
         
-        document.getElementById('itemTitle').value = '';
-        document.getElementById('itemDescription').value = '';
-        document.getElementById('itemImage').value = '';
+        resetReportForm();
 
     } catch (error) {
         console.error("Transaction Error:", error);
@@ -136,12 +293,16 @@ async function submitLostReport() {
 async function submitFoundReport() {
     const title = document.getElementById('itemTitle').value;
     const description = document.getElementById('itemDescription').value;
-    const imageFile = document.getElementById('itemImage').files[0];
+    const imageFiles = [...document.getElementById('itemImage').files];
 
     if (!title || !description) {
         messageArea.textContent = 'Please provide both a title and a description.';
         return;
     }
+    if (imageFiles.length > MAX_PHOTOS) {
+        messageArea.textContent = `Please choose at most ${MAX_PHOTOS} photos.`;
+        return;
+    }
     if (!contract) {
         messageArea.textContent = 'Error: Wallet not connected or contract not initialized.';
         return;
@@ -151,25 +312,17 @@ async function submitFoundReport() {
     submitButton.textContent = 'Submitting Found Item...';
     messageArea.textContent = 'Processing...';
 
-    let ipfsCid = '';
-
     try {
-        if (imageFile) {
-            ipfsCid = await pinImageToIPFS(imageFile);
-            messageArea.textContent = `2/2: Image pinned (CID: ${ipfsCid}). Sending 'Found' transaction to FEVM...`;
-        } else {
-            messageArea.textContent = `1/1: No image to pin. Sending 'Found' transaction to FEVM...`;
-        }
-        
+        const ipfsCid = await storeItemDetails(imageFiles);
+        messageArea.textContent = `3/3: Item details saved (CID: ${ipfsCid}). Sending 'Found' transaction to FEVM...`;
+
         const tx = await contract.reportFound(title, description, ipfsCid);
         
         const receipt = await tx.wait(); 
 
         messageArea.textContent = `Found Item Report successful! Tx Hash: ${receipt.hash}`;
         
-        document.getElementById('itemTitle').value = '';
-        document.getElementById('itemDescription').value = '';
-        document.getElementById('itemImage').value = '';
+        resetReportForm();
 
     } catch (error) {
         console.error("Found Item Transaction Error:", error);
@@ -204,6 +357,7 @@ function setupSubmitHandler() {
 
 document.addEventListener('DOMContentLoaded', () => {
     connectWalletButton.addEventListener('click', connectWallet);
+    document.getElementById('useLocationButton').addEventListener('click', useCurrentLocation);
     
     setupSubmitHandler();
 
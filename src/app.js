@@ -0,0 +1,2070 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const multer = require('multer');
+const cors = require('cors');
+const path = require('path');
+const { ethers } = require('ethers');
+const { openDatabase } = require('./db');
+const { createItemIndex } = require('./itemIndex');
+const { createCandidateStore } = require('./matchCandidates');
+const { createMatcher } = require('./matchers');
+const { createReviewQueue } = require('./matchReview');
+const { createConfirmationStore } = require('./matchConfirmation');
+const { createHandoverStore } = require('./handover');
+const { createDuplicateStore } = require('./duplicates');
+const { createBlocklist } = require('./blocklist');
+const { assignOneToOne } = require('./assignment');
+const { createRunStore, createEngineQueue } = require('./engineRuns');
+const { createTxManager } = require('./txManager');
+const {
+    createPassport,
+    requireRole,
+    requireWallet,
+    createUserStore,
+    createWalletAuth,
+    createSessionStore,
+    ROLES,
+    NO_ROLE
+} = require('./auth');
+const { createImageCache, detectMimeType, isValidCid } = require('./imageCache');
+const { processUpload, UploadError } = require('./imageUpload');
+const { createUploadStore } = require('./uploads');
+const { createStorageProvider } = require('./storage');
+const { createEventBus } = require('./events');
+const { rateLimit, createRateLimiters } = require('./rateLimit');
+const { createLogger, withLogContext } = require('./logger');
+const { createMetrics, createMetricsHandler } = require('./metrics');
+const { buildExport, toCsv, EXPORT_DATASETS, EXPORT_FORMATS } = require('./dataExport');
+const { createMetadataResolver, validateMetadata, MetadataError } = require('./itemMetadata');
+const { createPrefilter } = require('./matchers/prefilter');
+const { detectInjection, withInjectionSignals } = require('./matchers/injection');
+const {
+    createNotifier,
+    createNotificationStore,
+    createEmailChannel,
+    createWebhookChannel,
+    checkWebhookTarget,
+    buildPreferencesMessage,
+    NOTIFICATION_EVENTS
+} = require('./notifications');
+const { publicConfig } = require('./config');
+const { CONTRACT_ABI } = require('./contract');
+
+const defaultLog = createLogger({ format: 'text' });
+
+function connectRpc(rpcUrl, { logError = defaultLog.error } = {}) {
+    if (rpcUrl.startsWith('ws')) {
+        const provider = new ethers.WebSocketProvider(rpcUrl);
+        // The WebSocketProvider will automatically attempt to reconnect on errors and close events.
+        // We can listen for the 'error' event on the provider itself to log any issues.
+        provider.on('error', (err) => {
+            logError("Ethers.js Provider Error:", err);
+        });
+        return provider;
+    }
+    return new ethers.JsonRpcProvider(rpcUrl);
+}
+
+/**
+ * Builds the DL&F backend from a validated config (see src/config.js). Nothing
+ * connects, listens or starts a timer until `start()` is called, so tests and
+ * tools can build as many instances as they need.
+ *
+ * Everything that talks to the outside world can be swapped:
+ *  - `createProvider(rpcUrl, { logError })` returns the ethers provider (default: WebSocket or JSON-RPC by URL);
+ *  - `matcher` and `storage` replace the ones built from the config;
+ *  - `log` replaces the console logger (see src/logger.js; `log.error(msg, error)` is used when present);
+ *  - `metrics` is the registry (or a labelled scope of one, see src/metrics.js) to register metrics in;
+ *  - `rateLimiters` (see createRateLimiters in src/rateLimit.js) replaces the app's own request counters;
+ *  - `timers` overrides `engineIntervalMs` (default: ENGINE_INTERVAL_SECONDS), `chainPollIntervalMs`
+ *    (default: from the network profile), `txCheckIntervalMs`, `deliveryIntervalMs` and `providerResetDelayMs`.
+ *
+ * A config with a `tenant` (see loadTenantConfigs) builds one venue of a
+ * multi-tenant server; src/tenantHost.js mounts it under /t/<id>/ and /api/t/<id>/.
+ */
+function createApp({
+    config,
+    createProvider = connectRpc,
+    matcher: matcherOverride = null,
+    storage: storageOverride = null,
+    log = defaultLog,
+    metrics = createMetrics({ prefix: 'dlf_' }),
+    rateLimiters: sharedRateLimiters = null,
+    timers = {}
+}) {
+    const {
+        engineIntervalMs = config.engine.intervalSeconds * 1000,
+        chainPollIntervalMs = config.network.pollIntervalSeconds * 1000,
+        txCheckIntervalMs = 15000,
+        deliveryIntervalMs = 30000,
+        providerResetDelayMs = 10000
+    } = timers;
+    const logError = log.error || ((msg, error) => console.error(msg, error));
+
+    // Candidates at or above this confidence (0-100) are recorded on-chain automatically.
+    const MATCH_CONFIDENCE_THRESHOLD = config.matching.confidenceThreshold;
+
+    // 'auto' records confident matches on-chain directly; 'review' queues them for a moderator;
+    // 'confirm' asks both reporters to sign off before anything is recorded.
+    const MATCH_MODE = config.matching.mode;
+
+    // Candidate pre-filter thresholds (see src/matchers/prefilter.js). Distance and day limits of 0 disable that check.
+    const PREFILTER_OPTIONS = config.prefilter;
+
+    // recordMatch transaction handling (see src/txManager.js).
+    const TX_OPTIONS = {
+        gasHeadroomPercent: config.tx.gasHeadroomPercent,
+        stuckTimeoutMs: config.tx.stuckTimeoutMs,
+        feeBumpPercent: config.tx.feeBumpPercent,
+        maxReplacements: config.tx.maxReplacements,
+        lowBalanceWei: config.tx.lowBalanceWei
+    };
+
+    // Sign-in: Google OAuth for staff, wallet signatures for reporters (see src/auth/).
+    // A tenant's pages live under its base path, and so do its sign-in messages and cookie.
+    const BASE_PATH = config.tenant ? config.tenant.basePath : '';
+    const APP_URL = `${config.server.appUrl}${BASE_PATH}`;
+    const SESSION_COOKIE = config.tenant ? `dlf.${config.tenant.id}.sid` : 'dlf.sid';
+    const SESSION_SECRET = config.auth.sessionSecret || crypto.randomBytes(32).toString('hex');
+
+    // --- INITIALIZATION ---
+    const app = express();
+
+    // Upload limits for /api/pin-image.
+    const UPLOAD_MAX_BYTES = config.uploads.maxBytes;
+    const UPLOAD_ALLOWED_TYPES = config.uploads.allowedTypes;
+    const upload = multer({ limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } });
+
+    // Per-IP and per-wallet request limits (see src/rateLimit.js): every API route, uploads, and manual engine runs.
+    const rateLimiters = sharedRateLimiters || createRateLimiters(config.rateLimits);
+    // Largest `limit` the paged list routes accept, and the most /api/me/items returns.
+    const MAX_PAGE_SIZE = 100;
+    app.set('trust proxy', config.server.trustProxy);
+
+    // Local state: item index database and image cache.
+    const DATA_DIR = config.server.dataDir;
+
+    // --- STORAGE PROVIDER ---
+    // Where uploaded images live: 'pinata' (IPFS), 'filecoin' (Synapse warm storage) or 'local' (disk).
+    const storage = storageOverride || createStorageProvider({
+        type: config.storage.provider,
+        log,
+        // pinata
+        apiKey: config.storage.pinataApiKey,
+        secretApiKey: config.storage.pinataSecretApiKey,
+        apiUrl: config.storage.pinataApiUrl,
+        ...(config.storage.gateways && { gateways: config.storage.gateways }),
+        // Nothing this server stores is larger than an upload.
+        maxDownloadBytes: UPLOAD_MAX_BYTES,
+        // filecoin
+        privateKey: config.storage.filecoinPrivateKey,
+        rpcUrl: config.storage.filecoinRpcUrl,
+        withCDN: config.storage.filecoinWithCDN,
+        // local
+        dir: config.storage.localDir
+    });
+    log(`Using '${storage.name}' storage provider.`);
+
+    // --- IMAGE CACHE ---
+    // Content-addressed cache of item images, downscaled before they are sent to the model.
+    const imageCache = createImageCache({
+        cacheDir: config.imageCache.dir,
+        fetchOriginal: storage.get,
+        maxDimension: config.imageCache.maxDimension,
+        quality: config.imageCache.quality,
+        maxBytes: config.imageCache.maxBytes,
+        log
+    });
+
+    // --- ITEM METADATA ---
+    // Resolves each item's on-chain CID into its structured metadata document (or a legacy bare image).
+    const metadataResolver = createMetadataResolver({ fetchOriginal: imageCache.getOriginal, log });
+
+    // --- CANDIDATE PRE-FILTER ---
+    // Rules out pairs by distance, time window and category before the matcher is asked.
+    const prefilter = createPrefilter(PREFILTER_OPTIONS);
+    log(`Pre-filter: within ${PREFILTER_OPTIONS.maxDistanceKm || 'any'} km, ${PREFILTER_OPTIONS.maxDaysAfterLost || 'any'} days, same category ${PREFILTER_OPTIONS.requireSameCategory ? 'required' : 'not required'}.`);
+
+    // --- METRICS ---
+    // Served in the Prometheus format on GET /metrics. Values kept elsewhere are read at scrape time.
+    const engineRunsTotal = metrics.counter('engine_runs_total', 'Matching engine runs by outcome.', { labelNames: ['status'] });
+    const engineRunDuration = metrics.histogram('engine_run_duration_seconds', 'Duration of matching engine runs.', {
+        buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+    });
+    const matcherRequestsTotal = metrics.counter('matcher_requests_total', 'AI model calls by matcher and outcome (success, empty, invalid, error).', {
+        labelNames: ['matcher', 'outcome']
+    });
+    const matcherRequestDuration = metrics.histogram('matcher_request_duration_seconds', 'Latency of AI model calls.', {
+        labelNames: ['matcher'],
+        buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60]
+    });
+    const timeToMatch = metrics.histogram('time_to_match_seconds', 'Time from a lost report to its match being recorded on-chain, by block time.', {
+        buckets: [3600, 6 * 3600, 24 * 3600, 3 * 24 * 3600, 7 * 24 * 3600, 14 * 24 * 3600, 30 * 24 * 3600]
+    });
+    const transactionsTotal = metrics.counter('match_transactions_total', 'recordMatch transaction events (submitted, replaced, confirmed, failed).', {
+        labelNames: ['outcome']
+    });
+
+    // --- MATCHER BACKEND ---
+    // 'gemini' (multimodal, needs GEMINI_API_KEY) or 'local' (offline text similarity).
+    const matcher = matcherOverride || createMatcher({
+        type: config.matcher.type,
+        geminiApiKey: config.matcher.geminiApiKey,
+        geminiModel: config.matcher.geminiModel || undefined,
+        geminiApiUrl: config.matcher.geminiApiUrl,
+        fetchImage: imageCache.getPrepared,
+        onRequest: ({ outcome, durationMs }) => {
+            matcherRequestsTotal.inc({ matcher: config.matcher.type, outcome });
+            matcherRequestDuration.observe({ matcher: config.matcher.type }, durationMs / 1000);
+        },
+        log
+    });
+    log(`Using '${matcher.name}' matcher.`);
+
+    // --- LIVE EVENTS ---
+    // New items, recorded matches and engine progress, streamed to dashboards over GET /api/events.
+    const events = createEventBus();
+
+    // --- LOCAL ITEM INDEX ---
+    // Persistent copy of contract items so the engine and APIs don't rescan the chain.
+    const databaseReady = openDatabase(path.join(DATA_DIR, 'dlf.sqlite'), {
+        onError: error => logError("Database save error:", error)
+    });
+    const storesReady = databaseReady
+        .then(db => {
+            const uploadStore = createUploadStore({ db });
+            return {
+                itemIndex: createItemIndex({
+                    db,
+                    log,
+                    confirmations: config.network.confirmations,
+                    onChange: handleIndexChange
+                }),
+                candidateStore: createCandidateStore({ db }),
+                reviewQueue: createReviewQueue({ db }),
+                uploadStore,
+                duplicateStore: createDuplicateStore({
+                    db,
+                    getPerceptualHash: uploadStore.getPerceptualHash,
+                    textSimilarity: config.duplicates.textSimilarity,
+                    imageDistance: config.duplicates.imageDistance
+                }),
+                blocklist: createBlocklist({ db }),
+                confirmations: createConfirmationStore({
+                    db,
+                    contractAddress: config.contractAddress,
+                    timeoutMs: config.matching.confirmationTimeoutMs,
+                    timeoutPolicy: config.matching.confirmationTimeoutPolicy
+                }),
+                handoverStore: createHandoverStore({ db }),
+                runStore: createRunStore({ db }),
+                userStore: createUserStore({ db, adminEmails: config.auth.adminEmails }),
+                walletAuth: createWalletAuth({ db, domain: new URL(APP_URL).host, uri: APP_URL, chainId: config.network.chainId }),
+                sessionStore: createSessionStore({ db, Store: session.Store }),
+                txManager: createTxManager({
+                    db,
+                    getSigner: () => (contract ? contract.runner : null),
+                    log,
+                    onChange: handleTransactionChange,
+                    currency: config.network.currency,
+                    options: TX_OPTIONS
+                }),
+                ...createNotifications(db)
+            };
+        });
+
+    // Set once the database is open, for health checks and metrics that must answer without waiting on it.
+    const storesState = { stores: null, error: null };
+    storesReady.then(stores => { storesState.stores = stores; }, error => { storesState.error = error.message; });
+
+    // --- ENGINE RUN QUEUE ---
+    // Every trigger goes through one queue: a single active run, later triggers coalesced into the next.
+    const engineQueueReady = storesReady.then(({ runStore }) => createEngineQueue({ runStore, execute: executeEngineRun, log }));
+
+    function triggerEngineRun(source) {
+        return engineQueueReady.then(queue => queue.trigger(source));
+    }
+
+    // --- AUTHENTICATION ---
+    // Staff sign in with Google and get a role from the database; reporters sign in with their wallet.
+    const passport = createPassport({
+        google: config.auth.googleSignIn ? {
+            clientID: config.auth.googleClientId,
+            clientSecret: config.auth.googleClientSecret,
+            callbackURL: config.auth.googleCallbackUrl
+        } : null,
+        getUserStore: () => storesReady.then(({ userStore }) => userStore),
+        log
+    });
+    if (!config.auth.googleSignIn) {
+        log("Google sign-in is disabled (GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET not set); staff-only endpoints can't be used.");
+    }
+    if (!config.auth.sessionSecret) {
+        log("WARNING: SESSION_SECRET is not set. Using a random one, so every sign-in ends when the server restarts.");
+    }
+    const sessionMiddlewareReady = storesReady.then(({ sessionStore }) => session({
+        name: SESSION_COOKIE,
+        secret: SESSION_SECRET,
+        store: sessionStore,
+        resave: false,
+        saveUninitialized: false,
+        cookie: { httpOnly: true, sameSite: 'lax', secure: 'auto', maxAge: 7 * 24 * 60 * 60 * 1000 }
+    }));
+
+    // --- NOTIFICATIONS ---
+    // Every match event goes to both reporters' inboxes; email (when SMTP_URL is set) and
+    // webhooks follow each reporter's contact preferences. Webhooks must use https outside development.
+    const ALLOW_HTTP_WEBHOOKS = config.server.nodeEnv === 'development';
+
+    function createNotifications(db) {
+        const notificationStore = createNotificationStore({ db, allowHttpWebhooks: ALLOW_HTTP_WEBHOOKS });
+        const channels = {
+            webhook: createWebhookChannel({ getSecret: notificationStore.getWebhookSecret, allowHttp: ALLOW_HTTP_WEBHOOKS })
+        };
+        if (config.notifications.smtpUrl) {
+            channels.email = createEmailChannel({
+                smtpUrl: config.notifications.smtpUrl,
+                from: config.notifications.smtpFrom
+            });
+        }
+        log(`Notification channels: inbox, ${Object.keys(channels).join(', ')}.`);
+        const notifier = createNotifier({
+            store: notificationStore,
+            channels,
+            log,
+            maxAttempts: config.notifications.maxAttempts
+        });
+        return { notificationStore, notifier };
+    }
+
+    async function syncItemIndex(targetContract = contract) {
+        const { itemIndex } = await storesReady;
+        if (targetContract) {
+            await itemIndex.sync(targetContract);
+        }
+        return itemIndex;
+    }
+
+    // Items as the read APIs and live events return them: with metadata, thumbnails, handover status,
+    // duplicate flags and prompt-injection signals.
+    async function presentItems(items) {
+        const { uploadStore, handoverStore, duplicateStore } = await storesReady;
+        const withMetadata = await metadataResolver.withMetadata(items);
+        return withInjectionSignals(duplicateStore.withDuplicateFlags(handoverStore.withHandoverStatus(uploadStore.withThumbnails(withMetadata))));
+    }
+
+    // --- FEVM Setup ---
+    let provider;
+    let wallet;
+    let contract;
+    let isResetting = false;
+    let resetTimer = null;
+    let stopped = false;
+
+    function initializeProvider(trigger = 'startup') {
+        log("Initializing provider...");
+        provider = createProvider(config.network.rpcUrl, { logError });
+        wallet = new ethers.Wallet(config.engine.privateKey, provider);
+        contract = new ethers.Contract(config.contractAddress, CONTRACT_ABI, wallet);
+        // Only the host: RPC URLs often carry an API key in the path or query.
+        log(`Provider initialized using: ${provider.constructor.name} (${new URL(config.network.rpcUrl).host})`);
+        log(`Engine Wallet Address: ${wallet.address}`);
+
+        // The first run also catches the index up on everything emitted while disconnected.
+        return triggerEngineRun(trigger);
+    }
+
+    function disconnectProvider() {
+        if (provider) {
+            provider.destroy();
+        }
+        provider = null;
+        wallet = null;
+        contract = null;
+    }
+
+    // Drops the connection and builds a fresh one after a delay. Safe to call repeatedly.
+    function resetProvider() {
+        if (isResetting || stopped) return;
+        isResetting = true;
+        log(`CRITICAL: Unhandled provider error detected. Resetting provider in ${providerResetDelayMs / 1000} seconds...`);
+        disconnectProvider();
+
+        resetTimer = setTimeout(() => {
+            resetTimer = null;
+            isResetting = false;
+            initializeProvider('provider-reset');
+        }, providerResetDelayMs);
+    }
+
+    // New events reach the app through the item index, whichever sync read them (see src/itemIndex.js).
+    function handleIndexChange(type, change) {
+        if (type === 'reported') {
+            log(`NEW ITEM: ID ${change.itemId} reported in block ${change.blockNumber}. Triggering match engine...`);
+            // The duplicate check goes first so the run it triggers already skips a flagged item.
+            checkForDuplicate(change.itemId)
+                .catch(error => logError("Duplicate check failed:", error))
+                .then(() => {
+                    publishItemReported(change.itemId).catch(error => logError("Item event failed:", error));
+                    triggerEngineRun(`item-reported:${change.itemId}`);
+                });
+        } else if (type === 'matched') {
+            const { itemId1, itemId2, txHash } = change;
+            log(`MATCH RECORDED: ${itemId1} <-> ${itemId2} in block ${change.blockNumber}.`);
+            Promise.all([
+                publishMatchFound(itemId1, itemId2, txHash),
+                notifyMatchRecorded(itemId1, itemId2, txHash),
+                observeTimeToMatch(itemId1, itemId2, change.blockNumber)
+            ]).catch(error => logError("Match event or notification failed:", error));
+        } else if (type === 'reorg') {
+            log(`CHAIN REORG: rolled back to block ${change.forkBlock} (${change.removedItemIds.length} item(s) removed, ${change.unmatchedItemIds.length} unmatched).`);
+            storesReady.then(({ duplicateStore }) => duplicateStore.forget(change.removedItemIds));
+            events.publish('chain.reorg', change);
+        }
+    }
+
+    // Flags a new report that repeats one of its reporter's earlier reports (see src/duplicates.js).
+    async function checkForDuplicate(itemId) {
+        const { itemIndex, duplicateStore } = await storesReady;
+        const item = itemIndex.getItem(itemId);
+        if (!item) return;
+        const earlier = itemIndex.listReporterItems(item.reporter, { isLost: item.isLost, beforeId: item.itemId });
+        if (earlier.length === 0) return;
+        const [resolved, ...resolvedEarlier] = await metadataResolver.withMetadata([item, ...earlier]);
+        const duplicate = duplicateStore.check(resolved, resolvedEarlier);
+        if (duplicate) {
+            log(`DUPLICATE: item ${itemId} repeats item ${duplicate.duplicateOf} (${duplicate.reasons.join(', ')}); it won't be matched.`);
+        }
+    }
+
+    async function publishItemReported(itemId) {
+        const { itemIndex, blocklist } = await storesReady;
+        const item = itemIndex.getItem(itemId);
+        if (item && !blocklist.isBlocked(item.reporter)) {
+            const [presented] = await presentItems([item]);
+            events.publish('item.reported', { item: presented });
+        }
+    }
+
+    // Blocked reporters' items are left out, as they are from the item lists.
+    async function publishMatchFound(itemId1, itemId2, txHash) {
+        const { itemIndex, blocklist } = await storesReady;
+        const visible = [itemIndex.getItem(itemId1), itemIndex.getItem(itemId2)]
+            .filter(item => item && !blocklist.isBlocked(item.reporter));
+        if (visible.length === 0) return;
+        const items = await presentItems(visible);
+        events.publish('match.found', { itemIds: visible.map(item => item.itemId), txHash, items });
+    }
+
+    // Block time between the lost report and its match, for the time-to-match metric.
+    // Items loaded by the initial backfill have no report block and are skipped.
+    async function observeTimeToMatch(itemId1, itemId2, matchBlock) {
+        const { itemIndex } = await storesReady;
+        const lostItem = [itemIndex.getItem(itemId1), itemIndex.getItem(itemId2)].find(item => item && item.isLost);
+        if (!lostItem || lostItem.reportedBlock === null || !provider) return;
+        const [reported, matched] = await Promise.all([provider.getBlock(lostItem.reportedBlock), provider.getBlock(matchBlock)]);
+        if (reported && matched) {
+            timeToMatch.observe({}, Math.max(0, matched.timestamp - reported.timestamp));
+        }
+    }
+
+    // Tells both reporters that a match is now on-chain.
+    async function notifyMatchRecorded(itemId1, itemId2, txHash) {
+        const { itemIndex, notifier } = await storesReady;
+        const first = itemIndex.getItem(itemId1);
+        const second = itemIndex.getItem(itemId2);
+        if (!first || !second) {
+            log(`Notifications: items ${itemId1}/${itemId2} are not in the index yet; skipping.`);
+            return;
+        }
+        const [lostItem, foundItem] = first.isLost ? [first, second] : [second, first];
+        notifier.notify('match.recorded', { lostItem, foundItem, txHash: txHash || lostItem.matchTxHash });
+    }
+
+    // --- EXPRESS MIDDLEWARE ---
+    app.use(cors({ origin: config.server.corsOrigins, credentials: true }));
+    app.use(express.json());
+
+    const publicPath = path.join(__dirname, '..', 'public');
+
+    app.use(express.static(publicPath));
+
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(publicPath, 'Index.html'));
+    });
+
+    // --- HEALTH CHECKS & METRICS ---
+    // Ahead of the session middleware, so probes and scrapes never wait on the database.
+    // Each check is 'ok', 'warn' (working, but needs attention) or 'fail'.
+    const bootedAt = Date.now();
+    const LAST_RUN_MAX_AGE_MS = 3 * engineIntervalMs;
+    const SYNC_MAX_AGE_MS = Math.max(10 * chainPollIntervalMs, 60 * 1000);
+
+    function checkDatabase() {
+        if (storesState.error) return { status: 'fail', error: storesState.error };
+        return storesState.stores ? { status: 'ok' } : { status: 'fail', error: 'The database is still opening.' };
+    }
+
+    function checkProvider(now) {
+        if (!contract) return { status: 'fail', error: 'Not connected to the chain; the provider is resetting.' };
+        if (!storesState.stores) return { status: 'fail', error: 'The item index is not open yet.' };
+        const sync = storesState.stores.itemIndex.getSyncStatus(now);
+        const details = { lastSyncAt: sync.lastSyncAt, lagBlocks: sync.lagBlocks, lagSeconds: sync.lagSeconds };
+        if (sync.lastError) return { status: 'fail', error: sync.lastError, ...details };
+        if (!sync.lastSyncAt) return { status: 'fail', error: 'The item index has not synced yet.', ...details };
+        if (now - Date.parse(sync.lastSyncAt) > SYNC_MAX_AGE_MS) {
+            return { status: 'fail', error: `No chain sync in the last ${SYNC_MAX_AGE_MS / 1000} seconds.`, ...details };
+        }
+        return { status: 'ok', ...details };
+    }
+
+    function checkWallet() {
+        if (!storesState.stores) return { status: 'fail', error: 'The database is still opening.' };
+        const wallet = storesState.stores.txManager.walletStatus();
+        return { status: wallet.low ? 'warn' : 'ok', address: wallet.address, balance: wallet.balance, threshold: wallet.threshold };
+    }
+
+    function checkLastRun(now) {
+        if (!storesState.stores) return { status: 'fail', error: 'The database is still opening.' };
+        const [run] = storesState.stores.runStore.listRuns({ status: 'succeeded', limit: 1 }).runs;
+        const finishedAt = run ? run.finishedAt : null;
+        // A run that succeeded before this process started still counts, once it has had time to run again.
+        const age = now - (finishedAt ? Date.parse(finishedAt) : bootedAt);
+        if (age > LAST_RUN_MAX_AGE_MS) {
+            return { status: 'fail', error: `No successful engine run in the last ${LAST_RUN_MAX_AGE_MS / 1000} seconds.`, runId: run ? run.id : null, finishedAt };
+        }
+        return { status: 'ok', runId: run ? run.id : null, finishedAt };
+    }
+
+    function healthReport(checks) {
+        const statuses = Object.values(checks).map(check => check.status);
+        const status = statuses.includes('fail') ? 'failing' : statuses.includes('warn') ? 'degraded' : 'ok';
+        return { status, uptimeSeconds: Math.round((Date.now() - bootedAt) / 1000), checks };
+    }
+
+    // Everything the engine needs to do its job. Failing when any check fails; a low wallet balance only degrades it.
+    function health() {
+        const now = Date.now();
+        return healthReport({
+            database: checkDatabase(),
+            provider: checkProvider(now),
+            wallet: checkWallet(),
+            lastRun: checkLastRun(now)
+        });
+    }
+
+    // Whether this instance can serve the API: the database is open and the chain is connected and synced.
+    function readiness() {
+        return healthReport({ database: checkDatabase(), provider: checkProvider(Date.now()) });
+    }
+
+    app.get('/healthz', (req, res) => {
+        const report = health();
+        res.status(report.status === 'failing' ? 503 : 200).json(report);
+    });
+
+    app.get('/readyz', (req, res) => {
+        const report = readiness();
+        res.status(report.status === 'failing' ? 503 : 200).json(report);
+    });
+
+    metrics.gauge('items', 'Indexed items by type (lost, found) and status (matched, unmatched).', {
+        labelNames: ['type', 'status'],
+        collect: () => {
+            if (!storesState.stores) return [];
+            const counts = storesState.stores.itemIndex.itemCounts();
+            return ['lost', 'found'].flatMap(type => ['matched', 'unmatched'].map(status => ({ labels: { type, status }, value: counts[type][status] })));
+        }
+    });
+    metrics.gauge('engine_last_success_timestamp_seconds', 'When the last successful engine run finished.', {
+        collect: () => {
+            const check = storesState.stores ? checkLastRun(Date.now()) : null;
+            return check && check.finishedAt ? [{ value: Date.parse(check.finishedAt) / 1000 }] : [];
+        }
+    });
+    metrics.gauge('engine_wallet_balance', `Engine wallet balance in ${config.network.currency}, as of the last check.`, {
+        collect: () => {
+            const wallet = storesState.stores ? storesState.stores.txManager.walletStatus() : null;
+            return wallet && wallet.balance !== null ? [{ value: Number(wallet.balance) }] : [];
+        }
+    });
+    metrics.gauge('engine_wallet_low_balance', 'Whether the engine wallet is below LOW_BALANCE_THRESHOLD (1) or not (0), as of the last check.', {
+        collect: () => {
+            const wallet = storesState.stores ? storesState.stores.txManager.walletStatus() : null;
+            return wallet && wallet.balance !== null ? [{ value: wallet.low ? 1 : 0 }] : [];
+        }
+    });
+    metrics.gauge('provider_connected', '1 while connected to the chain, 0 while the provider is resetting.', {
+        collect: () => [{ value: contract ? 1 : 0 }]
+    });
+    metrics.gauge('chain_lag_blocks', 'Blocks between the chain head and the last block in the item index.', {
+        collect: () => (storesState.stores ? [{ value: storesState.stores.itemIndex.getSyncStatus().lagBlocks }] : [])
+    });
+    metrics.counter('chain_reorgs_total', 'Chain reorganisations rolled back by the item index since startup.', {
+        collect: () => (storesState.stores ? [{ value: storesState.stores.itemIndex.getSyncStatus().reorgCount }] : [])
+    });
+    metrics.gauge('process_uptime_seconds', 'Seconds since the app was built.', {
+        collect: () => [{ value: Math.round((Date.now() - bootedAt) / 1000) }]
+    });
+    metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process.', {
+        collect: () => [{ value: process.memoryUsage().rss }]
+    });
+
+    // Prometheus scrape endpoint. With METRICS_TOKEN set, it needs `Authorization: Bearer <token>`.
+    app.get('/metrics', createMetricsHandler({ render: metrics.render, token: config.server.metricsToken }));
+
+    app.use((req, res, next) => {
+        sessionMiddlewareReady.then(middleware => middleware(req, res, next), next);
+    });
+    app.use(passport.initialize());
+    app.use(passport.session());
+    // After the session, so signed-in reporters are also limited per wallet.
+    app.use('/api', rateLimit({ name: 'api', limiter: rateLimiters.api, log }));
+    const uploadRateLimit = rateLimit({ name: 'upload', limiter: rateLimiters.upload, log });
+    const engineRateLimit = rateLimit({ name: 'engine', limiter: rateLimiters.engine, log });
+
+    // --- PUBLIC CONFIG API ---
+    // The contract address, chain and ABI the frontend must use, so it can't drift from the backend.
+    app.get('/api/config/public', (req, res) => {
+        res.status(200).json(publicConfig(config));
+    });
+
+    // --- AUTHENTICATION API ---
+    function requireGoogleSignIn(req, res, next) {
+        if (!config.auth.googleSignIn) {
+            return res.status(503).json({ error: 'Google sign-in is not configured on this server.' });
+        }
+        next();
+    }
+
+    app.get('/auth/google', requireGoogleSignIn, passport.authenticate('google', { scope: ['profile', 'email'] }));
+
+    app.get('/auth/google/callback',
+        requireGoogleSignIn,
+        passport.authenticate('google', { failureRedirect: `${BASE_PATH}/?signin=failed`, keepSessionInfo: true }),
+        (req, res) => res.redirect(`${BASE_PATH}/`)
+    );
+
+    app.get('/api/auth/me', (req, res) => {
+        const user = req.user ? { id: req.user.id, email: req.user.email, name: req.user.name, role: req.user.role } : null;
+        res.status(200).json({ user, wallet: (req.session && req.session.wallet) || null, googleSignIn: config.auth.googleSignIn });
+    });
+
+    // Body: { address }. Returns the sign-in message for that wallet to sign.
+    app.post('/api/auth/wallet/challenge', async (req, res) => {
+        try {
+            const { walletAuth } = await storesReady;
+            res.status(200).json(walletAuth.createChallenge(req.body?.address));
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Wallet challenge error:", error);
+            res.status(500).json({ error: 'Failed to create a sign-in message.' });
+        }
+    });
+
+    // Body: { message, signature }
+    app.post('/api/auth/wallet/verify', async (req, res) => {
+        try {
+            const { walletAuth } = await storesReady;
+            const { message, signature } = req.body || {};
+            const address = walletAuth.verify(message, signature);
+
+            // New session ID on sign-in; a staff sign-in in the same browser is kept.
+            const staff = req.session.passport;
+            await new Promise((resolve, reject) => req.session.regenerate(error => (error ? reject(error) : resolve())));
+            if (staff) req.session.passport = staff;
+            req.session.wallet = address;
+            log(`Wallet sign-in: ${address}.`);
+            res.status(200).json({ wallet: address });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Wallet sign-in error:", error);
+            res.status(500).json({ error: 'Failed to sign in.' });
+        }
+    });
+
+    // Ends both the staff and the wallet sign-in.
+    app.post('/api/auth/logout', (req, res) => {
+        if (!req.session) {
+            return res.status(200).json({ ok: true });
+        }
+        req.session.destroy(error => {
+            if (error) {
+                logError("Sign-out error:", error);
+                return res.status(500).json({ error: 'Failed to sign out.' });
+            }
+            res.clearCookie(SESSION_COOKIE);
+            res.status(200).json({ ok: true });
+        });
+    });
+
+    // The signed-in reporter's own items.
+    app.get('/api/me/items', requireWallet, async (req, res) => {
+        try {
+            const { itemIndex } = await storesReady;
+            const page = itemIndex.queryItems({ reporter: req.wallet, limit: MAX_PAGE_SIZE });
+            res.status(200).json({ ...page, items: await presentItems(page.items) });
+        } catch (error) {
+            logError("Item listing error:", error);
+            res.status(500).json({ error: 'Failed to load your items.' });
+        }
+    });
+
+    // --- STAFF ADMINISTRATION API ---
+    app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+        try {
+            const { userStore } = await storesReady;
+            res.status(200).json({ users: userStore.listUsers(), roles: [NO_ROLE, ...ROLES] });
+        } catch (error) {
+            logError("User listing error:", error);
+            res.status(500).json({ error: 'Failed to load staff users.' });
+        }
+    });
+
+    // Body: { role }
+    app.put('/api/admin/users/:id/role', requireRole('admin'), async (req, res) => {
+        const userId = Number(req.params.id);
+        if (!Number.isInteger(userId) || userId < 1) {
+            return res.status(400).json({ error: 'User ID must be a positive integer.' });
+        }
+
+        try {
+            const { userStore } = await storesReady;
+            const user = userStore.setRole(userId, req.body?.role);
+            log(`Staff role change: ${user.email} is now ${user.role} (by ${req.user.email}).`);
+            res.status(200).json({ user });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Role update error:", error);
+            res.status(500).json({ error: 'Failed to update the role.' });
+        }
+    });
+
+    // Every item or every recorded match, as JSON or CSV, for reporting to venue staff.
+    app.get('/api/admin/export/:dataset', requireRole('admin'), async (req, res) => {
+        const { dataset } = req.params;
+        const format = req.query.format || 'csv';
+        if (!EXPORT_DATASETS.includes(dataset)) {
+            return res.status(404).json({ error: `Unknown export. Expected one of: ${EXPORT_DATASETS.join(', ')}.` });
+        }
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+        }
+
+        try {
+            const { itemIndex, candidateStore, blocklist } = await storesReady;
+            const items = await presentItems(itemIndex.allItems());
+            const { columns, rows } = buildExport(dataset, items, {
+                isBlocked: blocklist.isBlocked,
+                getConfidence: (lostId, foundId) => {
+                    const candidate = candidateStore.getCandidates(lostId).find(entry => entry.foundId === foundId);
+                    return candidate ? candidate.confidence : null;
+                }
+            });
+            const fileName = `dlf-${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+            log(`Data export: ${rows.length} ${dataset} as ${format} for ${req.user.email}.`);
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                return res.status(200).send(toCsv(columns, rows));
+            }
+            res.status(200).json({ exportedAt: new Date().toISOString(), [dataset]: rows });
+        } catch (error) {
+            logError("Data export error:", error);
+            res.status(500).json({ error: 'Failed to export data.' });
+        }
+    });
+
+    // --- IMAGE UPLOAD ENDPOINT ---
+    // Runs multer inside the handler so size-limit errors get a JSON response.
+    function receiveSingleFile(req, res) {
+        return new Promise((resolve, reject) => {
+            upload.single('file')(req, res, error => (error ? reject(error) : resolve(req.file)));
+        });
+    }
+
+    app.post('/api/pin-image', uploadRateLimit, async (req, res) => {
+        let file;
+        try {
+            file = await receiveSingleFile(req, res);
+        } catch (error) {
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File is too large. Maximum size is ${UPLOAD_MAX_BYTES} bytes.` });
+            }
+            return res.status(400).json({ error: `Invalid upload: ${error.message}` });
+        }
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        let processed;
+        try {
+            // Verifies the bytes really are an allowed image, strips EXIF/GPS and builds the thumbnail.
+            processed = await processUpload(file.buffer, { allowedTypes: UPLOAD_ALLOWED_TYPES });
+        } catch (error) {
+            if (error instanceof UploadError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Image processing error:", error);
+            return res.status(500).json({ error: 'Failed to process image.' });
+        }
+
+        try {
+            const baseName = path.parse(file.originalname || 'item').name.replace(/[^\w.-]/g, '_') || 'item';
+            const { image, thumbnail } = processed;
+            const cid = await storage.put(image.data, { fileName: `${baseName}.${image.extension}`, mimeType: image.mimeType });
+            const thumbnailCid = await storage.put(thumbnail.data, { fileName: `${baseName}-thumb.${thumbnail.extension}`, mimeType: thumbnail.mimeType });
+
+            const { uploadStore } = await storesReady;
+            uploadStore.recordUpload({
+                cid,
+                thumbnailCid,
+                mimeType: image.mimeType,
+                width: image.width,
+                height: image.height,
+                size: image.data.length,
+                perceptualHash: processed.perceptualHash
+            });
+
+            log(`Image stored via ${storage.name}. CID: ${cid} (thumbnail: ${thumbnailCid}, ${processed.sourceType} -> ${image.mimeType}, metadata stripped)`);
+            // IpfsHash is kept for older clients; it is the normalised image's CID.
+            res.status(200).json({ IpfsHash: cid, cid, thumbnailCid });
+
+        } catch (error) {
+            logError(`Storage Error (${storage.name}):`, error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Failed to store file.' });
+        }
+    });
+
+    // --- ITEM METADATA ENDPOINT ---
+    // Validates and stores a metadata document. Its CID is what the report pages pass to reportLost/reportFound.
+    app.post('/api/item-metadata', uploadRateLimit, async (req, res) => {
+        let metadata;
+        try {
+            metadata = validateMetadata(req.body);
+        } catch (error) {
+            if (error instanceof MetadataError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        try {
+            const cid = await storage.put(Buffer.from(JSON.stringify(metadata)), { fileName: 'metadata.json', mimeType: 'application/json' });
+            log(`Item metadata stored via ${storage.name}. CID: ${cid} (${metadata.photos.length} photo(s))`);
+            res.status(200).json({ cid, metadata });
+        } catch (error) {
+            logError(`Storage Error (${storage.name}):`, error.response ? error.response.data : error.message);
+            res.status(500).json({ error: 'Failed to store item metadata.' });
+        }
+    });
+
+    // --- FILE ENDPOINT ---
+    // Serves stored images by CID whichever provider holds them, through the image cache.
+    // Only files pinned through this server or named by an indexed item, so it can't be used to fetch arbitrary CIDs.
+    app.get('/api/files/:cid', async (req, res) => {
+        const { cid } = req.params;
+        if (!isValidCid(cid)) {
+            return res.status(400).json({ error: 'Invalid CID.' });
+        }
+        try {
+            const { uploadStore, itemIndex } = await storesReady;
+            if (!uploadStore.hasFile(cid) && !itemIndex.hasCid(cid)) {
+                return res.status(404).json({ error: 'File not found.' });
+            }
+            const data = await imageCache.getOriginal(cid);
+            res.set('Content-Type', detectMimeType(data) || 'application/octet-stream');
+            res.set('X-Content-Type-Options', 'nosniff');
+            // A CID always names the same bytes.
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+            res.send(data);
+        } catch (error) {
+            logError(`Error serving file ${cid}:`, error.message);
+            res.status(404).json({ error: 'File not found.' });
+        }
+    });
+
+    // --- ITEM READ API (served from the local item index) ---
+    app.get('/api/items', async (req, res) => {
+        const { type, status, reporter, q, cursor, limit } = req.query;
+
+        if (type && !['lost', 'found'].includes(type)) {
+            return res.status(400).json({ error: "type must be 'lost' or 'found'." });
+        }
+        if (status && !['matched', 'unmatched'].includes(status)) {
+            return res.status(400).json({ error: "status must be 'matched' or 'unmatched'." });
+        }
+        if (reporter && !ethers.isAddress(reporter)) {
+            return res.status(400).json({ error: 'reporter must be a valid address.' });
+        }
+        // A repeated ?q= arrives as an array.
+        if (q !== undefined && typeof q !== 'string') {
+            return res.status(400).json({ error: 'q must be a single search string.' });
+        }
+        const pageSize = limit === undefined ? 20 : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+        }
+        const afterId = cursor === undefined ? 0 : Number(cursor);
+        if (!Number.isInteger(afterId) || afterId < 0) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer.' });
+        }
+
+        try {
+            const { itemIndex, blocklist } = await storesReady;
+            const page = itemIndex.queryItems({
+                type, status, reporter, q, excludeReporters: blocklist.addresses(), cursor: afterId, limit: pageSize
+            });
+            res.status(200).json({ ...page, items: await presentItems(page.items) });
+        } catch (error) {
+            logError("Item listing error:", error);
+            res.status(500).json({ error: 'Failed to load items.' });
+        }
+    });
+
+    app.get('/api/items/:id', async (req, res) => {
+        const itemId = Number(req.params.id);
+        if (!Number.isInteger(itemId) || itemId < 1) {
+            return res.status(400).json({ error: 'Item ID must be a positive integer.' });
+        }
+
+        try {
+            const { itemIndex, blocklist } = await storesReady;
+            const item = itemIndex.getItem(itemId);
+            if (!item || blocklist.isBlocked(item.reporter)) {
+                return res.status(404).json({ error: `Item ${itemId} not found.` });
+            }
+            const matchedItem = item.matchedId ? itemIndex.getItem(item.matchedId) : null;
+            const [presentedItem, presentedMatch] = await presentItems([item, matchedItem]);
+            res.status(200).json({ item: presentedItem, matchedItem: presentedMatch, matchTxHash: item.matchTxHash });
+        } catch (error) {
+            logError("Item lookup error:", error);
+            res.status(500).json({ error: 'Failed to load item.' });
+        }
+    });
+
+    // --- MATCH CANDIDATE API ---
+    app.get('/api/items/:id/candidates', async (req, res) => {
+        const itemId = Number(req.params.id);
+        if (!Number.isInteger(itemId) || itemId < 1) {
+            return res.status(400).json({ error: 'Item ID must be a positive integer.' });
+        }
+
+        try {
+            const { itemIndex, candidateStore, blocklist } = await storesReady;
+            const item = itemIndex.getItem(itemId);
+            if (!item || blocklist.isBlocked(item.reporter)) {
+                return res.status(404).json({ error: `Item ${itemId} not found.` });
+            }
+            if (!item.isLost) {
+                return res.status(400).json({ error: 'Candidates are only tracked for LOST items.' });
+            }
+            const candidates = candidateStore.getCandidates(itemId)
+                .map(candidate => ({ ...candidate, foundItem: itemIndex.getItem(candidate.foundId) }))
+                .filter(candidate => !candidate.foundItem || !blocklist.isBlocked(candidate.foundItem.reporter));
+            res.status(200).json({ item, threshold: MATCH_CONFIDENCE_THRESHOLD, candidates });
+        } catch (error) {
+            logError("Candidate lookup error:", error);
+            res.status(500).json({ error: 'Failed to load candidates.' });
+        }
+    });
+
+    // "Possible matches": candidates below the auto-match threshold for items that are still open.
+    app.get('/api/candidates', async (req, res) => {
+        const minConfidence = req.query.minConfidence === undefined ? 0 : Number(req.query.minConfidence);
+        if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+            return res.status(400).json({ error: 'minConfidence must be a number between 0 and 100.' });
+        }
+
+        try {
+            const { candidateStore, blocklist } = await storesReady;
+            const candidates = candidateStore.listOpenCandidates({
+                minConfidence,
+                maxConfidence: MATCH_CONFIDENCE_THRESHOLD,
+                excludeReporters: blocklist.addresses()
+            });
+            res.status(200).json({ threshold: MATCH_CONFIDENCE_THRESHOLD, candidates });
+        } catch (error) {
+            logError("Candidate listing error:", error);
+            res.status(500).json({ error: 'Failed to load candidates.' });
+        }
+    });
+
+    // --- MATCH REVIEW QUEUE API ---
+    app.get('/api/matches/pending', requireRole('moderator'), async (req, res) => {
+        try {
+            const { reviewQueue, itemIndex } = await storesReady;
+            const proposals = await Promise.all(reviewQueue.listPending().map(async proposal => {
+                const [lostItem, foundItem] = withInjectionSignals(await metadataResolver.withMetadata([
+                    itemIndex.getItem(proposal.lostId),
+                    itemIndex.getItem(proposal.foundId)
+                ]));
+                return { ...proposal, lostItem, foundItem };
+            }));
+            res.status(200).json({ mode: MATCH_MODE, proposals });
+        } catch (error) {
+            logError("Review queue error:", error);
+            res.status(500).json({ error: 'Failed to load pending matches.' });
+        }
+    });
+
+    // Looks up a proposal for a decision, answering the request itself if it can't be decided.
+    async function loadPendingProposal(req, res) {
+        const proposalId = Number(req.params.id);
+        if (!Number.isInteger(proposalId) || proposalId < 1) {
+            res.status(400).json({ error: 'Proposal ID must be a positive integer.' });
+            return null;
+        }
+        const { reviewQueue } = await storesReady;
+        const proposal = reviewQueue.getProposal(proposalId);
+        if (!proposal) {
+            res.status(404).json({ error: `Proposal ${proposalId} not found.` });
+            return null;
+        }
+        if (proposal.status !== 'pending') {
+            res.status(409).json({ error: `Proposal ${proposalId} is already ${proposal.status}.`, proposal });
+            return null;
+        }
+        return proposal;
+    }
+
+    app.post('/api/matches/:id/approve', requireRole('moderator'), async (req, res) => {
+        try {
+            const proposal = await loadPendingProposal(req, res);
+            if (!proposal) return;
+            if (!contract) {
+                return res.status(503).json({ error: 'Blockchain provider is not connected. Try again shortly.' });
+            }
+
+            const { reviewQueue } = await storesReady;
+            const itemIndex = await syncItemIndex();
+            const lostItem = itemIndex.getItem(proposal.lostId);
+            const foundItem = itemIndex.getItem(proposal.foundId);
+            if (!lostItem || !foundItem || lostItem.matchedId || foundItem.matchedId) {
+                const expired = reviewQueue.expire(proposal.id, 'One of the items was already matched on-chain.');
+                return res.status(409).json({ error: 'One of the items was already matched on-chain.', proposal: expired });
+            }
+
+            log(`Moderator ${req.user.email} approved proposal #${proposal.id} (Lost ID ${proposal.lostId} <-> Found ID ${proposal.foundId}).`);
+            const record = await submitMatch(contract, proposal.lostId, proposal.foundId);
+            res.status(200).json({ proposal: reviewQueue.approve(proposal.id, record.txHash), txHash: record.txHash, transactionId: record.id });
+        } catch (error) {
+            logError("Match approval error:", error);
+            res.status(500).json({ error: 'Failed to submit the approved match.', details: error.shortMessage || error.message });
+        }
+    });
+
+    app.post('/api/matches/:id/reject', requireRole('moderator'), async (req, res) => {
+        try {
+            const proposal = await loadPendingProposal(req, res);
+            if (!proposal) return;
+
+            const { reviewQueue } = await storesReady;
+            const note = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+            log(`Moderator ${req.user.email} rejected proposal #${proposal.id} (Lost ID ${proposal.lostId} <-> Found ID ${proposal.foundId}).`);
+            res.status(200).json({ proposal: reviewQueue.reject(proposal.id, note) });
+        } catch (error) {
+            logError("Match rejection error:", error);
+            res.status(500).json({ error: 'Failed to reject the match.' });
+        }
+    });
+
+    // --- REPORTER CONFIRMATION API ---
+    // Only the signed-in wallet's own proposals: they name the reporter and the item they'd be paired with.
+    app.get('/api/confirmations', requireWallet, async (req, res) => {
+        try {
+            const { confirmations } = await storesReady;
+            res.status(200).json({ confirmations: confirmations.listForAddress(req.wallet) });
+        } catch (error) {
+            logError("Confirmation listing error:", error);
+            res.status(500).json({ error: 'Failed to load confirmations.' });
+        }
+    });
+
+    // Body: { decision: 'confirm' | 'dispute', signature } signed over the message from GET /api/confirmations.
+    app.post('/api/confirmations/:id', async (req, res) => {
+        const confirmationId = Number(req.params.id);
+        if (!Number.isInteger(confirmationId) || confirmationId < 1) {
+            return res.status(400).json({ error: 'Confirmation ID must be a positive integer.' });
+        }
+        const { decision, signature } = req.body || {};
+        if (typeof signature !== 'string' || !signature) {
+            return res.status(400).json({ error: 'signature is required.' });
+        }
+
+        try {
+            const { confirmations } = await storesReady;
+            const confirmation = confirmations.recordDecision(confirmationId, decision, signature);
+            log(`Confirmation #${confirmationId}: reporter chose '${decision}' (status: ${confirmation.status}).`);
+
+            // Once both sides agreed, an engine run submits it; through the queue, so it never races a running one.
+            if (confirmation.status === 'confirmed') {
+                triggerEngineRun(`confirmation:${confirmationId}`);
+            }
+            res.status(200).json({ confirmation });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Confirmation error:", error);
+            res.status(500).json({ error: 'Failed to record the decision.' });
+        }
+    });
+
+    // --- OWNERSHIP VERIFICATION & HANDOVER API ---
+    // Body: { cid, questions: [{ question, answer }] }. Called by the lost report page before the
+    // report is sent, with the CID of its metadata document; only hashes of the answers are kept.
+    // Once the report is on-chain the questions are fixed, so they can't be fitted to a match.
+    app.put('/api/verification-details', uploadRateLimit, requireWallet, async (req, res) => {
+        const { cid, questions } = req.body || {};
+        if (!isValidCid(cid)) {
+            return res.status(400).json({ error: 'cid must be the metadata CID of the report.' });
+        }
+
+        try {
+            const { handoverStore, itemIndex } = await storesReady;
+            if (itemIndex.hasCid(cid)) {
+                return res.status(409).json({ error: 'This report is already on-chain, so its verification questions can no longer be set or changed.' });
+            }
+            const saved = handoverStore.saveVerification(cid, req.wallet, questions);
+            log(`Verification questions saved by ${req.wallet} for ${cid} (${saved.questions.length}).`);
+            res.status(200).json(saved);
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Verification details error:", error);
+            res.status(500).json({ error: 'Failed to save the verification questions.' });
+        }
+    });
+
+    // Handovers the signed-in wallet is part of, as claimant or finder.
+    app.get('/api/handovers', requireWallet, async (req, res) => {
+        try {
+            const { handoverStore } = await storesReady;
+            res.status(200).json({ handovers: handoverStore.listForAddress(req.wallet) });
+        } catch (error) {
+            logError("Handover listing error:", error);
+            res.status(500).json({ error: 'Failed to load handovers.' });
+        }
+    });
+
+    function readLostId(req, res) {
+        const lostId = Number(req.params.id);
+        if (!Number.isInteger(lostId) || lostId < 1) {
+            res.status(400).json({ error: 'Item ID must be a positive integer.' });
+            return null;
+        }
+        return lostId;
+    }
+
+    // Looks up the handover for a request from one of its parties, answering the request itself if it can't go on.
+    async function loadHandover(req, res, { party = 'either' } = {}) {
+        const lostId = readLostId(req, res);
+        if (!lostId) return null;
+        const { handoverStore, itemIndex } = await storesReady;
+        const handover = handoverStore.describeHandover(lostId);
+        if (!handover || (handover.claimant !== req.wallet && handover.finder !== req.wallet)) {
+            res.status(404).json({ error: `No handover for item ${lostId}.` });
+            return null;
+        }
+        if (party !== 'either' && handover[party] !== req.wallet) {
+            res.status(403).json({ error: `Only the ${party} can do this.` });
+            return null;
+        }
+        const lostItem = itemIndex.getItem(lostId);
+        if (req.method !== 'GET' && (!lostItem || lostItem.matchedId !== handover.foundId)) {
+            res.status(409).json({ error: `The match for item ${lostId} is no longer on-chain.` });
+            return null;
+        }
+        return handover;
+    }
+
+    // Updates dashboards and tells both reporters about a handover step.
+    async function announceHandover(handover, event) {
+        const { itemIndex, notifier } = await storesReady;
+        const lostItem = itemIndex.getItem(handover.lostId);
+        const foundItem = itemIndex.getItem(handover.foundId);
+        const items = await presentItems([lostItem, foundItem].filter(Boolean));
+        events.publish('handover.updated', { lostId: handover.lostId, foundId: handover.foundId, status: handover.status, items });
+        if (event && lostItem && foundItem) {
+            notifier.notify(event, { lostItem, foundItem });
+        }
+    }
+
+    function respondWithHandover(res, handover, event, extra = {}) {
+        announceHandover(handover, event).catch(error => logError("Handover event or notification failed:", error));
+        res.status(200).json({ ...extra, handover });
+    }
+
+    function handleHandoverError(res, error, action) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        logError(`Handover error (${action}):`, error);
+        res.status(500).json({ error: `Failed to ${action}.` });
+    }
+
+    app.get('/api/handovers/:id', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res);
+            if (!handover) return;
+            res.status(200).json({ handover });
+        } catch (error) {
+            handleHandoverError(res, error, 'load the handover');
+        }
+    });
+
+    // The lost reporter claims an item once the match is on-chain.
+    app.post('/api/handovers/:id/claim', requireWallet, async (req, res) => {
+        const lostId = readLostId(req, res);
+        if (!lostId) return;
+
+        try {
+            const { itemIndex, handoverStore } = await storesReady;
+            const lostItem = itemIndex.getItem(lostId);
+            if (!lostItem || !lostItem.isLost) {
+                return res.status(404).json({ error: `Lost item ${lostId} not found.` });
+            }
+            if (lostItem.reporter.toLowerCase() !== req.wallet) {
+                return res.status(403).json({ error: 'Only the reporter of the lost item can claim it.' });
+            }
+            const foundItem = lostItem.matchedId ? itemIndex.getItem(lostItem.matchedId) : null;
+            if (!foundItem) {
+                return res.status(409).json({ error: `Item ${lostId} has no match recorded on-chain yet.` });
+            }
+            const handover = handoverStore.claim(lostItem, foundItem);
+            log(`HANDOVER: item ${lostId} claimed by ${req.wallet} (${handover.questions.length} verification question(s)).`);
+            respondWithHandover(res, handover, 'handover.claimed');
+        } catch (error) {
+            handleHandoverError(res, error, 'claim the item');
+        }
+    });
+
+    // Body: { answers: [...] }, one per question, from the claimant. Right answers go to the finder.
+    app.post('/api/handovers/:id/answers', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res, { party: 'claimant' });
+            if (!handover) return;
+            const { handoverStore } = await storesReady;
+            const { correct, handover: updated } = handoverStore.submitAnswers(handover.lostId, req.body?.answers);
+            log(`HANDOVER: answers for item ${handover.lostId} ${correct ? 'accepted' : 'rejected'} (status: ${updated.status}).`);
+            respondWithHandover(res, updated, correct ? 'handover.answered' : null, { correct });
+        } catch (error) {
+            handleHandoverError(res, error, 'check the answers');
+        }
+    });
+
+    // The finder confirms the claimant: against their answers, or in person for items without questions.
+    app.post('/api/handovers/:id/verify', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res, { party: 'finder' });
+            if (!handover) return;
+            const { handoverStore } = await storesReady;
+            const updated = handoverStore.verify(handover.lostId);
+            log(`HANDOVER: finder verified the claimant of item ${handover.lostId} (${updated.verifiedBy}).`);
+            respondWithHandover(res, updated, 'handover.verified');
+        } catch (error) {
+            handleHandoverError(res, error, 'verify the claim');
+        }
+    });
+
+    // The finder turns down answers that don't fit the item they hold.
+    app.post('/api/handovers/:id/reject', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res, { party: 'finder' });
+            if (!handover) return;
+            const { handoverStore } = await storesReady;
+            const updated = handoverStore.reject(handover.lostId);
+            log(`HANDOVER: finder rejected the answers for item ${handover.lostId}.`);
+            respondWithHandover(res, updated, null);
+        } catch (error) {
+            handleHandoverError(res, error, 'reject the answers');
+        }
+    });
+
+    // Body: { text }. Lets the verified parties arrange where and when to meet.
+    app.post('/api/handovers/:id/messages', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res);
+            if (!handover) return;
+            const { handoverStore } = await storesReady;
+            res.status(200).json({ handover: handoverStore.addMessage(handover.lostId, req.wallet, req.body?.text) });
+        } catch (error) {
+            handleHandoverError(res, error, 'send the message');
+        }
+    });
+
+    // Either party marks the item as handed over.
+    app.post('/api/handovers/:id/complete', requireWallet, async (req, res) => {
+        try {
+            const handover = await loadHandover(req, res);
+            if (!handover) return;
+            const { handoverStore } = await storesReady;
+            const updated = handoverStore.complete(handover.lostId, req.wallet);
+            log(`HANDOVER: item ${handover.lostId} handed over (marked by ${req.wallet}).`);
+            respondWithHandover(res, updated, 'handover.completed');
+        } catch (error) {
+            handleHandoverError(res, error, 'complete the handover');
+        }
+    });
+
+    // Gives a claim that ran out of answer attempts a fresh start.
+    app.post('/api/handovers/:id/reopen', requireRole('moderator'), async (req, res) => {
+        const lostId = readLostId(req, res);
+        if (!lostId) return;
+
+        try {
+            const { handoverStore } = await storesReady;
+            const updated = handoverStore.reopen(lostId);
+            log(`Moderator ${req.user.email} reopened the claim on item ${lostId}.`);
+            respondWithHandover(res, updated, null);
+        } catch (error) {
+            handleHandoverError(res, error, 'reopen the claim');
+        }
+    });
+
+    // --- DUPLICATE REPORTS & REPORTER BLOCKLIST API ---
+    const DUPLICATE_STATUSES = ['flagged', 'dismissed'];
+
+    app.get('/api/duplicates', requireRole('moderator'), async (req, res) => {
+        const { status, cursor, limit } = req.query;
+        if (status && !DUPLICATE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${DUPLICATE_STATUSES.join(', ')}.` });
+        }
+        const pageSize = limit === undefined ? 20 : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+        }
+        const beforeId = cursor === undefined ? 0 : Number(cursor);
+        if (!Number.isInteger(beforeId) || beforeId < 0) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer.' });
+        }
+
+        try {
+            const { duplicateStore, itemIndex } = await storesReady;
+            const page = duplicateStore.list({ status, cursor: beforeId, limit: pageSize });
+            const duplicates = await Promise.all(page.duplicates.map(async duplicate => {
+                const [item, original] = await presentItems([itemIndex.getItem(duplicate.itemId), itemIndex.getItem(duplicate.duplicateOf)]);
+                return { ...duplicate, item, original };
+            }));
+            res.status(200).json({ duplicates, nextCursor: page.nextCursor });
+        } catch (error) {
+            logError("Duplicate listing error:", error);
+            res.status(500).json({ error: 'Failed to load duplicate reports.' });
+        }
+    });
+
+    // The two reports are different items after all; the flagged one goes back into matching.
+    app.post('/api/duplicates/:itemId/dismiss', requireRole('moderator'), async (req, res) => {
+        const itemId = Number(req.params.itemId);
+        if (!Number.isInteger(itemId) || itemId < 1) {
+            return res.status(400).json({ error: 'Item ID must be a positive integer.' });
+        }
+
+        try {
+            const { duplicateStore } = await storesReady;
+            const duplicate = duplicateStore.dismiss(itemId, req.user.email);
+            log(`Moderator ${req.user.email} cleared the duplicate flag on item ${itemId}.`);
+            triggerEngineRun(`duplicate-dismissed:${itemId}`);
+            res.status(200).json({ duplicate });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Duplicate dismissal error:", error);
+            res.status(500).json({ error: 'Failed to clear the duplicate flag.' });
+        }
+    });
+
+    app.get('/api/blocklist', requireRole('moderator'), async (req, res) => {
+        try {
+            const { blocklist } = await storesReady;
+            res.status(200).json({ reporters: blocklist.list() });
+        } catch (error) {
+            logError("Blocklist error:", error);
+            res.status(500).json({ error: 'Failed to load blocked reporters.' });
+        }
+    });
+
+    // Body: { reason }. Hides the reporter's items from listings and matching; nothing changes on-chain.
+    app.put('/api/blocklist/:address', requireRole('moderator'), async (req, res) => {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) || null : null;
+        try {
+            const { blocklist } = await storesReady;
+            const entry = blocklist.block(req.params.address, { reason, blockedBy: req.user.email });
+            log(`Moderator ${req.user.email} blocked reporter ${entry.address}.`);
+            // The stream is public: clients only learn that the lists changed, not whose items went.
+            events.publish('reporter.blocked');
+            res.status(200).json({ reporter: entry });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Blocklist update error:", error);
+            res.status(500).json({ error: 'Failed to block the reporter.' });
+        }
+    });
+
+    app.delete('/api/blocklist/:address', requireRole('moderator'), async (req, res) => {
+        try {
+            const { blocklist } = await storesReady;
+            if (!blocklist.unblock(req.params.address)) {
+                return res.status(404).json({ error: 'That reporter is not blocked.' });
+            }
+            const address = req.params.address.toLowerCase();
+            log(`Moderator ${req.user.email} unblocked reporter ${address}.`);
+            events.publish('reporter.unblocked');
+            triggerEngineRun(`reporter-unblocked:${address}`);
+            res.status(200).json({ ok: true });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Blocklist update error:", error);
+            res.status(500).json({ error: 'Failed to unblock the reporter.' });
+        }
+    });
+
+    // --- NOTIFICATIONS API ---
+    function readAddressQuery(req, res) {
+        const { address } = req.query;
+        if (!address || !ethers.isAddress(address)) {
+            res.status(400).json({ error: 'address must be a valid wallet address.' });
+            return null;
+        }
+        return address;
+    }
+
+    // Anyone can look up an address, but only its signed-in wallet sees even masked contact details.
+    function redactPreferences(preferences, { owner }) {
+        if (!preferences) return null;
+        if (!owner) return { address: preferences.address, configured: true };
+        const [name, domain] = preferences.email ? preferences.email.split('@') : [];
+        return {
+            address: preferences.address,
+            email: preferences.email ? `${name[0]}***@${domain}` : null,
+            webhookHost: preferences.webhookUrl ? new URL(preferences.webhookUrl).host : null,
+            events: preferences.events,
+            updatedAt: preferences.updatedAt
+        };
+    }
+
+    app.get('/api/notifications', requireWallet, async (req, res) => {
+        const address = req.wallet;
+
+        try {
+            const { notificationStore } = await storesReady;
+            res.status(200).json({
+                notifications: notificationStore.listInbox(address, { unreadOnly: req.query.unread === 'true' }),
+                unread: notificationStore.countUnread(address)
+            });
+        } catch (error) {
+            logError("Notification inbox error:", error);
+            res.status(500).json({ error: 'Failed to load notifications.' });
+        }
+    });
+
+    app.post('/api/notifications/:id/read', requireWallet, async (req, res) => {
+        const notificationId = Number(req.params.id);
+        if (!Number.isInteger(notificationId) || notificationId < 1) {
+            return res.status(400).json({ error: 'Notification ID must be a positive integer.' });
+        }
+        const address = req.wallet;
+
+        try {
+            const { notificationStore } = await storesReady;
+            const notification = notificationStore.markRead(address, notificationId);
+            if (!notification || notification.address !== address) {
+                return res.status(404).json({ error: `Notification ${notificationId} not found.` });
+            }
+            res.status(200).json({ notification });
+        } catch (error) {
+            logError("Notification update error:", error);
+            res.status(500).json({ error: 'Failed to update notification.' });
+        }
+    });
+
+    app.get('/api/notifications/preferences', async (req, res) => {
+        const address = readAddressQuery(req, res);
+        if (!address) return;
+
+        try {
+            const { notificationStore } = await storesReady;
+            res.status(200).json({
+                preferences: redactPreferences(notificationStore.getPreferences(address), {
+                    owner: Boolean(req.session?.wallet) && req.session.wallet === address.toLowerCase()
+                }),
+                events: NOTIFICATION_EVENTS
+            });
+        } catch (error) {
+            logError("Notification preferences error:", error);
+            res.status(500).json({ error: 'Failed to load notification preferences.' });
+        }
+    });
+
+    // Returns the exact message to sign for PUT /api/notifications/preferences.
+    // Body: { address, email, webhookUrl, events }
+    app.post('/api/notifications/preferences/message', (req, res) => {
+        const { address, email = null, webhookUrl = null, events = NOTIFICATION_EVENTS } = req.body || {};
+        if (!address || !ethers.isAddress(address) || !Array.isArray(events)) {
+            return res.status(400).json({ error: 'address must be a valid wallet address and events a list.' });
+        }
+        const issuedAt = new Date().toISOString();
+        res.status(200).json({ issuedAt, message: buildPreferencesMessage({ address, email, webhookUrl, events, issuedAt }) });
+    });
+
+    // Body: { address, email, webhookUrl, events, issuedAt, signature }. Returns the webhook secret when a new one was issued.
+    app.put('/api/notifications/preferences', async (req, res) => {
+        const { signature, ...input } = req.body || {};
+        if (typeof signature !== 'string' || !signature) {
+            return res.status(400).json({ error: 'signature is required.' });
+        }
+
+        try {
+            const { notificationStore } = await storesReady;
+            // Only public addresses: the server posts to this URL on the subscriber's behalf.
+            if (input.webhookUrl) await checkWebhookTarget(input.webhookUrl, { allowHttp: ALLOW_HTTP_WEBHOOKS });
+            const { preferences, webhookSecret } = notificationStore.savePreferences(input, signature);
+            log(`Notification preferences updated for ${preferences.address}.`);
+            res.status(200).json({ preferences, webhookSecret });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            logError("Notification preferences error:", error);
+            res.status(500).json({ error: 'Failed to save notification preferences.' });
+        }
+    });
+
+    // Delivery log for the signed-in wallet's email and webhook notifications. Upstream status codes and
+    // errors stay in the server log: they would tell a subscriber what answers at an address it chose.
+    app.get('/api/notifications/deliveries', requireWallet, async (req, res) => {
+        const address = req.wallet;
+
+        try {
+            const { notificationStore } = await storesReady;
+            const deliveries = notificationStore.listDeliveries(address)
+                .map(({ target, lastStatusCode, lastError, ...delivery }) => delivery);
+            res.status(200).json({ deliveries });
+        } catch (error) {
+            logError("Notification delivery log error:", error);
+            res.status(500).json({ error: 'Failed to load the delivery log.' });
+        }
+    });
+
+    // --- LIVE EVENT STREAM ---
+    // Server-Sent Events: item.reported, match.found and engine.* progress (see src/events.js).
+    app.get('/api/events', (req, res) => {
+        events.handleRequest(req, res);
+    });
+
+    // --- CHAIN SYNC STATUS API ---
+    // How far the item index trails the chain, plus the last reorg it rolled back.
+    app.get('/api/sync', requireRole('viewer'), async (req, res) => {
+        try {
+            const { itemIndex } = await storesReady;
+            res.status(200).json({ ...itemIndex.getSyncStatus(), connected: Boolean(contract) });
+        } catch (error) {
+            logError("Sync status error:", error);
+            res.status(500).json({ error: 'Failed to load the sync status.' });
+        }
+    });
+
+    // --- ENGINE RUN HISTORY API ---
+    const RUN_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'interrupted'];
+
+    app.get('/api/runs', requireRole('viewer'), async (req, res) => {
+        const { status, cursor, limit } = req.query;
+        if (status && !RUN_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${RUN_STATUSES.join(', ')}.` });
+        }
+        const pageSize = limit === undefined ? 20 : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+        }
+        const beforeId = cursor === undefined ? 0 : Number(cursor);
+        if (!Number.isInteger(beforeId) || beforeId < 0) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer.' });
+        }
+
+        try {
+            const { runStore } = await storesReady;
+            const queue = await engineQueueReady;
+            const { active, queued } = queue.status();
+            res.status(200).json({
+                ...runStore.listRuns({ status, cursor: beforeId, limit: pageSize }),
+                activeRunId: active ? active.id : null,
+                queuedRunId: queued ? queued.id : null
+            });
+        } catch (error) {
+            logError("Run listing error:", error);
+            res.status(500).json({ error: 'Failed to load engine runs.' });
+        }
+    });
+
+    app.get('/api/runs/:id', requireRole('viewer'), async (req, res) => {
+        const runId = Number(req.params.id);
+        if (!Number.isInteger(runId) || runId < 1) {
+            return res.status(400).json({ error: 'Run ID must be a positive integer.' });
+        }
+
+        try {
+            const { runStore } = await storesReady;
+            const run = runStore.getRun(runId);
+            if (!run) {
+                return res.status(404).json({ error: `Run ${runId} not found.` });
+            }
+            res.status(200).json(run);
+        } catch (error) {
+            logError("Run lookup error:", error);
+            res.status(500).json({ error: 'Failed to load engine run.' });
+        }
+    });
+
+    // --- MATCH TRANSACTION API ---
+    const TRANSACTION_STATUSES = ['pending', 'confirmed', 'reverted', 'failed', 'skipped'];
+
+    app.get('/api/transactions', requireRole('viewer'), async (req, res) => {
+        const { status, cursor, limit } = req.query;
+        if (status && !TRANSACTION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${TRANSACTION_STATUSES.join(', ')}.` });
+        }
+        const pageSize = limit === undefined ? 20 : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+        }
+        const beforeId = cursor === undefined ? 0 : Number(cursor);
+        if (!Number.isInteger(beforeId) || beforeId < 0) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer.' });
+        }
+
+        try {
+            const { txManager } = await storesReady;
+            res.status(200).json({
+                ...txManager.listTransactions({ status, cursor: beforeId, limit: pageSize }),
+                wallet: txManager.walletStatus()
+            });
+        } catch (error) {
+            logError("Transaction listing error:", error);
+            res.status(500).json({ error: 'Failed to load match transactions.' });
+        }
+    });
+
+    app.get('/api/transactions/:id', requireRole('viewer'), async (req, res) => {
+        const transactionId = Number(req.params.id);
+        if (!Number.isInteger(transactionId) || transactionId < 1) {
+            return res.status(400).json({ error: 'Transaction ID must be a positive integer.' });
+        }
+
+        try {
+            const { txManager } = await storesReady;
+            const transaction = txManager.getTransaction(transactionId);
+            if (!transaction) {
+                return res.status(404).json({ error: `Transaction ${transactionId} not found.` });
+            }
+            res.status(200).json(transaction);
+        } catch (error) {
+            logError("Transaction lookup error:", error);
+            res.status(500).json({ error: 'Failed to load match transaction.' });
+        }
+    });
+
+    // --- MANUAL TRIGGER FOR AI ENGINE ---
+    app.post('/api/run-engine', requireRole('moderator'), engineRateLimit, async (req, res) => {
+        log(`Manual match engine run triggered via API by ${req.user.email}.`);
+        try {
+            const run = await triggerEngineRun(`api:${req.user.email}`);
+            if (run.status === 'failed') {
+                return res.status(500).json({ message: "Matching engine run failed.", runId: run.id, error: run.error });
+            }
+            const { matches, proposals } = run;
+            const submitted = matches.filter(match => match.txHash);
+            let message = "Matching engine run completed. No new match found.";
+            if (matches.length > 0) {
+                message = `Matching engine run completed. ${submitted.length} of ${matches.length} match transaction(s) submitted.`;
+            } else if (proposals.length > 0) {
+                message = `Matching engine run completed. ${proposals.length} match(es) proposed and awaiting a decision.`;
+            }
+            res.status(200).json({ message, runId: run.id, matches, proposals });
+        } catch (error) {
+            logError("Error during manual engine run:", error);
+            res.status(500).json({ message: "Matching engine run failed.", error: error.message });
+        }
+    });
+
+
+    // --- MATCHING ENGINE LOGIC ---
+
+    /**
+     * Sends recordMatch through the transaction manager. Resolves to the transaction
+     * record once it is broadcast (receipts are followed by checkPending); throws if
+     * it could not be sent, with the record attached.
+     */
+    async function submitMatch(targetContract, lostId, foundId) {
+        log(`  -> Submitting match transaction for Lost ID ${lostId} <-> Found ID ${foundId}...`);
+        const { txManager } = await storesReady;
+        const record = await txManager.submit(targetContract, { lostId, foundId });
+        if (record.status !== 'pending' && record.status !== 'confirmed') {
+            throw Object.assign(new Error(record.error), { record });
+        }
+        log(`    - Match transaction ${record.txHash} (nonce ${record.nonce}) is ${record.status}.`);
+        return record;
+    }
+
+    /**
+     * Re-reads a pair from the contract before it is recorded or proposed: the lost
+     * item must be lost, the found item found, and neither matched yet. Resolves to
+     * the reason the pair can't go ahead, or null.
+     */
+    async function checkPairOnChain(targetContract, lostId, foundId) {
+        try {
+            const [lostItem, foundItem, lostMatch, foundMatch] = await Promise.all([
+                targetContract.getItem(lostId),
+                targetContract.getItem(foundId),
+                targetContract.matchedItem(lostId),
+                targetContract.matchedItem(foundId)
+            ]);
+            if (!lostItem.isLost || foundItem.isLost) return 'not one lost and one found item on-chain';
+            if (lostMatch !== 0n || foundMatch !== 0n) return `already matched on-chain (${lostId} -> ${lostMatch}, ${foundId} -> ${foundMatch})`;
+            return null;
+        } catch (error) {
+            return `could not be read from the contract (${error.shortMessage || error.message})`;
+        }
+    }
+
+    // Relays transaction progress to live clients and refreshes the index once a match is on-chain.
+    function handleTransactionChange(type, record) {
+        const { lostId, foundId, txHash } = record;
+        transactionsTotal.inc({ outcome: type });
+        if (type === 'submitted') {
+            events.publish('engine.submitted', { lostId, foundId, txHash });
+        } else if (type === 'replaced') {
+            events.publish('engine.replaced', { lostId, foundId, txHash, replacements: record.replacements });
+        } else if (type === 'confirmed') {
+            log(`    - SUCCESS: Match transaction ${txHash} confirmed!`);
+            events.publish('engine.confirmed', { lostId, foundId, txHash, blockNumber: record.blockNumber });
+            syncItemIndex().catch(error => logError("Item index sync failed:", error));
+        } else if (type === 'failed') {
+            events.publish('engine.failed', { lostId, foundId, txHash, error: record.error });
+        }
+    }
+
+    /**
+     * Submits one recordMatch per pair without waiting for receipts. The transaction
+     * manager hands out nonces, so the transactions pipeline instead of queueing behind each other.
+     */
+    async function submitMatches(targetContract, pairs) {
+        const results = [];
+        for (const pair of pairs) {
+            try {
+                const record = await submitMatch(targetContract, pair.lostId, pair.foundId);
+                results.push({ ...pair, txHash: record.txHash, transactionId: record.id });
+            } catch (error) {
+                logError(`    - ERROR: Could not submit Lost ID ${pair.lostId} <-> Found ID ${pair.foundId}: ${error.message}`);
+                results.push({ ...pair, txHash: null, transactionId: error.record ? error.record.id : null, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    // Records every reporter-confirmed match, after applying the confirmation timeout policy.
+    async function submitConfirmedMatches(targetContract) {
+        const { confirmations } = await storesReady;
+        confirmations.applyTimeouts();
+        const itemIndex = await syncItemIndex(targetContract);
+
+        const submitted = [];
+        for (const confirmation of confirmations.listReady()) {
+            const lostItem = itemIndex.getItem(confirmation.lostId);
+            const foundItem = itemIndex.getItem(confirmation.foundId);
+            if (!lostItem || !foundItem || lostItem.matchedId || foundItem.matchedId) {
+                log(`Confirmation #${confirmation.id} is stale (an item was matched elsewhere). Expiring it.`);
+                confirmations.expire(confirmation.id);
+                continue;
+            }
+            log(`Both reporters confirmed #${confirmation.id} (Lost ID ${confirmation.lostId} <-> Found ID ${confirmation.foundId}).`);
+            try {
+                const record = await submitMatch(targetContract, confirmation.lostId, confirmation.foundId);
+                submitted.push(confirmations.markSubmitted(confirmation.id, record.txHash));
+            } catch (error) {
+                // Left 'confirmed', so the next run tries again.
+                logError(`    - ERROR: Could not submit confirmation #${confirmation.id}: ${error.message}`);
+            }
+        }
+        return submitted;
+    }
+
+    /**
+     * Main function to run the matching engine:
+     * 1. Sync the local item index from contract events.
+     * 2. Load the unmatched items from the index.
+     * 3. Ask the configured matcher for ranked candidates for every lost item and store them.
+     * 4. Resolve all candidates above MATCH_CONFIDENCE_THRESHOLD into the best one-to-one
+     *    assignment, so no found item goes to two lost items, and re-check each pair
+     *    on-chain. Then record every pair on the FEVM (MATCH_MODE=auto), queue them for
+     *    moderator review (MATCH_MODE=review) or ask both reporters to confirm them
+     *    (MATCH_MODE=confirm). In auto mode, pairs with an item whose text looks like a
+     *    prompt injection (src/matchers/injection.js) go to moderator review instead.
+     *
+     * Resolves to `{ itemsEvaluated, matches, proposals }` for this run. Only call it
+     * through the engine run queue (`triggerEngineRun`), never directly.
+     */
+    async function runMatchingEngine() {
+        log("--- Starting Match Engine Run (Batch Assignment) ---");
+        try {
+            // Captured once so a provider reset mid-run can't switch contracts under us.
+            const currentContract = contract;
+            if (!currentContract) {
+                throw new Error("Not connected to the FEVM; the provider is resetting.");
+            }
+
+            log("Step 1/4: Syncing local item index with contract events...");
+            const itemIndex = await syncItemIndex(currentContract);
+            log(`Index holds ${itemIndex.countItems()} items (synced to block ${itemIndex.getLastBlock()}).`);
+            const { candidateStore, reviewQueue, confirmations, notifier, duplicateStore, blocklist } = await storesReady;
+            await submitConfirmedMatches(currentContract);
+
+            log("Step 2/4: Loading unmatched Lost and Found items from index...");
+            const { lost: unmatchedLostItems, found: unmatchedFoundItems } = itemIndex.getUnmatchedItems();
+            // Items already waiting for a moderator or their reporters are left alone until decided.
+            const pendingIds = new Set([...reviewQueue.pendingItemIds(), ...confirmations.openItemIds()]);
+            // Flagged duplicates and blocked reporters' items are never matched.
+            const duplicateIds = duplicateStore.flaggedItemIds();
+            const isEligible = item => !pendingIds.has(item.itemId) && !duplicateIds.has(item.itemId) && !blocklist.isBlocked(item.reporter);
+            const lostItems = await metadataResolver.withMetadata(unmatchedLostItems.filter(isEligible));
+            const foundItems = await metadataResolver.withMetadata(unmatchedFoundItems.filter(isEligible));
+            if (lostItems.length === 0 || foundItems.length === 0) {
+                log("No unmatched items of both types to compare. Exiting.");
+                return { itemsEvaluated: 0, matches: [], proposals: [] };
+            }
+            const injectionSignals = new Map();
+            for (const item of [...lostItems, ...foundItems]) {
+                const signals = detectInjection(item);
+                if (signals.length === 0) continue;
+                injectionSignals.set(item.itemId, signals);
+                log(`SUSPECTED PROMPT INJECTION: item ${item.itemId} (${signals.map(({ field, signal }) => `${signal} in ${field}`).join(', ')}).`);
+            }
+
+            log(`Found ${lostItems.length} unmatched lost items and ${foundItems.length} unmatched found items (${pendingIds.size} awaiting a decision, ${duplicateIds.size} flagged as duplicates).`);
+            log("Step 3/4: Evaluating every lost item against the found items...");
+
+            const cacheStatsBefore = imageCache.getStats();
+            const edges = [];
+            for (const lostItem of lostItems) {
+                log(`- Evaluating LOST item ID: ${lostItem.itemId} ("${lostItem.title}")`);
+                // Only the shortlist that passes the distance, time and category checks reaches the matcher.
+                const { kept, rejected } = prefilter.filter(lostItem, foundItems);
+                for (const { item, reason } of rejected) {
+                    log(`  -> Pre-filter rejected Found ID ${item.itemId}: ${reason}.`);
+                }
+                log(`  -> ${kept.length} of ${foundItems.length} found item(s) shortlisted.`);
+                const results = kept.length === 0 ? [] : await matcher.findCandidates(lostItem, kept);
+                // Matchers check this themselves; whatever one returns, nothing off the shortlist goes further.
+                const shortlisted = new Set(kept.map(item => item.itemId));
+                for (const candidate of results.filter(candidate => !shortlisted.has(candidate.foundId))) {
+                    log(`  -> Dropped Found ID ${candidate.foundId}: it was not on the shortlist.`);
+                }
+                const candidates = results
+                    .filter(candidate => shortlisted.has(candidate.foundId)
+                        && !reviewQueue.isRejected(lostItem.itemId, candidate.foundId)
+                        && !confirmations.isClosedPair(lostItem.itemId, candidate.foundId));
+                candidateStore.replaceCandidates(lostItem.itemId, candidates);
+
+                const best = candidates[0];
+                events.publish('engine.evaluated', {
+                    lostId: lostItem.itemId,
+                    title: lostItem.title,
+                    shortlisted: kept.length,
+                    candidates: candidates.length,
+                    best: best ? { foundId: best.foundId, confidence: best.confidence } : null
+                });
+                if (!best) {
+                    log("  -> No candidates.");
+                    continue;
+                }
+                log(`  -> ${candidates.length} candidate(s); best is Found ID ${best.foundId} at ${best.confidence}% (${best.matchedFeatures.join(', ') || 'no features'}).`);
+                for (const candidate of candidates) {
+                    if (candidate.confidence >= MATCH_CONFIDENCE_THRESHOLD) {
+                        edges.push({ lostId: lostItem.itemId, foundId: candidate.foundId, score: candidate.confidence, candidate });
+                    }
+                }
+            }
+
+            const cacheStats = imageCache.getStats();
+            log(`Image cache: ${cacheStats.hits - cacheStatsBefore.hits} hits, ${cacheStats.misses - cacheStatsBefore.misses} misses, ${cacheStats.fetchFailures - cacheStatsBefore.fetchFailures} fetch failures this run.`);
+
+            log(`Step 4/4: Resolving ${edges.length} pair(s) above ${MATCH_CONFIDENCE_THRESHOLD}% into a one-to-one assignment...`);
+            const assignment = [];
+            for (const edge of assignOneToOne(edges)) {
+                const problem = await checkPairOnChain(currentContract, edge.lostId, edge.foundId);
+                if (problem) {
+                    log(`  -> Dropped Lost ID ${edge.lostId} <-> Found ID ${edge.foundId}: ${problem}.`);
+                    continue;
+                }
+                log(`  -> Assigned Lost ID ${edge.lostId} <-> Found ID ${edge.foundId} (${edge.score}%)`);
+                assignment.push(edge);
+            }
+            if (assignment.length === 0) {
+                log("--- Match Engine Run Finished (No New Matches Found) ---");
+                return { itemsEvaluated: lostItems.length, matches: [], proposals: [] };
+            }
+
+            function propose(mode, edge) {
+                const lostItem = lostItems.find(item => item.itemId === edge.lostId);
+                const foundItem = foundItems.find(item => item.itemId === edge.foundId);
+                const proposal = mode === 'review'
+                    ? reviewQueue.propose(lostItem, foundItem, edge.candidate)
+                    : confirmations.propose(lostItem, foundItem, edge.candidate);
+                log(mode === 'review'
+                    ? `  -> QUEUED: Proposal #${proposal.id} awaits moderator review.`
+                    : `  -> PROPOSED: Confirmation #${proposal.id} sent to reporters ${lostItem.reporter} and ${foundItem.reporter}.`);
+                // Reporters are only asked to act in confirm mode; in review mode they hear once it is recorded.
+                if (mode === 'confirm') {
+                    notifier.notify('match.proposed', { lostItem, foundItem, proposalId: proposal.id });
+                }
+                events.publish('engine.proposed', { id: proposal.id, mode, lostId: edge.lostId, foundId: edge.foundId, confidence: edge.score });
+                return { id: proposal.id, lostId: edge.lostId, foundId: edge.foundId, confidence: edge.score };
+            }
+
+            if (MATCH_MODE === 'review' || MATCH_MODE === 'confirm') {
+                const proposals = assignment.map(edge => propose(MATCH_MODE, edge));
+                log(`--- Match Engine Run Finished (${proposals.length} Proposal(s) Awaiting a Decision) ---`);
+                return { itemsEvaluated: lostItems.length, matches: [], proposals };
+            }
+
+            // A pair the model may have been talked into is never recorded without a moderator.
+            const isSuspect = edge => injectionSignals.has(edge.lostId) || injectionSignals.has(edge.foundId);
+            const proposals = assignment.filter(isSuspect).map(edge => {
+                log(`  -> HELD: Lost ID ${edge.lostId} <-> Found ID ${edge.foundId} involves a suspected prompt injection.`);
+                return propose('review', edge);
+            });
+            const matches = await submitMatches(currentContract, assignment.filter(edge => !isSuspect(edge)).map(edge => ({
+                lostId: edge.lostId,
+                foundId: edge.foundId,
+                confidence: edge.score
+            })));
+            log(`--- Match Engine Run Finished (${matches.filter(match => match.txHash).length} Match(es) Submitted, ${proposals.length} Held for Review) ---`);
+            return { itemsEvaluated: lostItems.length, matches, proposals };
+
+        } catch (error) {
+            logError("CRITICAL: Error during matching engine run:", error);
+            log("--- Match Engine Run Finished with CRITICAL ERROR ---");
+            throw error;
+        }
+    }
+
+    // Runs the engine for a queued run record and reports its start and end to live clients.
+    // Everything logged during the run, by the app or the stores it calls, carries the run ID.
+    function executeEngineRun(run) {
+        return withLogContext({ runId: run.id }, async () => {
+            events.publish('engine.started', { runId: run.id, triggers: [run.trigger, ...run.coalescedTriggers] });
+            const startedAt = Date.now();
+            try {
+                const result = await runMatchingEngine();
+                engineRunsTotal.inc({ status: 'succeeded' });
+                events.publish('engine.finished', { runId: run.id, matches: result.matches, proposals: result.proposals });
+                return result;
+            } catch (error) {
+                engineRunsTotal.inc({ status: 'failed' });
+                events.publish('engine.finished', { runId: run.id, error: error.shortMessage || error.message });
+                throw error;
+            } finally {
+                engineRunDuration.observe({}, (Date.now() - startedAt) / 1000);
+            }
+        });
+    }
+
+
+    // --- LIFECYCLE ---
+    let intervals = [];
+    let httpServer = null;
+
+    // Connects to the chain and starts the background jobs, without listening (a tenant host listens for all of its tenants).
+    function startJobs() {
+        stopped = false;
+        initializeProvider();
+
+        // Run the engine periodically as a backup to the runs new reports start.
+        log(`Starting periodic match engine (runs every ${engineIntervalMs / 1000} seconds)...`);
+        intervals = [
+            setInterval(() => triggerEngineRun('interval'), engineIntervalMs),
+            // Follow pending match transactions: receipts, stuck replacements and the wallet balance.
+            setInterval(() => {
+                storesReady
+                    .then(({ txManager }) => txManager.checkPending())
+                    .catch(error => logError("Transaction check error:", error));
+            }, txCheckIntervalMs),
+            // Read new blocks into the item index; new items and matches come out of handleIndexChange.
+            setInterval(() => {
+                syncItemIndex().catch(error => logError("Item index sync failed:", error.shortMessage || error.message));
+            }, chainPollIntervalMs),
+            // Retry email and webhook deliveries that are due.
+            setInterval(() => {
+                storesReady
+                    .then(({ notifier }) => notifier.processDeliveries())
+                    .catch(error => logError("Notification delivery error:", error));
+            }, deliveryIntervalMs)
+        ];
+    }
+
+    // Starts the background jobs and listens on `port` (0 picks a free one).
+    function start({ port = config.server.port } = {}) {
+        startJobs();
+        return new Promise((resolve, reject) => {
+            httpServer = http.createServer(app);
+            httpServer.once('error', reject);
+            httpServer.listen(port, () => {
+                log(`Backend server running at http://localhost:${httpServer.address().port}`);
+                resolve(httpServer);
+            });
+        });
+    }
+
+    // Undoes start() or startJobs(): stops the timers and the listener, lets a running engine run finish, then disconnects and writes out the database.
+    async function stop() {
+        stopped = true;
+        intervals.forEach(clearInterval);
+        intervals = [];
+        clearTimeout(resetTimer);
+        resetTimer = null;
+        isResetting = false;
+        if (httpServer) {
+            const closing = new Promise(resolve => httpServer.close(() => resolve()));
+            // Live event streams never end by themselves.
+            httpServer.closeAllConnections();
+            await closing;
+            httpServer = null;
+        }
+        const queue = await engineQueueReady;
+        await queue.idle();
+        disconnectProvider();
+        // Recent writes may still be waiting for their delayed save (see src/db.js).
+        const db = await databaseReady.catch(() => null);
+        if (db) db.flush();
+    }
+
+    return {
+        app,
+        start,
+        startJobs,
+        stop,
+        health,
+        readiness,
+        resetProvider,
+        triggerEngineRun,
+        storesReady,
+        events,
+        getContract: () => contract
+    };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,98 @@
+/**
+ * Global one-to-one assignment of LOST items to FOUND items.
+ *
+ * Given every eligible (lostId, foundId, score) edge from a run, picks the set of
+ * pairs with the highest total score in which no item appears twice (Hungarian
+ * algorithm on a square, zero-padded matrix). Rows and columns are in ID order,
+ * so equally good pairs go to the earliest reports whatever order the edges
+ * come in.
+ */
+
+// Classic O(n^3) Hungarian algorithm minimising `cost`, 1-indexed internally.
+function hungarian(cost) {
+    const n = cost.length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const p = new Array(n + 1).fill(0);
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j]) {
+                    minv[j] = cur;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    // rowFor[col] = row assigned to that column (0-indexed)
+    const rowFor = new Array(n);
+    for (let j = 1; j <= n; j++) rowFor[j - 1] = p[j] - 1;
+    return rowFor;
+}
+
+/**
+ * @param {Array<{lostId: number, foundId: number, score: number}>} edges eligible pairs
+ * @returns the chosen edges, best score first, then by lost item ID
+ */
+function assignOneToOne(edges) {
+    if (edges.length === 0) return [];
+
+    const lostIds = [...new Set(edges.map(edge => edge.lostId))].sort((a, b) => a - b);
+    const foundIds = [...new Set(edges.map(edge => edge.foundId))].sort((a, b) => a - b);
+    const size = Math.max(lostIds.length, foundIds.length);
+    const maxScore = Math.max(...edges.map(edge => edge.score));
+
+    // Minimise (maxScore - score); missing edges cost maxScore, i.e. score 0.
+    const cost = Array.from({ length: size }, () => new Array(size).fill(maxScore));
+    const edgeAt = new Map();
+    for (const edge of edges) {
+        const row = lostIds.indexOf(edge.lostId);
+        const col = foundIds.indexOf(edge.foundId);
+        const key = `${row}:${col}`;
+        if (!edgeAt.has(key) || edgeAt.get(key).score < edge.score) {
+            edgeAt.set(key, edge);
+            cost[row][col] = maxScore - edge.score;
+        }
+    }
+
+    const rowFor = hungarian(cost);
+    const chosen = [];
+    rowFor.forEach((row, col) => {
+        const edge = edgeAt.get(`${row}:${col}`);
+        if (edge) chosen.push(edge);
+    });
+    return chosen.sort((a, b) => b.score - a.score || a.lostId - b.lostId);
+}
+
+module.exports = { assignOneToOne };
@@ -0,0 +1,85 @@
+const { Passport } = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const { createUserStore, hasRole, ROLES, NO_ROLE } = require('./users');
+const { createWalletAuth, buildSignInMessage } = require('./wallet');
+const { createSessionStore } = require('./sessionStore');
+
+/**
+ * Two kinds of sign-in share one session:
+ *  - staff sign in with Google (`req.user`, with a role from the database);
+ *  - reporters sign in with their wallet (`req.session.wallet`, a lowercased address).
+ */
+
+/**
+ * Returns a Passport instance with the Google strategy, or without it when
+ * `google.clientID` is not configured. `getUserStore()` resolves to the user store.
+ */
+function createPassport({ google, getUserStore, log = () => {} }) {
+    const passport = new Passport();
+
+    passport.serializeUser((user, done) => done(null, user.id));
+    passport.deserializeUser((id, done) => {
+        getUserStore()
+            .then(userStore => done(null, userStore.getUser(id) || false))
+            .catch(done);
+    });
+
+    if (google && google.clientID) {
+        passport.use(new GoogleStrategy(
+            { clientID: google.clientID, clientSecret: google.clientSecret, callbackURL: google.callbackURL },
+            (accessToken, refreshToken, profile, done) => {
+                const email = profile.emails && profile.emails[0];
+                if (!email) return done(null, false, { message: 'Google did not share an email address.' });
+                getUserStore()
+                    .then(userStore => {
+                        const user = userStore.recordGoogleLogin({
+                            googleId: profile.id,
+                            email: email.value,
+                            name: profile.displayName,
+                            emailVerified: email.verified === true || email.verified === 'true'
+                        });
+                        log(`Staff sign-in: ${user.email} (${user.role}).`);
+                        done(null, user);
+                    })
+                    .catch(done);
+            }
+        ));
+    }
+    return passport;
+}
+
+// Middleware: only staff with at least `role` get through.
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Staff sign-in required.' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `This requires the '${role}' role.` });
+        }
+        next();
+    };
+}
+
+// Middleware: only a wallet-signed-in reporter gets through; sets `req.wallet`.
+function requireWallet(req, res, next) {
+    const wallet = req.session && req.session.wallet;
+    if (!wallet) {
+        return res.status(401).json({ error: 'Sign in with your wallet first.' });
+    }
+    req.wallet = wallet;
+    next();
+}
+
+module.exports = {
+    createPassport,
+    requireRole,
+    requireWallet,
+    createUserStore,
+    createWalletAuth,
+    createSessionStore,
+    buildSignInMessage,
+    hasRole,
+    ROLES,
+    NO_ROLE
+};
@@ -0,0 +1,82 @@
+/**
+ * express-session store backed by the app database, so sign-ins survive a restart.
+ * `Store` is `require('express-session').Store`.
+ */
+
+// Sliding expiry is only written back when it moved by more than this, to avoid a disk write per request.
+const TOUCH_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+`;
+
+function expiryOf(session) {
+    const expires = session.cookie && session.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+}
+
+function createSessionStore({ db, Store }) {
+    db.exec(SCHEMA);
+
+    class DatabaseSessionStore extends Store {
+        get(sid, callback) {
+            try {
+                const row = db.get('SELECT data, expires_at FROM sessions WHERE sid = ?', [sid]);
+                if (!row) return callback(null, null);
+                if (row.expires_at < Date.now()) {
+                    db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+                    return callback(null, null);
+                }
+                callback(null, JSON.parse(row.data));
+            } catch (error) {
+                callback(error);
+            }
+        }
+
+        set(sid, session, callback = () => {}) {
+            try {
+                db.run(
+                    `INSERT INTO sessions (sid, data, expires_at) VALUES (?, ?, ?)
+                     ON CONFLICT(sid) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`,
+                    [sid, JSON.stringify(session), expiryOf(session)]
+                );
+                callback(null);
+            } catch (error) {
+                callback(error);
+            }
+        }
+
+        touch(sid, session, callback = () => {}) {
+            try {
+                const expiresAt = expiryOf(session);
+                const row = db.get('SELECT expires_at FROM sessions WHERE sid = ?', [sid]);
+                if (row && row.expires_at < expiresAt - TOUCH_INTERVAL_MS) {
+                    db.run('UPDATE sessions SET expires_at = ? WHERE sid = ?', [expiresAt, sid]);
+                }
+                callback(null);
+            } catch (error) {
+                callback(error);
+            }
+        }
+
+        destroy(sid, callback = () => {}) {
+            try {
+                db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+                callback(null);
+            } catch (error) {
+                callback(error);
+            }
+        }
+    }
+
+    const store = new DatabaseSessionStore();
+    db.run('DELETE FROM sessions WHERE expires_at < ?', [Date.now()]);
+    return store;
+}
+
+module.exports = { createSessionStore };
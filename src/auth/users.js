@@ -0,0 +1,127 @@
+/**
+ * Staff accounts, created on first Google sign-in, and their roles.
+ *
+ * Roles are ordered: a moderator can do everything a viewer can, an admin
+ * everything a moderator can. New accounts start with no role, so signing in
+ * with any Google account grants nothing until an admin assigns one.
+ *
+ * Addresses on the admin allowlist (config) are admins on every sign-in and
+ * can't be demoted from the API. An account that was admin only through the
+ * allowlist loses the role when its email leaves the list.
+ */
+
+const ROLES = ['viewer', 'moderator', 'admin'];
+// Below every role: signed in, but allowed nothing.
+const NO_ROLE = 'none';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS staff_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        google_id TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        name TEXT,
+        role TEXT NOT NULL,
+        -- 1 while the role is 'admin' only because the email is on the allowlist.
+        allowlisted INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT NOT NULL
+    );
+`;
+
+function rowToUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function createUserStore({ db, adminEmails = [] }) {
+    db.exec(SCHEMA);
+    // Databases created before allowlist admins were told apart.
+    if (!db.all('PRAGMA table_info(staff_users)').some(column => column.name === 'allowlisted')) {
+        db.exec('ALTER TABLE staff_users ADD COLUMN allowlisted INTEGER NOT NULL DEFAULT 0');
+    }
+    const admins = new Set(adminEmails.map(email => email.trim().toLowerCase()).filter(Boolean));
+
+    // The allowlist only changes with the config, so accounts it no longer covers are demoted at startup.
+    for (const row of db.all('SELECT id, email FROM staff_users WHERE allowlisted = 1')) {
+        if (!admins.has(row.email)) {
+            db.run('UPDATE staff_users SET role = ?, allowlisted = 0 WHERE id = ?', [NO_ROLE, row.id]);
+        }
+    }
+
+    function getUser(id) {
+        const row = db.get('SELECT * FROM staff_users WHERE id = ?', [id]);
+        return row ? rowToUser(row) : null;
+    }
+
+    function isAllowlistedAdmin(user) {
+        return admins.has(user.email.toLowerCase());
+    }
+
+    /**
+     * Creates or updates the account for a Google profile and returns it. Only a
+     * verified email can match the admin allowlist.
+     */
+    function recordGoogleLogin({ googleId, email, name, emailVerified }) {
+        const now = new Date().toISOString();
+        const normalizedEmail = email.toLowerCase();
+        const existing = db.get('SELECT * FROM staff_users WHERE google_id = ?', [googleId]);
+        let role = existing ? existing.role : NO_ROLE;
+        let allowlisted = existing ? existing.allowlisted : 0;
+        if (emailVerified && admins.has(normalizedEmail)) {
+            // An admin granted through the API stays one if the email later leaves the list.
+            if (role !== 'admin') allowlisted = 1;
+            role = 'admin';
+        } else if (allowlisted) {
+            role = NO_ROLE;
+            allowlisted = 0;
+        }
+
+        if (existing) {
+            db.run(
+                'UPDATE staff_users SET email = ?, name = ?, role = ?, allowlisted = ?, last_login_at = ? WHERE id = ?',
+                [normalizedEmail, name || null, role, allowlisted, now, existing.id]
+            );
+            return getUser(existing.id);
+        }
+        db.run(
+            'INSERT INTO staff_users (google_id, email, name, role, allowlisted, created_at, last_login_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [googleId, normalizedEmail, name || null, role, allowlisted, now, now]
+        );
+        return rowToUser(db.get('SELECT * FROM staff_users WHERE google_id = ?', [googleId]));
+    }
+
+    function listUsers() {
+        return db.all('SELECT * FROM staff_users ORDER BY id').map(rowToUser);
+    }
+
+    // Throws an error with a `statusCode` when the change isn't allowed.
+    function setRole(id, role) {
+        if (role !== NO_ROLE && !ROLES.includes(role)) {
+            throw Object.assign(new Error(`role must be one of: ${[NO_ROLE, ...ROLES].join(', ')}.`), { statusCode: 400 });
+        }
+        const user = getUser(id);
+        if (!user) {
+            throw Object.assign(new Error(`User ${id} not found.`), { statusCode: 404 });
+        }
+        if (role !== 'admin' && isAllowlistedAdmin(user)) {
+            throw Object.assign(new Error(`${user.email} is on the admin allowlist; remove it from ADMIN_EMAILS instead.`), { statusCode: 409 });
+        }
+        // A role set here is the admin's decision, not the allowlist's.
+        db.run('UPDATE staff_users SET role = ?, allowlisted = 0 WHERE id = ?', [role, id]);
+        return getUser(id);
+    }
+
+    return { getUser, recordGoogleLogin, listUsers, setRole };
+}
+
+module.exports = { createUserStore, hasRole, ROLES, NO_ROLE };
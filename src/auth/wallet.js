@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Sign-in with Ethereum (EIP-4361 style) for reporters.
+ *
+ * The server issues a one-time nonce inside a sign-in message for an address;
+ * the wallet signs it with `personal_sign` and the signature is checked against
+ * the exact message that was issued. Each nonce works once, before it expires.
+ */
+
+const DEFAULT_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const STATEMENT = 'Sign in to DL&F to see your items and notifications.';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS wallet_challenges (
+        nonce TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        message TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+    );
+`;
+
+function authError(message, statusCode = 401) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+function buildSignInMessage({ domain, uri, chainId, address, nonce, issuedAt, expiresAt }) {
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        STATEMENT,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expiresAt}`
+    ].join('\n');
+}
+
+function createWalletAuth({ db, domain, uri, chainId, challengeTtlMs = DEFAULT_CHALLENGE_TTL_MS }) {
+    db.exec(SCHEMA);
+
+    // Returns `{ nonce, message, expiresAt }` for `address` to sign.
+    function createChallenge(address, now = Date.now()) {
+        if (typeof address !== 'string' || !ethers.isAddress(address)) {
+            throw authError('address must be a valid wallet address.', 400);
+        }
+        // Challenges are only useful until they expire.
+        db.run('DELETE FROM wallet_challenges WHERE expires_at < ?', [new Date(now).toISOString()]);
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date(now).toISOString();
+        const expiresAt = new Date(now + challengeTtlMs).toISOString();
+        const message = buildSignInMessage({
+            domain,
+            uri,
+            chainId,
+            address: ethers.getAddress(address),
+            nonce,
+            issuedAt,
+            expiresAt
+        });
+        db.run(
+            'INSERT INTO wallet_challenges (nonce, address, message, expires_at) VALUES (?, ?, ?, ?)',
+            [nonce, address.toLowerCase(), message, expiresAt]
+        );
+        return { nonce, message, expiresAt };
+    }
+
+    /**
+     * Checks a signed challenge and returns the lowercased address it signs in.
+     * Throws an error with a `statusCode` if it can't be accepted.
+     */
+    function verify(message, signature, now = Date.now()) {
+        if (typeof message !== 'string' || typeof signature !== 'string') {
+            throw authError('message and signature are required.', 400);
+        }
+        const match = /^Nonce: ([0-9a-f]+)$/m.exec(message);
+        const challenge = match && db.get('SELECT * FROM wallet_challenges WHERE nonce = ?', [match[1]]);
+        if (!challenge || challenge.message !== message) {
+            throw authError('Unknown sign-in message. Request a new one.');
+        }
+        if (challenge.used_at) {
+            throw authError('This sign-in message was already used. Request a new one.');
+        }
+        if (Date.parse(challenge.expires_at) < now) {
+            throw authError('This sign-in message has expired. Request a new one.');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature).toLowerCase();
+        } catch (error) {
+            throw authError('Invalid signature.', 400);
+        }
+        if (signer !== challenge.address) {
+            throw authError('Signature does not belong to this address.', 403);
+        }
+        db.run('UPDATE wallet_challenges SET used_at = ? WHERE nonce = ?', [new Date(now).toISOString(), challenge.nonce]);
+        return challenge.address;
+    }
+
+    return { createChallenge, verify };
+}
+
+module.exports = { createWalletAuth, buildSignInMessage };
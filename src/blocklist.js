@@ -0,0 +1,77 @@
+/**
+ * Reporter addresses hidden by moderators for abuse.
+ *
+ * The contract can't stop a wallet from reporting, so a blocked reporter's
+ * items stay on-chain but are left out of matching and of every listing.
+ * Addresses are kept lowercased; the set is cached in memory because the
+ * engine and the read APIs consult it on every call.
+ */
+
+const { ethers } = require('ethers');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS blocked_reporters (
+        address TEXT PRIMARY KEY,
+        reason TEXT,
+        blocked_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+`;
+
+function rowToEntry(row) {
+    return { address: row.address, reason: row.reason, blockedBy: row.blocked_by, createdAt: row.created_at };
+}
+
+function normalizeAddress(address) {
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        throw Object.assign(new Error('A valid reporter address is required.'), { statusCode: 400 });
+    }
+    return address.toLowerCase();
+}
+
+function createBlocklist({ db }) {
+    db.exec(SCHEMA);
+    const blocked = new Set(db.all('SELECT address FROM blocked_reporters').map(row => row.address));
+
+    function get(address) {
+        const row = db.get('SELECT * FROM blocked_reporters WHERE address = ?', [address]);
+        return row ? rowToEntry(row) : null;
+    }
+
+    function block(address, { reason = null, blockedBy }) {
+        const normalized = normalizeAddress(address);
+        db.run(
+            `INSERT INTO blocked_reporters (address, reason, blocked_by, created_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT(address) DO UPDATE SET reason = excluded.reason, blocked_by = excluded.blocked_by`,
+            [normalized, reason, blockedBy, new Date().toISOString()]
+        );
+        blocked.add(normalized);
+        return get(normalized);
+    }
+
+    // Returns false if the address wasn't blocked.
+    function unblock(address) {
+        const normalized = normalizeAddress(address);
+        if (!blocked.has(normalized)) return false;
+        db.run('DELETE FROM blocked_reporters WHERE address = ?', [normalized]);
+        blocked.delete(normalized);
+        return true;
+    }
+
+    function isBlocked(address) {
+        return Boolean(address) && blocked.has(address.toLowerCase());
+    }
+
+    // Lowercased addresses, for queries that leave blocked reporters out.
+    function addresses() {
+        return [...blocked];
+    }
+
+    function list() {
+        return db.all('SELECT * FROM blocked_reporters ORDER BY created_at DESC').map(rowToEntry);
+    }
+
+    return { block, unblock, isBlocked, addresses, list };
+}
+
+module.exports = { createBlocklist };
@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MATCHERS } = require('./matchers');
+const { DEFAULT_PREFILTER_OPTIONS } = require('./matchers/prefilter');
+const { STORAGE_PROVIDERS } = require('./storage');
+const { DEFAULT_ALLOWED_TYPES } = require('./imageUpload');
+const { TIMEOUT_POLICIES } = require('./matchConfirmation');
+const { CONTRACT_ABI } = require('./contract');
+const { LOG_FORMATS } = require('./logger');
+
+/**
+ * All server configuration, read once from the environment and validated
+ * against one schema. Every problem is reported together in a ConfigError
+ * instead of failing on the first. Secrets (keys, passwords) only ever come
+ * from the environment and are never logged or sent to the browser.
+ */
+
+// Named networks. FEVM_RPC_URL, CHAIN_ID, CHAIN_CONFIRMATIONS and CHAIN_POLL_INTERVAL_SECONDS
+// override the profile's values. Filecoin blocks come every 30 seconds.
+const NETWORK_PROFILES = {
+    calibration: {
+        label: 'Filecoin Calibration testnet',
+        chainId: 314159,
+        rpcUrl: 'https://api.calibration.node.glif.io/rpc/v1',
+        currency: 'tFIL',
+        explorerUrl: 'https://calibration.filfox.info/en',
+        confirmations: 5,
+        pollIntervalSeconds: 15
+    },
+    mainnet: {
+        label: 'Filecoin mainnet',
+        chainId: 314,
+        rpcUrl: 'https://api.node.glif.io/rpc/v1',
+        currency: 'FIL',
+        explorerUrl: 'https://filfox.info/en',
+        confirmations: 5,
+        pollIntervalSeconds: 15
+    },
+    local: {
+        label: 'Local development chain',
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        currency: 'ETH',
+        explorerUrl: null,
+        confirmations: 0,
+        pollIntervalSeconds: 1
+    }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Each parser returns the typed value or throws a message. Messages never include the raw value.
+const PARSERS = {
+    string: value => value,
+    url(value, field) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new Error('must be a URL');
+        }
+        const protocols = field.protocols || ['http:', 'https:'];
+        if (!protocols.includes(url.protocol)) {
+            throw new Error(`must use ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')}`);
+        }
+        return value.replace(/\/$/, '');
+    },
+    enum(value, field) {
+        if (!field.values.includes(value)) throw new Error(`must be one of: ${field.values.join(', ')}`);
+        return value;
+    },
+    number(value, field) {
+        const number = Number(value);
+        if (value.trim() === '' || !Number.isFinite(number)) throw new Error('must be a number');
+        if (field.min !== undefined && number < field.min) throw new Error(`must be at least ${field.min}`);
+        if (field.max !== undefined && number > field.max) throw new Error(`must be at most ${field.max}`);
+        return number;
+    },
+    integer(value, field) {
+        const number = PARSERS.number(value, field);
+        if (!Number.isInteger(number)) throw new Error('must be a whole number');
+        return number;
+    },
+    boolean(value) {
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+        throw new Error('must be true or false');
+    },
+    list: value => value.split(',').map(entry => entry.trim()).filter(Boolean),
+    address(value) {
+        if (!ethers.isAddress(value)) throw new Error('must be a 0x-prefixed 20-byte address');
+        return ethers.getAddress(value.toLowerCase());
+    },
+    privateKey(value) {
+        if (!/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+            throw new Error(`must be 64 hex characters, with or without 0x (got ${value.length} characters)`);
+        }
+        return value.startsWith('0x') ? value : `0x${value}`;
+    }
+};
+
+/**
+ * The schema: one entry per environment variable. `path` is where the value
+ * lands in the config object; `secret` keeps it out of logs and public config.
+ */
+const SCHEMA = [
+    // Anything but 'development' is treated as a real deployment, so forgetting to set it is the safe mistake.
+    { env: 'NODE_ENV', path: 'server.nodeEnv', type: 'string', default: 'production' },
+    { env: 'PORT', path: 'server.port', type: 'integer', min: 0, max: 65535, default: 3000 },
+    { env: 'APP_URL', path: 'server.appUrl', type: 'url' },
+    { env: 'CORS_ORIGINS', path: 'server.corsOrigins', type: 'list' },
+    { env: 'DATA_DIR', path: 'server.dataDir', type: 'string' },
+    // 'json' writes one JSON object per line for log collectors; 'text' is easier to read in a terminal.
+    { env: 'LOG_FORMAT', path: 'server.logFormat', type: 'enum', values: LOG_FORMATS, default: 'json' },
+    // Bearer token GET /metrics requires when set.
+    { env: 'METRICS_TOKEN', path: 'server.metricsToken', type: 'string', secret: true },
+    // Express "trust proxy": true, a hop count, or a list of proxy addresses. Needed for per-IP rate limits behind a proxy.
+    { env: 'TRUST_PROXY', path: 'server.trustProxy', type: 'string', default: 'false' },
+    // JSON registry of venues, each with its own contract, wallet and settings (see loadTenantConfigs).
+    { env: 'TENANTS_FILE', path: 'server.tenantsFile', type: 'string' },
+
+    { env: 'NETWORK', path: 'network.name', type: 'enum', values: Object.keys(NETWORK_PROFILES), default: 'calibration' },
+    { env: 'FEVM_RPC_URL', path: 'network.rpcUrl', type: 'url', protocols: ['http:', 'https:', 'ws:', 'wss:'], secret: true },
+    { env: 'PUBLIC_RPC_URL', path: 'network.publicRpcUrl', type: 'url' },
+    { env: 'CHAIN_ID', path: 'network.chainId', type: 'integer', min: 1 },
+    // Blocks an event must be buried under before it is indexed, and how often to look for new blocks.
+    { env: 'CHAIN_CONFIRMATIONS', path: 'network.confirmations', type: 'integer', min: 0 },
+    { env: 'CHAIN_POLL_INTERVAL_SECONDS', path: 'network.pollIntervalSeconds', type: 'number', min: 0.1 },
+    { env: 'CONTRACT_ADDRESS', path: 'contractAddress', type: 'address', required: true },
+    { env: 'MATCHING_ENGINE_PRIVATE_KEY', path: 'engine.privateKey', type: 'privateKey', required: true, secret: true },
+    // Scheduled engine runs, on top of the ones new reports start.
+    { env: 'ENGINE_INTERVAL_SECONDS', path: 'engine.intervalSeconds', type: 'number', min: 1, default: 300 },
+
+    { env: 'MATCHER', path: 'matcher.type', type: 'enum', values: MATCHERS, default: 'gemini' },
+    { env: 'GEMINI_API_KEY', path: 'matcher.geminiApiKey', type: 'string', secret: true },
+    { env: 'GEMINI_MODEL', path: 'matcher.geminiModel', type: 'string' },
+    { env: 'GEMINI_API_URL', path: 'matcher.geminiApiUrl', type: 'url', default: 'https://generativelanguage.googleapis.com' },
+
+    { env: 'MATCH_MODE', path: 'matching.mode', type: 'enum', values: ['auto', 'review', 'confirm'], default: 'auto' },
+    { env: 'MATCH_CONFIDENCE_THRESHOLD', path: 'matching.confidenceThreshold', type: 'number', min: 0, max: 100, default: 95 },
+    { env: 'CONFIRMATION_TIMEOUT_HOURS', path: 'matching.confirmationTimeoutHours', type: 'number', min: 0.01, default: 72 },
+    { env: 'CONFIRMATION_TIMEOUT_POLICY', path: 'matching.confirmationTimeoutPolicy', type: 'enum', values: TIMEOUT_POLICIES, default: 'expire' },
+
+    { env: 'PREFILTER_MAX_DISTANCE_KM', path: 'prefilter.maxDistanceKm', type: 'number', min: 0, default: DEFAULT_PREFILTER_OPTIONS.maxDistanceKm },
+    { env: 'PREFILTER_MAX_DAYS', path: 'prefilter.maxDaysAfterLost', type: 'number', min: 0, default: DEFAULT_PREFILTER_OPTIONS.maxDaysAfterLost },
+    { env: 'PREFILTER_TIME_GRACE_HOURS', path: 'prefilter.timeGraceHours', type: 'number', min: 0, default: DEFAULT_PREFILTER_OPTIONS.timeGraceHours },
+    { env: 'PREFILTER_REQUIRE_SAME_CATEGORY', path: 'prefilter.requireSameCategory', type: 'boolean', default: DEFAULT_PREFILTER_OPTIONS.requireSameCategory },
+
+    { env: 'STORAGE_PROVIDER', path: 'storage.provider', type: 'enum', values: STORAGE_PROVIDERS, default: 'pinata' },
+    { env: 'PINATA_API_KEY', path: 'storage.pinataApiKey', type: 'string', secret: true },
+    { env: 'PINATA_SECRET_API_KEY', path: 'storage.pinataSecretApiKey', type: 'string', secret: true },
+    { env: 'PINATA_API_URL', path: 'storage.pinataApiUrl', type: 'url', default: 'https://api.pinata.cloud' },
+    { env: 'IMAGE_GATEWAYS', path: 'storage.gateways', type: 'list' },
+    { env: 'FILECOIN_PRIVATE_KEY', path: 'storage.filecoinPrivateKey', type: 'privateKey', secret: true },
+    { env: 'FILECOIN_RPC_URL', path: 'storage.filecoinRpcUrl', type: 'url', protocols: ['http:', 'https:', 'ws:', 'wss:'], secret: true },
+    { env: 'FILECOIN_WITH_CDN', path: 'storage.filecoinWithCDN', type: 'boolean', default: false },
+    { env: 'LOCAL_STORAGE_DIR', path: 'storage.localDir', type: 'string' },
+
+    { env: 'IMAGE_CACHE_DIR', path: 'imageCache.dir', type: 'string' },
+    { env: 'IMAGE_MAX_DIMENSION', path: 'imageCache.maxDimension', type: 'integer', min: 64, default: 1024 },
+    { env: 'IMAGE_QUALITY', path: 'imageCache.quality', type: 'integer', min: 1, max: 100, default: 80 },
+    // Disk space the image cache may use; least recently used files are evicted past it.
+    { env: 'IMAGE_CACHE_MAX_BYTES', path: 'imageCache.maxBytes', type: 'integer', min: 1, default: 1024 * 1024 * 1024 },
+    { env: 'UPLOAD_MAX_BYTES', path: 'uploads.maxBytes', type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+    { env: 'UPLOAD_ALLOWED_TYPES', path: 'uploads.allowedTypes', type: 'list', default: DEFAULT_ALLOWED_TYPES },
+
+    { env: 'SMTP_URL', path: 'notifications.smtpUrl', type: 'url', protocols: ['smtp:', 'smtps:'], secret: true },
+    { env: 'SMTP_FROM', path: 'notifications.smtpFrom', type: 'string', default: 'DL&F <no-reply@localhost>' },
+    { env: 'NOTIFICATION_MAX_ATTEMPTS', path: 'notifications.maxAttempts', type: 'integer', min: 1, default: 6 },
+
+    { env: 'TX_GAS_HEADROOM_PERCENT', path: 'tx.gasHeadroomPercent', type: 'number', min: 0, default: 30 },
+    { env: 'TX_STUCK_TIMEOUT_SECONDS', path: 'tx.stuckTimeoutSeconds', type: 'number', min: 1, default: 300 },
+    // Nodes reject replacements that raise fees by less than 10%.
+    { env: 'TX_FEE_BUMP_PERCENT', path: 'tx.feeBumpPercent', type: 'number', min: 10, default: 25 },
+    { env: 'TX_MAX_REPLACEMENTS', path: 'tx.maxReplacements', type: 'integer', min: 0, default: 3 },
+    // In the network's currency (tFIL on calibration, FIL on mainnet).
+    { env: 'LOW_BALANCE_THRESHOLD', path: 'tx.lowBalanceThreshold', type: 'number', min: 0, default: 1 },
+
+    // Requests per window for each client IP and signed-in wallet; 0 turns a limit off.
+    { env: 'RATE_LIMIT_WINDOW_SECONDS', path: 'rateLimits.windowSeconds', type: 'number', min: 1, default: 60 },
+    { env: 'RATE_LIMIT_API_MAX', path: 'rateLimits.apiMax', type: 'integer', min: 0, default: 300 },
+    { env: 'RATE_LIMIT_UPLOAD_MAX', path: 'rateLimits.uploadMax', type: 'integer', min: 0, default: 30 },
+    { env: 'RATE_LIMIT_ENGINE_MAX', path: 'rateLimits.engineMax', type: 'integer', min: 0, default: 5 },
+    // How alike two reports from the same wallet must be to flag the newer one as a duplicate.
+    { env: 'DUPLICATE_TEXT_SIMILARITY', path: 'duplicates.textSimilarity', type: 'number', min: 0, max: 1, default: 0.85 },
+    { env: 'DUPLICATE_IMAGE_DISTANCE', path: 'duplicates.imageDistance', type: 'integer', min: 0, max: 64, default: 8 },
+
+    { env: 'SESSION_SECRET', path: 'auth.sessionSecret', type: 'string', secret: true },
+    { env: 'GOOGLE_CLIENT_ID', path: 'auth.googleClientId', type: 'string' },
+    { env: 'GOOGLE_CLIENT_SECRET', path: 'auth.googleClientSecret', type: 'string', secret: true },
+    { env: 'GOOGLE_CALLBACK_URL', path: 'auth.googleCallbackUrl', type: 'url' },
+    { env: 'ADMIN_EMAILS', path: 'auth.adminEmails', type: 'list', default: [] }
+];
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        node = node[key] = node[key] || {};
+    }
+    node[last] = value;
+}
+
+// TRUST_PROXY as Express expects it: a boolean, a hop count, or the addresses as given.
+function parseTrustProxy(value) {
+    if (['true', 'false'].includes(value.toLowerCase())) return value.toLowerCase() === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+/**
+ * Reads and validates the configuration from `env`. Relative defaults (the data
+ * directory) resolve against `baseDir`. Throws a ConfigError listing every problem.
+ *
+ * `tenant` (`{ id, name }`) marks the config as one venue of a multi-tenant
+ * server: its pages live under /t/<id>/ and its API under /api/t/<id>/.
+ */
+function loadConfig(env = process.env, { baseDir = process.cwd(), tenant = null } = {}) {
+    const problems = [];
+    const config = {};
+
+    for (const field of SCHEMA) {
+        const raw = env[field.env];
+        if (raw === undefined || raw === '') {
+            if (field.required) problems.push(`${field.env} is required.`);
+            setPath(config, field.path, field.default === undefined ? null : field.default);
+            continue;
+        }
+        try {
+            setPath(config, field.path, PARSERS[field.type](String(raw).trim(), field));
+        } catch (error) {
+            problems.push(`${field.env} ${error.message}.`);
+            setPath(config, field.path, null);
+        }
+    }
+
+    // Rules that involve more than one variable.
+    if (config.matcher.type === 'gemini' && !config.matcher.geminiApiKey) {
+        problems.push('GEMINI_API_KEY is required when MATCHER=gemini.');
+    }
+    if (config.storage.provider === 'pinata' && !(config.storage.pinataApiKey && config.storage.pinataSecretApiKey)) {
+        problems.push('PINATA_API_KEY and PINATA_SECRET_API_KEY are required when STORAGE_PROVIDER=pinata.');
+    }
+    if (Boolean(config.auth.googleClientId) !== Boolean(config.auth.googleClientSecret)) {
+        problems.push('GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET must be set together.');
+    }
+    if (config.server.nodeEnv !== 'development' && !config.auth.sessionSecret) {
+        problems.push('SESSION_SECRET is required unless NODE_ENV=development.');
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    // Defaults that depend on other values.
+    const profile = NETWORK_PROFILES[config.network.name];
+    config.network = {
+        name: config.network.name,
+        label: profile.label,
+        chainId: config.network.chainId || profile.chainId,
+        rpcUrl: config.network.rpcUrl || profile.rpcUrl,
+        // The RPC URL handed to browsers; FEVM_RPC_URL may carry an API key.
+        publicRpcUrl: config.network.publicRpcUrl || profile.rpcUrl,
+        currency: profile.currency,
+        explorerUrl: profile.explorerUrl,
+        confirmations: config.network.confirmations ?? profile.confirmations,
+        pollIntervalSeconds: config.network.pollIntervalSeconds ?? profile.pollIntervalSeconds
+    };
+    config.server.appUrl = config.server.appUrl || `http://localhost:${config.server.port}`;
+    config.server.corsOrigins = config.server.corsOrigins || [new URL(config.server.appUrl).origin];
+    config.server.trustProxy = parseTrustProxy(config.server.trustProxy);
+    config.server.dataDir = path.resolve(baseDir, config.server.dataDir || 'data');
+    config.storage.filecoinPrivateKey = config.storage.filecoinPrivateKey || config.engine.privateKey;
+    config.storage.filecoinRpcUrl = config.storage.filecoinRpcUrl || config.network.rpcUrl;
+    config.storage.localDir = path.resolve(baseDir, config.storage.localDir || path.join(config.server.dataDir, 'files'));
+    config.imageCache.dir = path.resolve(baseDir, config.imageCache.dir || path.join(config.server.dataDir, 'images'));
+    config.matching.confirmationTimeoutMs = config.matching.confirmationTimeoutHours * 60 * 60 * 1000;
+    config.tx.stuckTimeoutMs = config.tx.stuckTimeoutSeconds * 1000;
+    config.rateLimits.windowMs = config.rateLimits.windowSeconds * 1000;
+    config.tx.lowBalanceWei = ethers.parseEther(String(config.tx.lowBalanceThreshold));
+    config.auth.googleSignIn = Boolean(config.auth.googleClientId);
+    config.tenant = tenant && { id: tenant.id, name: tenant.name, basePath: `/t/${tenant.id}`, apiPath: `/api/t/${tenant.id}` };
+    config.auth.googleCallbackUrl = config.auth.googleCallbackUrl
+        || `${config.server.appUrl}${config.tenant ? config.tenant.basePath : ''}/auth/google/callback`;
+
+    return deepFreeze(config);
+}
+
+// Settings of the server process itself, shared by every tenant.
+// Rate limits too: the tenants share one set of counters (see src/rateLimit.js).
+const SERVER_WIDE_SETTINGS = [
+    'NODE_ENV', 'PORT', 'APP_URL', 'CORS_ORIGINS', 'DATA_DIR', 'LOG_FORMAT', 'METRICS_TOKEN', 'TRUST_PROXY', 'TENANTS_FILE',
+    'RATE_LIMIT_WINDOW_SECONDS', 'RATE_LIMIT_API_MAX', 'RATE_LIMIT_UPLOAD_MAX', 'RATE_LIMIT_ENGINE_MAX'
+];
+
+const TENANT_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+// "${NAME}" in a tenant setting is read from the environment, so keys can stay out of the registry file.
+function expandSetting(value, env, problems, where) {
+    return String(value).replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+        if (env[name] === undefined || env[name] === '') problems.push(`${where} refers to ${name}, which is not set.`);
+        return env[name] || '';
+    });
+}
+
+/**
+ * Reads the tenant registry named by TENANTS_FILE and validates one config per
+ * tenant. The file holds `{ "tenants": [{ "id", "name", "settings": { ... } }] }`,
+ * where `settings` are environment variables that apply to that tenant only
+ * (its CONTRACT_ADDRESS, NETWORK, MATCHING_ENGINE_PRIVATE_KEY, MATCHER,
+ * STORAGE_PROVIDER and so on) on top of the shared environment. Each tenant
+ * keeps its data in DATA_DIR/tenants/<id>. Throws a ConfigError listing every
+ * problem in every tenant.
+ */
+function loadTenantConfigs(env = process.env, { baseDir = process.cwd() } = {}) {
+    const file = path.resolve(baseDir, env.TENANTS_FILE);
+    let registry;
+    try {
+        registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`TENANTS_FILE could not be read as JSON (${error.message}).`]);
+    }
+    if (!registry || !Array.isArray(registry.tenants) || registry.tenants.length === 0) {
+        throw new ConfigError(['TENANTS_FILE must hold a non-empty "tenants" list.']);
+    }
+
+    const problems = [];
+    const configs = [];
+    const seen = new Set();
+    const dataDir = path.resolve(baseDir, env.DATA_DIR || 'data');
+    registry.tenants.forEach((entry, index) => {
+        const id = entry && entry.id;
+        const where = typeof id === 'string' ? `Tenant '${id}'` : `Tenant #${index + 1}`;
+        if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+            problems.push(`${where}: "id" must be 1-32 lowercase letters, digits or dashes.`);
+            return;
+        }
+        if (seen.has(id)) {
+            problems.push(`${where} is listed twice.`);
+            return;
+        }
+        seen.add(id);
+        const settings = entry.settings || {};
+        const overrides = {};
+        for (const [name, value] of Object.entries(settings)) {
+            if (SERVER_WIDE_SETTINGS.includes(name)) {
+                problems.push(`${where}: ${name} applies to the whole server and can't be set per tenant.`);
+                continue;
+            }
+            overrides[name] = expandSetting(value, env, problems, `${where}: ${name}`);
+        }
+        try {
+            configs.push(loadConfig(
+                { ...env, ...overrides, DATA_DIR: path.join(dataDir, 'tenants', id) },
+                { baseDir, tenant: { id, name: typeof entry.name === 'string' && entry.name ? entry.name : id } }
+            ));
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            problems.push(...error.problems.map(problem => `${where}: ${problem}`));
+        }
+    });
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return configs;
+}
+
+// One line per setting for the startup log. Secrets only say whether they are set.
+function describeConfig(config) {
+    return SCHEMA.map(field => {
+        const value = field.path.split('.').reduce((node, key) => (node ? node[key] : undefined), config);
+        if (field.secret) return `${field.env}: ${value ? '(set)' : '(not set)'}`;
+        return `${field.env}: ${Array.isArray(value) ? value.join(', ') || '(none)' : (value === null ? '(not set)' : value)}`;
+    });
+}
+
+// What the browser needs to talk to the same contract on the same chain as the backend.
+function publicConfig(config) {
+    return {
+        network: {
+            name: config.network.name,
+            label: config.network.label,
+            chainId: config.network.chainId,
+            chainIdHex: `0x${config.network.chainId.toString(16)}`,
+            rpcUrl: config.network.publicRpcUrl,
+            currency: config.network.currency,
+            explorerUrl: config.network.explorerUrl
+        },
+        contractAddress: config.contractAddress,
+        contractAbi: CONTRACT_ABI,
+        tenant: config.tenant && { id: config.tenant.id, name: config.tenant.name },
+        matchMode: config.matching.mode,
+        uploads: { maxBytes: config.uploads.maxBytes, allowedTypes: config.uploads.allowedTypes },
+        googleSignIn: config.auth.googleSignIn
+    };
+}
+
+module.exports = {
+    loadConfig,
+    loadTenantConfigs,
+    describeConfig,
+    publicConfig,
+    ConfigError,
+    NETWORK_PROFILES,
+    SERVER_WIDE_SETTINGS,
+    CONFIG_SCHEMA: SCHEMA
+};
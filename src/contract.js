@@ -0,0 +1,21 @@
+/**
+ * ABI of the DL&F contract. The backend uses it directly and the frontend gets
+ * it from GET /api/config/public, so both always talk to the same interface.
+ */
+const CONTRACT_ABI = [
+    // Write functions
+    "function reportLost(string memory _title, string memory _description, string memory _ipfsCid) public",
+    "function reportFound(string memory _title, string memory _description, string memory _ipfsCid) public",
+    "function recordMatch(uint256 lostId, uint256 foundId) external",
+
+    // View functions
+    "function getItemCount() public view returns (uint256)",
+    "function getItem(uint256 _itemId) view returns (uint256 id, address reporter, bool isLost, string memory title, string memory description, string memory ipfsCid)",
+    "function matchedItem(uint256) view returns (uint256)",
+
+    // Events
+    "event ItemReported(uint256 indexed itemId, address indexed reporter, bool isLost, string title, string ipfsCid)",
+    "event MatchFound(uint256 indexed itemId1, uint256 indexed itemId2)"
+];
+
+module.exports = { CONTRACT_ABI };
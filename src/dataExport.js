@@ -0,0 +1,93 @@
+/**
+ * Item and match exports for admins (GET /api/admin/export/:dataset), as JSON
+ * or as CSV that venue staff can open in a spreadsheet.
+ *
+ * Rows are built from presented items (metadata, handover status, duplicate
+ * flags and prompt-injection signals already attached). Titles and descriptions come from the public, so CSV
+ * cells that a spreadsheet would run as a formula are prefixed with a quote.
+ */
+
+const EXPORT_DATASETS = ['items', 'matches'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+const ITEM_COLUMNS = [
+    'itemId', 'type', 'reporter', 'title', 'description', 'category', 'colours', 'brand', 'location', 'occurredAt',
+    'photos', 'reportedBlock', 'reportedTxHash', 'matchedId', 'matchTxHash', 'handoverStatus', 'duplicateOf', 'injectionSignals', 'reporterBlocked'
+];
+
+const MATCH_COLUMNS = [
+    'lostId', 'lostTitle', 'lostReporter', 'foundId', 'foundTitle', 'foundReporter',
+    'confidence', 'matchTxHash', 'matchBlock', 'handoverStatus'
+];
+
+function itemRow(item, { isBlocked }) {
+    const metadata = item.metadata || {};
+    return {
+        itemId: item.itemId,
+        type: item.isLost ? 'lost' : 'found',
+        reporter: item.reporter,
+        title: item.title,
+        description: item.description,
+        category: metadata.category || null,
+        colours: (metadata.colours || []).join(';'),
+        brand: metadata.brand || null,
+        location: metadata.location ? metadata.location.label : null,
+        occurredAt: metadata.occurredAt || null,
+        photos: (item.imageCids || (item.ipfsCid ? [item.ipfsCid] : [])).join(';'),
+        reportedBlock: item.reportedBlock,
+        reportedTxHash: item.reportedTxHash,
+        matchedId: item.matchedId || null,
+        matchTxHash: item.matchTxHash,
+        handoverStatus: item.handoverStatus || null,
+        duplicateOf: item.duplicateOf || null,
+        injectionSignals: (item.injectionSignals || []).join(';'),
+        reporterBlocked: isBlocked(item.reporter)
+    };
+}
+
+// One row per recorded pair, from the lost side. `getConfidence(lostId, foundId)` may return null.
+function matchRows(items, { getConfidence }) {
+    const byId = new Map(items.map(item => [item.itemId, item]));
+    return items
+        .filter(item => item.isLost && item.matchedId > 0)
+        .map(lost => {
+            const found = byId.get(lost.matchedId) || {};
+            return {
+                lostId: lost.itemId,
+                lostTitle: lost.title,
+                lostReporter: lost.reporter,
+                foundId: lost.matchedId,
+                foundTitle: found.title || null,
+                foundReporter: found.reporter || null,
+                confidence: getConfidence(lost.itemId, lost.matchedId),
+                matchTxHash: lost.matchTxHash,
+                matchBlock: lost.matchBlock,
+                handoverStatus: lost.handoverStatus || null
+            };
+        });
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Builds one dataset from every presented item. Returns `{ columns, rows }`.
+ * `isBlocked(address)` and `getConfidence(lostId, foundId)` come from the stores.
+ */
+function buildExport(dataset, items, { isBlocked, getConfidence }) {
+    if (dataset === 'items') {
+        return { columns: ITEM_COLUMNS, rows: items.map(item => itemRow(item, { isBlocked })) };
+    }
+    return { columns: MATCH_COLUMNS, rows: matchRows(items, { getConfidence }) };
+}
+
+module.exports = { buildExport, toCsv, EXPORT_DATASETS, EXPORT_FORMATS };
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+/**
+ * Opens (or creates) a SQLite database backed by sql.js.
+ * sql.js keeps the whole database in memory and can only write it back to
+ * `filePath` whole, so writes are batched: a transaction is written out when it
+ * commits, and other writes (session touches, sign-in challenges) at most
+ * `flushDelayMs` later. Call flush() or close() on shutdown to write out the
+ * rest. A failed delayed write goes to `onError`. Pass `null` or ':memory:' for
+ * a throwaway in-memory database.
+ */
+async function openDatabase(filePath, { flushDelayMs = 1000, onError = null } = {}) {
+    const SQL = await initSqlJs();
+    const persistent = Boolean(filePath) && filePath !== ':memory:';
+    const db = persistent && fs.existsSync(filePath)
+        ? new SQL.Database(fs.readFileSync(filePath))
+        : new SQL.Database();
+    let transactionDepth = 0;
+    let flushTimer = null;
+
+    function save() {
+        if (!persistent) return;
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash mid-write never corrupts the index.
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, Buffer.from(db.export()));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function scheduleSave() {
+        if (!persistent || transactionDepth > 0 || flushTimer) return;
+        flushTimer = setTimeout(() => {
+            try {
+                save();
+            } catch (error) {
+                if (!onError) throw error;
+                onError(error);
+            }
+        }, flushDelayMs);
+        // A pending write never keeps the process alive; shutdown flushes it instead.
+        flushTimer.unref();
+    }
+
+    // Writes out any writes still waiting for their delayed save.
+    function flush() {
+        if (flushTimer) save();
+    }
+
+    function exec(sql) {
+        db.exec(sql);
+        scheduleSave();
+    }
+
+    function run(sql, params = []) {
+        db.run(sql, params);
+        scheduleSave();
+    }
+
+    function all(sql, params = []) {
+        const stmt = db.prepare(sql);
+        try {
+            stmt.bind(params);
+            const rows = [];
+            while (stmt.step()) rows.push(stmt.getAsObject());
+            return rows;
+        } finally {
+            stmt.free();
+        }
+    }
+
+    function get(sql, params = []) {
+        return all(sql, params)[0] || null;
+    }
+
+    // Runs `fn` inside a single transaction and writes it (with any pending writes) to disk when it commits.
+    function transaction(fn) {
+        if (transactionDepth > 0) return fn();
+        db.run('BEGIN');
+        transactionDepth++;
+        let result;
+        try {
+            result = fn();
+            db.run('COMMIT');
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw error;
+        } finally {
+            transactionDepth--;
+        }
+        // Outside the try: a failed write happens after the commit, so there is nothing to roll back.
+        save();
+        return result;
+    }
+
+    function close() {
+        save();
+        db.close();
+    }
+
+    return { exec, run, all, get, transaction, save, flush, close };
+}
+
+module.exports = { openDatabase };
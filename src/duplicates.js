@@ -0,0 +1,181 @@
+/**
+ * Near-duplicate report detection.
+ *
+ * When a wallet reports an item that is nearly the same as one it already
+ * reported (same type, similar title and description, or the same photo), the
+ * newer report is flagged. Flagged reports are kept out of matching and shown
+ * to moderators, who can dismiss the flag if the reports really are two items.
+ */
+
+const { trigrams, jaccard } = require('./matchers/local');
+
+// A matching photo alone isn't enough: stock and blank photos look alike, so the text must agree somewhat too.
+const MIN_TEXT_SIMILARITY_WITH_PHOTO = 0.5;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS duplicate_reports (
+        item_id INTEGER PRIMARY KEY,
+        duplicate_of INTEGER NOT NULL,
+        reasons TEXT NOT NULL,
+        text_similarity REAL NOT NULL,
+        image_distance INTEGER,
+        status TEXT NOT NULL DEFAULT 'flagged',
+        detected_at TEXT NOT NULL,
+        reviewed_by TEXT,
+        reviewed_at TEXT
+    );
+`;
+
+function rowToDuplicate(row) {
+    return {
+        itemId: row.item_id,
+        duplicateOf: row.duplicate_of,
+        reasons: JSON.parse(row.reasons),
+        textSimilarity: row.text_similarity,
+        imageDistance: row.image_distance,
+        status: row.status,
+        detectedAt: row.detected_at,
+        reviewedBy: row.reviewed_by,
+        reviewedAt: row.reviewed_at
+    };
+}
+
+// Number of differing bits between two hex perceptual hashes of the same length.
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * `getPerceptualHash(cid)` looks up the hash recorded when an image was pinned.
+ * `textSimilarity` (0-1) and `imageDistance` (bits out of 64) are the thresholds.
+ */
+function createDuplicateStore({ db, getPerceptualHash, textSimilarity = 0.85, imageDistance = 8 }) {
+    db.exec(SCHEMA);
+
+    function imageHashes(item) {
+        const cids = item.imageCids || (item.ipfsCid ? [item.ipfsCid] : []);
+        return cids.map(getPerceptualHash).filter(Boolean);
+    }
+
+    function compare(item, earlier) {
+        const similarity = jaccard(
+            trigrams(`${item.title} ${item.description}`),
+            trigrams(`${earlier.title} ${earlier.description}`)
+        );
+        let distance = null;
+        for (const hash of imageHashes(item)) {
+            for (const other of imageHashes(earlier)) {
+                if (hash.length !== other.length) continue;
+                const d = hammingDistance(hash, other);
+                if (distance === null || d < distance) distance = d;
+            }
+        }
+        const reasons = [];
+        if (similarity >= textSimilarity) reasons.push('text');
+        if (distance !== null && distance <= imageDistance && similarity >= MIN_TEXT_SIMILARITY_WITH_PHOTO) reasons.push('photo');
+        return { similarity, distance, reasons };
+    }
+
+    function getDuplicate(itemId) {
+        const row = db.get('SELECT * FROM duplicate_reports WHERE item_id = ?', [itemId]);
+        return row ? rowToDuplicate(row) : null;
+    }
+
+    /**
+     * Compares `item` with the same reporter's earlier reports of the same type
+     * (with metadata resolved) and flags it against the closest one. Returns the
+     * duplicate record, or null. An item is only ever checked once.
+     */
+    function check(item, earlierItems) {
+        const existing = getDuplicate(item.itemId);
+        if (existing) return existing;
+
+        let best = null;
+        for (const earlier of earlierItems) {
+            if (earlier.itemId >= item.itemId || earlier.isLost !== item.isLost) continue;
+            if (earlier.reporter.toLowerCase() !== item.reporter.toLowerCase()) continue;
+            const result = compare(item, earlier);
+            if (result.reasons.length > 0 && (!best || result.similarity > best.similarity)) {
+                best = { ...result, duplicateOf: earlier.itemId };
+            }
+        }
+        if (!best) return null;
+
+        db.run(
+            `INSERT INTO duplicate_reports (item_id, duplicate_of, reasons, text_similarity, image_distance, detected_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [item.itemId, best.duplicateOf, JSON.stringify(best.reasons), best.similarity, best.distance, new Date().toISOString()]
+        );
+        return getDuplicate(item.itemId);
+    }
+
+    // Item IDs that are still flagged, for the engine to skip.
+    function flaggedItemIds() {
+        return new Set(db.all("SELECT item_id FROM duplicate_reports WHERE status = 'flagged'").map(row => row.item_id));
+    }
+
+    /**
+     * Newest first, cursor-paginated. `cursor` is the last item ID of the previous page.
+     */
+    function list({ status, cursor, limit = 20 } = {}) {
+        const where = [];
+        const params = [];
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (cursor) {
+            where.push('item_id < ?');
+            params.push(cursor);
+        }
+        const rows = db.all(
+            `SELECT * FROM duplicate_reports ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY item_id DESC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const duplicates = rows.slice(0, limit).map(rowToDuplicate);
+        return { duplicates, nextCursor: rows.length > limit ? duplicates[duplicates.length - 1].itemId : null };
+    }
+
+    // A moderator decided the two reports are different items.
+    function dismiss(itemId, reviewer) {
+        const duplicate = getDuplicate(itemId);
+        if (!duplicate) {
+            throw Object.assign(new Error(`Item ${itemId} is not flagged as a duplicate.`), { statusCode: 404 });
+        }
+        if (duplicate.status !== 'flagged') {
+            throw Object.assign(new Error(`The duplicate flag on item ${itemId} was already ${duplicate.status}.`), { statusCode: 409 });
+        }
+        db.run(
+            "UPDATE duplicate_reports SET status = 'dismissed', reviewed_by = ?, reviewed_at = ? WHERE item_id = ?",
+            [reviewer, new Date().toISOString(), itemId]
+        );
+        return getDuplicate(itemId);
+    }
+
+    // Items removed by a chain reorg; their IDs will be reused by whatever is reported next.
+    function forget(itemIds) {
+        if (itemIds.length === 0) return;
+        db.run(`DELETE FROM duplicate_reports WHERE item_id IN (${itemIds.map(() => '?').join(', ')})`, itemIds);
+    }
+
+    // Adds `duplicateOf` (the earlier item ID, or null) to each item that is still flagged.
+    function withDuplicateFlags(items) {
+        const flagged = new Map(
+            db.all("SELECT item_id, duplicate_of FROM duplicate_reports WHERE status = 'flagged'")
+                .map(row => [row.item_id, row.duplicate_of])
+        );
+        return items.map(item => (item ? { ...item, duplicateOf: flagged.get(item.itemId) ?? null } : item));
+    }
+
+    return { check, getDuplicate, flaggedItemIds, list, dismiss, forget, withDuplicateFlags };
+}
+
+module.exports = { createDuplicateStore, hammingDistance };
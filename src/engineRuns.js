@@ -0,0 +1,184 @@
+/**
+ * Run history and single-flight scheduling for the matching engine.
+ *
+ * Every trigger (startup, the periodic timer, ItemReported events, the manual
+ * API) goes through one queue. At most one run is active; triggers that arrive
+ * while it runs are coalesced into a single follow-up run, so new items are
+ * still picked up without two runs ever submitting `recordMatch` side by side.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS engine_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        coalesced_triggers TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL,
+        queued_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        items_evaluated INTEGER,
+        matches TEXT,
+        proposals TEXT,
+        error TEXT
+    );
+`;
+
+function rowToRun(row) {
+    return {
+        id: row.id,
+        trigger: row.trigger,
+        coalescedTriggers: JSON.parse(row.coalesced_triggers),
+        status: row.status,
+        queuedAt: row.queued_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.started_at && row.finished_at ? Date.parse(row.finished_at) - Date.parse(row.started_at) : null,
+        itemsEvaluated: row.items_evaluated,
+        matches: row.matches ? JSON.parse(row.matches) : [],
+        proposals: row.proposals ? JSON.parse(row.proposals) : [],
+        error: row.error
+    };
+}
+
+function createRunStore({ db }) {
+    db.exec(SCHEMA);
+    // A run still open from a previous process never finished; say so rather than leave it 'running'.
+    db.run(
+        "UPDATE engine_runs SET status = 'interrupted', finished_at = ? WHERE status IN ('queued', 'running')",
+        [new Date().toISOString()]
+    );
+
+    function getRun(id) {
+        const row = db.get('SELECT * FROM engine_runs WHERE id = ?', [id]);
+        return row ? rowToRun(row) : null;
+    }
+
+    function createRun(trigger) {
+        db.run(
+            "INSERT INTO engine_runs (trigger, status, queued_at) VALUES (?, 'queued', ?)",
+            [trigger, new Date().toISOString()]
+        );
+        return rowToRun(db.get('SELECT * FROM engine_runs ORDER BY id DESC LIMIT 1'));
+    }
+
+    function addTrigger(id, trigger) {
+        const run = getRun(id);
+        db.run('UPDATE engine_runs SET coalesced_triggers = ? WHERE id = ?', [JSON.stringify([...run.coalescedTriggers, trigger]), id]);
+        return getRun(id);
+    }
+
+    function markStarted(id) {
+        db.run("UPDATE engine_runs SET status = 'running', started_at = ? WHERE id = ?", [new Date().toISOString(), id]);
+        return getRun(id);
+    }
+
+    function markSucceeded(id, { itemsEvaluated = 0, matches = [], proposals = [] }) {
+        db.run(
+            `UPDATE engine_runs SET status = 'succeeded', finished_at = ?, items_evaluated = ?, matches = ?, proposals = ?
+             WHERE id = ?`,
+            [new Date().toISOString(), itemsEvaluated, JSON.stringify(matches), JSON.stringify(proposals), id]
+        );
+        return getRun(id);
+    }
+
+    function markFailed(id, error) {
+        db.run(
+            "UPDATE engine_runs SET status = 'failed', finished_at = ?, error = ? WHERE id = ?",
+            [new Date().toISOString(), error.shortMessage || error.message || String(error), id]
+        );
+        return getRun(id);
+    }
+
+    /**
+     * Newest first, cursor-paginated. `cursor` is the last run ID of the previous page.
+     */
+    function listRuns({ status, cursor, limit = 20 } = {}) {
+        const where = [];
+        const params = [];
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (cursor) {
+            where.push('id < ?');
+            params.push(cursor);
+        }
+        const rows = db.all(
+            `SELECT * FROM engine_runs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const runs = rows.slice(0, limit).map(rowToRun);
+        return { runs, nextCursor: rows.length > limit ? runs[runs.length - 1].id : null };
+    }
+
+    return { getRun, createRun, addTrigger, markStarted, markSucceeded, markFailed, listRuns };
+}
+
+/**
+ * `execute(run)` does the actual work and resolves to
+ * `{ itemsEvaluated, matches, proposals }`. `trigger(source)` resolves to the
+ * finished run record that covered the trigger; a failed run resolves too, with
+ * `status: 'failed'` and its `error`.
+ */
+function createEngineQueue({ runStore, execute, log = () => {} }) {
+    let active = null; // { run, promise }
+    let next = null;   // { run, promise, start }
+
+    function startRun(run) {
+        const started = runStore.markStarted(run.id);
+        log(`Engine run #${run.id} started (trigger: ${[run.trigger, ...started.coalescedTriggers].join(', ')}).`);
+        const promise = Promise.resolve()
+            .then(() => execute(started))
+            .then(
+                result => runStore.markSucceeded(run.id, result),
+                error => runStore.markFailed(run.id, error)
+            )
+            .then(finished => {
+                log(`Engine run #${run.id} ${finished.status} in ${finished.durationMs} ms.`);
+                active = null;
+                if (next) {
+                    const queued = next;
+                    next = null;
+                    queued.start();
+                }
+                return finished;
+            });
+        active = { run: started, promise };
+        return promise;
+    }
+
+    function trigger(source) {
+        if (!active) {
+            return startRun(runStore.createRun(source));
+        }
+        if (next) {
+            next.run = runStore.addTrigger(next.run.id, source);
+            log(`Engine busy with run #${active.run.id}; '${source}' coalesced into queued run #${next.run.id}.`);
+            return next.promise;
+        }
+        const run = runStore.createRun(source);
+        let start;
+        const promise = new Promise(resolve => {
+            start = () => resolve(startRun(run));
+        });
+        next = { run, promise, start };
+        log(`Engine busy with run #${active.run.id}; '${source}' queued as run #${run.id}.`);
+        return promise;
+    }
+
+    // The active and queued run records, for status displays.
+    function status() {
+        return { active: active ? active.run : null, queued: next ? next.run : null };
+    }
+
+    // Resolves once no run is active or queued, e.g. before shutting down.
+    async function idle() {
+        while (active || next) {
+            await (next || active).promise;
+        }
+    }
+
+    return { trigger, status, idle };
+}
+
+module.exports = { createRunStore, createEngineQueue };
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * In-process event bus relayed to browsers as Server-Sent Events.
+ *
+ * Event IDs are `<bootId>:<sequence>`. A client that reconnects with a
+ * `Last-Event-ID` from this process gets what it missed from the recent
+ * history; one from an earlier process (or too old to replay) gets a `reset`
+ * event and should reload its state.
+ */
+
+const DEFAULT_HISTORY_LIMIT = 200;
+const DEFAULT_HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+function createEventBus({ historyLimit = DEFAULT_HISTORY_LIMIT, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    const bootId = crypto.randomBytes(4).toString('hex');
+    let sequence = 0;
+    const history = [];
+    const clients = new Set();
+
+    function format(event) {
+        return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`;
+    }
+
+    function publish(type, data = {}) {
+        const event = { id: `${bootId}:${++sequence}`, seq: sequence, type, data, at: new Date().toISOString() };
+        history.push(event);
+        if (history.length > historyLimit) history.shift();
+        const frame = format(event);
+        for (const res of clients) res.write(frame);
+        return event;
+    }
+
+    // Events after `lastEventId`, or null when they can't be replayed.
+    function missedSince(lastEventId) {
+        const [boot, seq] = String(lastEventId).split(':');
+        const lastSeq = Number(seq);
+        if (boot !== bootId || !Number.isInteger(lastSeq)) return null;
+        if (lastSeq < sequence && (history.length === 0 || history[0].seq > lastSeq + 1)) return null;
+        return history.filter(event => event.seq > lastSeq);
+    }
+
+    // Express handler for the SSE stream.
+    function handleRequest(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = missedSince(lastEventId);
+            if (missed) {
+                missed.forEach(event => res.write(format(event)));
+            } else {
+                res.write(format({ id: `${bootId}:${sequence}`, type: 'reset', data: {}, at: new Date().toISOString() }));
+            }
+        }
+
+        clients.add(res);
+        // Comment lines keep proxies from closing an idle stream.
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+        });
+    }
+
+    function clientCount() {
+        return clients.size;
+    }
+
+    return { publish, handleRequest, clientCount };
+}
+
+module.exports = { createEventBus };
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+
+/**
+ * Ownership verification and handover of matched items.
+ *
+ * When reporting a lost item, the owner can set private verification
+ * questions (the contents of the bag, a serial number, ...). They are
+ * stored against the item's metadata CID and the reporter's address,
+ * because the item ID is only known once the report is on-chain. Only
+ * salted scrypt hashes of the answers are kept, and the questions are
+ * fixed once the report is on-chain, before anyone can see a match.
+ *
+ * After a match is recorded, the lost reporter (the claimant) claims the
+ * item. Their answers are checked against the hashes here, but the
+ * claimant wrote those answers, so passing the check proves nothing about
+ * the item. It only lets the answers through to the finder, who compares
+ * them with the item in hand and confirms the owner. A match then moves
+ * through:
+ *
+ *   claimed -> answered -> verified -> handed-over
+ *
+ * Too many wrong answers move a claim to `failed`, which only a moderator
+ * can reopen. Without questions, the finder verifies the claimant in person
+ * straight from `claimed`.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_QUESTIONS = 5;
+const MAX_QUESTION_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 1000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS verification_details (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cid TEXT NOT NULL,
+        owner TEXT NOT NULL,
+        questions TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (cid, owner)
+    );
+    CREATE TABLE IF NOT EXISTS handovers (
+        lost_id INTEGER PRIMARY KEY,
+        found_id INTEGER NOT NULL,
+        claimant TEXT NOT NULL,
+        finder TEXT NOT NULL,
+        verification_id INTEGER,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        answers TEXT,
+        verified_by TEXT,
+        completed_by TEXT,
+        claimed_at TEXT NOT NULL,
+        verified_at TEXT,
+        handed_over_at TEXT,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_handovers_found ON handovers (found_id);
+    CREATE INDEX IF NOT EXISTS idx_handovers_claimant ON handovers (claimant);
+    CREATE INDEX IF NOT EXISTS idx_handovers_finder ON handovers (finder);
+    CREATE TABLE IF NOT EXISTS handover_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lost_id INTEGER NOT NULL,
+        sender TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_handover_messages_lost ON handover_messages (lost_id);
+`;
+
+function handoverError(message, statusCode = 400) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+// Case, accents, spacing and punctuation don't count: "SN-12 34" and "sn1234" are the same answer.
+function normalizeAnswer(answer) {
+    return String(answer)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function hashAnswer(answer, salt) {
+    return crypto.scryptSync(normalizeAnswer(answer), Buffer.from(salt, 'hex'), 32).toString('hex');
+}
+
+function answerMatches(answer, { salt, hash }) {
+    if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashAnswer(answer, salt), 'hex'), Buffer.from(hash, 'hex'));
+}
+
+// Validates `[{ question, answer }]` and returns it with the answers hashed.
+function hashQuestions(questions) {
+    if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS) {
+        throw handoverError(`questions must be a list of 1 to ${MAX_QUESTIONS} { question, answer } entries.`);
+    }
+    return questions.map((entry, index) => {
+        const question = typeof entry?.question === 'string' ? entry.question.trim() : '';
+        const answer = typeof entry?.answer === 'string' ? entry.answer : '';
+        if (!question || question.length > MAX_QUESTION_LENGTH) {
+            throw handoverError(`Question ${index + 1} must be 1 to ${MAX_QUESTION_LENGTH} characters.`);
+        }
+        if (!normalizeAnswer(answer) || answer.length > MAX_ANSWER_LENGTH) {
+            throw handoverError(`The answer to question ${index + 1} must contain a letter or digit and be at most ${MAX_ANSWER_LENGTH} characters.`);
+        }
+        const salt = crypto.randomBytes(16).toString('hex');
+        return { question, salt, hash: hashAnswer(answer, salt) };
+    });
+}
+
+function rowToHandover(row) {
+    return {
+        lostId: row.lost_id,
+        foundId: row.found_id,
+        claimant: row.claimant,
+        finder: row.finder,
+        status: row.status,
+        attempts: row.attempts,
+        verifiedBy: row.verified_by,
+        completedBy: row.completed_by,
+        claimedAt: row.claimed_at,
+        verifiedAt: row.verified_at,
+        handedOverAt: row.handed_over_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function createHandoverStore({ db, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    db.exec(SCHEMA);
+    // Databases created before the finder saw the claimant's answers.
+    if (!db.all('PRAGMA table_info(handovers)').some(column => column.name === 'answers')) {
+        db.exec('ALTER TABLE handovers ADD COLUMN answers TEXT');
+    }
+
+    function getVerification(id) {
+        const row = id ? db.get('SELECT * FROM verification_details WHERE id = ?', [id]) : null;
+        return row ? { id: row.id, cid: row.cid, owner: row.owner, questions: JSON.parse(row.questions) } : null;
+    }
+
+    function findVerification(cid, owner) {
+        const row = db.get('SELECT id FROM verification_details WHERE cid = ? AND owner = ?', [cid, owner.toLowerCase()]);
+        return row ? getVerification(row.id) : null;
+    }
+
+    /**
+     * Stores (or replaces) the owner's verification questions for a report's
+     * metadata CID. The caller refuses CIDs that are already on-chain. Returns
+     * the question texts; the answers can't be read back.
+     */
+    function saveVerification(cid, owner, questions, now = Date.now()) {
+        const hashed = hashQuestions(questions);
+        const existing = findVerification(cid, owner);
+        if (existing && db.get('SELECT 1 FROM handovers WHERE verification_id = ?', [existing.id])) {
+            throw handoverError('These questions are already being used to verify a claim and can no longer be changed.', 409);
+        }
+        const timestamp = new Date(now).toISOString();
+        db.run(
+            `INSERT INTO verification_details (cid, owner, questions, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(cid, owner) DO UPDATE SET questions = excluded.questions, updated_at = excluded.updated_at`,
+            [cid, owner.toLowerCase(), JSON.stringify(hashed), timestamp, timestamp]
+        );
+        return { cid, questions: hashed.map(entry => entry.question) };
+    }
+
+    function getHandover(lostId) {
+        const row = db.get('SELECT * FROM handovers WHERE lost_id = ?', [lostId]);
+        return row ? rowToHandover(row) : null;
+    }
+
+    // The handover with the questions, the claimant's accepted answers and, once ownership is verified, the parties' messages.
+    function describeHandover(lostId) {
+        const row = db.get('SELECT * FROM handovers WHERE lost_id = ?', [lostId]);
+        if (!row) return null;
+        const handover = rowToHandover(row);
+        const verification = getVerification(row.verification_id);
+        const verified = handover.status === 'verified' || handover.status === 'handed-over';
+        return {
+            ...handover,
+            questions: verification ? verification.questions.map(entry => entry.question) : [],
+            answers: row.answers ? JSON.parse(row.answers) : [],
+            attemptsLeft: verification ? Math.max(0, maxAttempts - handover.attempts) : null,
+            messages: verified ? listMessages(lostId) : []
+        };
+    }
+
+    function listForAddress(address) {
+        const normalized = address.toLowerCase();
+        return db.all(
+            'SELECT lost_id FROM handovers WHERE claimant = ? OR finder = ? ORDER BY updated_at DESC',
+            [normalized, normalized]
+        ).map(row => describeHandover(row.lost_id));
+    }
+
+    // Adds `handoverStatus` (or null) to each lost and found item.
+    function withHandoverStatus(items) {
+        return items.map(item => {
+            if (!item) return item;
+            const row = db.get(
+                `SELECT status FROM handovers WHERE ${item.isLost ? 'lost_id' : 'found_id'} = ?`,
+                [item.itemId]
+            );
+            return { ...item, handoverStatus: row ? row.status : null };
+        });
+    }
+
+    function update(lostId, changes, now = Date.now()) {
+        const columns = [...Object.keys(changes), 'updated_at'];
+        db.run(
+            `UPDATE handovers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE lost_id = ?`,
+            [...Object.values(changes), new Date(now).toISOString(), lostId]
+        );
+        return describeHandover(lostId);
+    }
+
+    // The handover row, if it is in one of `statuses`; throws an error with a `statusCode` otherwise.
+    function requireStatus(lostId, ...statuses) {
+        const row = db.get('SELECT * FROM handovers WHERE lost_id = ?', [lostId]);
+        if (!row) {
+            throw handoverError(`Item ${lostId} has not been claimed.`, 404);
+        }
+        if (!statuses.includes(row.status)) {
+            throw handoverError(`The handover for item ${lostId} is ${row.status}.`, 409);
+        }
+        return row;
+    }
+
+    /**
+     * Opens a claim on a recorded match. The caller checks that the match is
+     * on-chain and that the claimant reported the lost item. A wallet that
+     * reported both items would be its own finder and could vouch for itself,
+     * so such a match can't be claimed.
+     */
+    function claim(lostItem, foundItem, now = Date.now()) {
+        if (lostItem.reporter.toLowerCase() === foundItem.reporter.toLowerCase()) {
+            throw handoverError('The same wallet reported both items, so it cannot claim one from itself.', 409);
+        }
+        if (getHandover(lostItem.itemId)) {
+            throw handoverError(`Item ${lostItem.itemId} has already been claimed.`, 409);
+        }
+        const verification = findVerification(lostItem.ipfsCid, lostItem.reporter);
+        const timestamp = new Date(now).toISOString();
+        db.run(
+            `INSERT INTO handovers (lost_id, found_id, claimant, finder, verification_id, status, claimed_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, 'claimed', ?, ?)`,
+            [
+                lostItem.itemId,
+                foundItem.itemId,
+                lostItem.reporter.toLowerCase(),
+                foundItem.reporter.toLowerCase(),
+                verification ? verification.id : null,
+                timestamp,
+                timestamp
+            ]
+        );
+        return describeHandover(lostItem.itemId);
+    }
+
+    /**
+     * Checks the claimant's answers, one per question in order. All must
+     * match the ones set with the report; each wrong set uses up an attempt.
+     * Right answers are kept for the finder to compare with the item.
+     * Returns `{ correct, handover }`.
+     */
+    function submitAnswers(lostId, answers, now = Date.now()) {
+        const row = requireStatus(lostId, 'claimed');
+        const verification = getVerification(row.verification_id);
+        if (!verification) {
+            throw handoverError('This item has no verification questions; the finder verifies the claim in person.', 409);
+        }
+        if (!Array.isArray(answers) || answers.length !== verification.questions.length) {
+            throw handoverError(`answers must be a list of ${verification.questions.length} answer(s), one per question.`);
+        }
+
+        // Every answer is hashed, so the time taken doesn't tell which one was wrong.
+        const correct = verification.questions
+            .map((question, index) => answerMatches(answers[index], question))
+            .every(Boolean);
+        const attempts = row.attempts + 1;
+        if (correct) {
+            const kept = JSON.stringify(answers.map(answer => answer.trim()));
+            return { correct, handover: update(lostId, { attempts, status: 'answered', answers: kept }, now) };
+        }
+        return { correct, handover: update(lostId, { attempts, status: attempts >= maxAttempts ? 'failed' : 'claimed' }, now) };
+    }
+
+    /**
+     * The finder confirms the claimant as the owner: after comparing their
+     * answers with the item, or in person for items reported without questions.
+     */
+    function verify(lostId, now = Date.now()) {
+        const row = requireStatus(lostId, 'claimed', 'answered');
+        if (row.verification_id && row.status !== 'answered') {
+            throw handoverError('The claimant must answer the verification questions first.', 409);
+        }
+        const verifiedBy = row.verification_id ? 'answers' : 'finder';
+        return update(lostId, { status: 'verified', verified_by: verifiedBy, verified_at: new Date(now).toISOString() }, now);
+    }
+
+    // The finder turns down answers that don't fit the item; a moderator can reopen the claim.
+    function reject(lostId, now = Date.now()) {
+        requireStatus(lostId, 'answered');
+        return update(lostId, { status: 'failed' }, now);
+    }
+
+    function complete(lostId, address, now = Date.now()) {
+        requireStatus(lostId, 'verified');
+        return update(lostId, { status: 'handed-over', completed_by: address.toLowerCase(), handed_over_at: new Date(now).toISOString() }, now);
+    }
+
+    // A moderator gives a failed claim a fresh set of attempts.
+    function reopen(lostId, now = Date.now()) {
+        requireStatus(lostId, 'failed');
+        return update(lostId, { status: 'claimed', attempts: 0, answers: null }, now);
+    }
+
+    function listMessages(lostId) {
+        return db.all('SELECT * FROM handover_messages WHERE lost_id = ? ORDER BY id', [lostId])
+            .map(row => ({ id: row.id, sender: row.sender, text: row.text, createdAt: row.created_at }));
+    }
+
+    // Messages to arrange the handover, only once ownership is verified.
+    function addMessage(lostId, sender, text, now = Date.now()) {
+        requireStatus(lostId, 'verified', 'handed-over');
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (!trimmed || trimmed.length > MAX_MESSAGE_LENGTH) {
+            throw handoverError(`text must be 1 to ${MAX_MESSAGE_LENGTH} characters.`);
+        }
+        db.run(
+            'INSERT INTO handover_messages (lost_id, sender, text, created_at) VALUES (?, ?, ?, ?)',
+            [lostId, sender.toLowerCase(), trimmed, new Date(now).toISOString()]
+        );
+        return update(lostId, {}, now);
+    }
+
+    return {
+        saveVerification,
+        findVerification,
+        getHandover,
+        describeHandover,
+        listForAddress,
+        withHandoverStatus,
+        claim,
+        submitAnswers,
+        verify,
+        reject,
+        complete,
+        reopen,
+        addMessage
+    };
+}
+
+module.exports = { createHandoverStore, normalizeAnswer };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Content-addressed disk cache for item images.
+ *
+ * Images are keyed by CID, and a CID always names the same bytes, so entries are
+ * never invalidated. The original download is kept under `original/`. The
+ * downscaled JPEG sent to the model is kept under `prepared/`, keyed by the
+ * preprocessing settings as well. Misses are read through `fetchOriginal(cid)`,
+ * normally the configured storage provider's `get`.
+ *
+ * Both directories together stay under `maxBytes`: past it, the least recently
+ * used files are deleted. File modification times carry the order across restarts.
+ */
+
+// MIME types Gemini accepts as inline image data.
+const MODEL_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif']);
+
+// CIDv0 (base58) and CIDv1 (base32/base36) are plain alphanumerics; anything else is refused.
+const CID_PATTERN = /^[A-Za-z0-9]{20,128}$/;
+
+/**
+ * Detects an image type from its leading bytes. Returns null for anything else.
+ */
+function detectMimeType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+    const tiffLE = buffer[0] === 0x49 && buffer[1] === 0x49 && buffer[2] === 0x2a && buffer[3] === 0x00;
+    const tiffBE = buffer[0] === 0x4d && buffer[1] === 0x4d && buffer[2] === 0x00 && buffer[3] === 0x2a;
+    if (tiffLE || tiffBE) return 'image/tiff';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (brand === 'avif' || brand === 'avis') return 'image/avif';
+        if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+        if (brand === 'mif1' || brand === 'msf1') return 'image/heif';
+    }
+    return null;
+}
+
+function isValidCid(cid) {
+    return typeof cid === 'string' && CID_PATTERN.test(cid);
+}
+
+function createImageCache({
+    cacheDir,
+    fetchOriginal,
+    maxDimension = 1024,
+    quality = 80,
+    maxBytes = Infinity,
+    log = () => {}
+}) {
+    if (typeof fetchOriginal !== 'function') {
+        throw new Error('The image cache needs a fetchOriginal(cid) function.');
+    }
+    const originalDir = path.join(cacheDir, 'original');
+    const preparedDir = path.join(cacheDir, 'prepared');
+    fs.mkdirSync(originalDir, { recursive: true });
+    fs.mkdirSync(preparedDir, { recursive: true });
+
+    const stats = { hits: 0, misses: 0, fetchFailures: 0, evictions: 0 };
+
+    // Cached files by path with their sizes, least recently used first.
+    const entries = new Map();
+    let totalBytes = 0;
+    [originalDir, preparedDir]
+        .flatMap(dir => fs.readdirSync(dir).map(name => path.join(dir, name)))
+        .filter(filePath => !filePath.endsWith('.tmp'))
+        .map(filePath => ({ filePath, stat: fs.statSync(filePath) }))
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+        .forEach(({ filePath, stat }) => {
+            entries.set(filePath, stat.size);
+            totalBytes += stat.size;
+        });
+
+    // Marks a cached file as just used.
+    function touch(filePath, size) {
+        if (entries.has(filePath)) totalBytes -= entries.get(filePath);
+        entries.delete(filePath);
+        entries.set(filePath, size);
+        totalBytes += size;
+        const now = new Date();
+        try {
+            fs.utimesSync(filePath, now, now);
+        } catch {
+            // Evicted or removed by hand; it is written again on its next miss.
+        }
+    }
+
+    function evict() {
+        for (const [filePath, size] of entries) {
+            if (totalBytes <= maxBytes) break;
+            entries.delete(filePath);
+            totalBytes -= size;
+            fs.rmSync(filePath, { force: true });
+            stats.evictions++;
+        }
+    }
+
+    function writeAtomic(filePath, data) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, filePath);
+        touch(filePath, data.length);
+        evict();
+    }
+
+    function readCached(filePath) {
+        const data = fs.readFileSync(filePath);
+        touch(filePath, data.length);
+        return data;
+    }
+
+    async function download(cid) {
+        try {
+            return Buffer.from(await fetchOriginal(cid));
+        } catch (error) {
+            stats.fetchFailures++;
+            log(`Image cache: could not fetch ${cid} (${error.message}).`);
+            throw error;
+        }
+    }
+
+    async function getOriginal(cid) {
+        if (!isValidCid(cid)) {
+            throw new Error(`Refusing to fetch invalid CID '${cid}'.`);
+        }
+        const filePath = path.join(originalDir, cid);
+        if (fs.existsSync(filePath)) {
+            return readCached(filePath);
+        }
+        const data = await download(cid);
+        writeAtomic(filePath, data);
+        return data;
+    }
+
+    /**
+     * Returns `{ data, mimeType }` ready for the model: downscaled to fit
+     * `maxDimension` and re-encoded as JPEG.
+     */
+    async function getPrepared(cid) {
+        const preparedPath = path.join(preparedDir, `${cid}-${maxDimension}q${quality}.jpg`);
+        if (isValidCid(cid) && fs.existsSync(preparedPath)) {
+            stats.hits++;
+            return { data: readCached(preparedPath), mimeType: 'image/jpeg' };
+        }
+        stats.misses++;
+
+        const original = await getOriginal(cid);
+        const mimeType = detectMimeType(original);
+        if (!mimeType) {
+            throw new Error(`CID ${cid} is not a recognised image.`);
+        }
+
+        try {
+            const data = await sharp(original)
+                .rotate() // apply EXIF orientation before the metadata is dropped
+                .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality })
+                .toBuffer();
+            writeAtomic(preparedPath, data);
+            return { data, mimeType: 'image/jpeg' };
+        } catch (error) {
+            // Formats sharp can't decode here can still go to the model as-is if it accepts them.
+            if (MODEL_MIME_TYPES.has(mimeType)) {
+                log(`Image cache: could not re-encode ${cid} (${error.message}); sending original ${mimeType}.`);
+                return { data: original, mimeType };
+            }
+            throw new Error(`Could not preprocess ${mimeType} image ${cid}: ${error.message}`);
+        }
+    }
+
+    function getStats() {
+        return { ...stats };
+    }
+
+    return { getOriginal, getPrepared, getStats };
+}
+
+module.exports = { createImageCache, detectMimeType, isValidCid };
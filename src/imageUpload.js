@@ -0,0 +1,125 @@
+const sharp = require('sharp');
+const { detectMimeType } = require('./imageCache');
+
+/**
+ * Validation and normalisation for uploaded item photos.
+ *
+ * The declared `mimetype` of an upload is never trusted: the type comes from the
+ * file's magic bytes and the image must decode. Re-encoding drops all metadata,
+ * including EXIF GPS coordinates that could reveal where a reporter lives.
+ */
+
+const DEFAULT_ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+// Refuse decompression bombs: a small file that expands to a huge bitmap.
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class UploadError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.statusCode = statusCode;
+    }
+}
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+function encode(pipeline, mimeType) {
+    switch (mimeType) {
+        case 'image/png':
+            return pipeline.png({ compressionLevel: 9 });
+        case 'image/webp':
+            return pipeline.webp({ quality: 85 });
+        default:
+            return pipeline.jpeg({ quality: 85, mozjpeg: true });
+    }
+}
+
+/**
+ * Difference hash (dHash) of an image: 64 bits, as 16 hex characters, that
+ * stay nearly the same when a photo is re-encoded, resized or lightly edited.
+ * Each bit says whether a pixel of a 9x8 greyscale copy is brighter than its
+ * right-hand neighbour.
+ */
+async function computePerceptualHash(buffer) {
+    const pixels = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+        for (let nibble = 0; nibble < 2; nibble++) {
+            let value = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                const x = nibble * 4 + bit;
+                value = (value << 1) | (pixels[row * 9 + x] > pixels[row * 9 + x + 1] ? 1 : 0);
+            }
+            hash += value.toString(16);
+        }
+    }
+    return hash;
+}
+
+/**
+ * Validates an uploaded image and returns the normalised image, its thumbnail and perceptual hash:
+ * `{ image: { data, mimeType, width, height, extension }, thumbnail: {...}, perceptualHash, sourceType }`.
+ * Throws UploadError (400 or 415) for anything that isn't an allowed, decodable image.
+ */
+async function processUpload(buffer, { allowedTypes = DEFAULT_ALLOWED_TYPES } = {}) {
+    const sourceType = detectMimeType(buffer);
+    if (!sourceType) {
+        throw new UploadError('File is not a recognised image.', 415);
+    }
+    if (!allowedTypes.includes(sourceType)) {
+        throw new UploadError(`Images of type ${sourceType} are not accepted. Allowed: ${allowedTypes.join(', ')}.`, 415);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+        // metadata() only reads the header; make sure the pixel data decodes too.
+        await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).stats();
+    } catch (error) {
+        throw new UploadError(`Image could not be decoded: ${error.message}`);
+    }
+
+    // GIFs are flattened to their first frame; everything else keeps its format.
+    const outputType = EXTENSIONS[sourceType] ? sourceType : (metadata.hasAlpha ? 'image/png' : 'image/jpeg');
+
+    // rotate() bakes in the EXIF orientation; sharp writes no metadata unless asked to.
+    const base = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    const imageResult = await encode(
+        base().resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true }),
+        outputType
+    ).toBuffer({ resolveWithObject: true });
+
+    const thumbnailResult = await base()
+        .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        sourceType,
+        perceptualHash: await computePerceptualHash(imageResult.data),
+        image: {
+            data: imageResult.data,
+            mimeType: outputType,
+            extension: EXTENSIONS[outputType],
+            width: imageResult.info.width,
+            height: imageResult.info.height
+        },
+        thumbnail: {
+            data: thumbnailResult.data,
+            mimeType: 'image/jpeg',
+            extension: 'jpg',
+            width: thumbnailResult.info.width,
+            height: thumbnailResult.info.height
+        }
+    };
+}
+
+module.exports = { processUpload, computePerceptualHash, UploadError, DEFAULT_ALLOWED_TYPES };
@@ -0,0 +1,428 @@
+/**
+ * Local index of every item reported on the contract.
+ *
+ * The index is backfilled once from `getItem`/`matchedItem`, then kept up to date
+ * by reading `ItemReported` and `MatchFound` logs block range by block range. The
+ * last processed block is stored in `sync_state`, so a restart or a reconnect
+ * resumes where the previous one stopped and nothing emitted in between is lost.
+ *
+ * Only blocks at least `confirmations` deep are read. The hashes of processed
+ * blocks are kept; if one no longer matches the chain, the blocks after the fork
+ * are rolled back (items removed, matches undone) and read again.
+ *
+ * `onChange(type, change)` hears about every change as it is committed:
+ * 'reported' `{ itemId, blockNumber, txHash }`, 'matched' `{ itemId1, itemId2,
+ * blockNumber, txHash }` and 'reorg' `{ forkBlock, depth, removedItemIds, unmatchedItemIds }`.
+ * The initial backfill does not report its items.
+ */
+
+// Most FEVM RPC endpoints reject eth_getLogs over large block ranges.
+const DEFAULT_LOG_CHUNK_SIZE = 2000;
+// Block hashes kept for reorg detection. Filecoin finality is 900 epochs, so a deeper reorg can't happen.
+const REORG_WINDOW_BLOCKS = 2000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS items (
+        item_id INTEGER PRIMARY KEY,
+        reporter TEXT NOT NULL,
+        is_lost INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        ipfs_cid TEXT NOT NULL,
+        matched_id INTEGER NOT NULL DEFAULT 0,
+        match_tx_hash TEXT,
+        match_block INTEGER,
+        reported_block INTEGER,
+        reported_tx_hash TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_items_unmatched ON items (is_lost, matched_id);
+    CREATE TABLE IF NOT EXISTS sync_state (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS block_hashes (
+        block_number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+`;
+
+function rowToItem(row) {
+    return {
+        itemId: row.item_id,
+        reporter: row.reporter,
+        isLost: Boolean(row.is_lost),
+        title: row.title,
+        description: row.description,
+        ipfsCid: row.ipfs_cid,
+        matchedId: row.matched_id,
+        matchTxHash: row.match_tx_hash || null,
+        // Null for items loaded by the initial backfill rather than from their event.
+        reportedBlock: row.reported_block ?? null,
+        reportedTxHash: row.reported_tx_hash || null,
+        matchBlock: row.match_block ?? null
+    };
+}
+
+function createItemIndex({ db, log, confirmations = 0, onChange = () => {}, logChunkSize = DEFAULT_LOG_CHUNK_SIZE }) {
+    db.exec(SCHEMA);
+    // Indexes created before reorg handling have no match_block column.
+    if (!db.all('PRAGMA table_info(items)').some(column => column.name === 'match_block')) {
+        db.exec('ALTER TABLE items ADD COLUMN match_block INTEGER');
+    }
+
+    let syncInFlight = null;
+    // Progress of the last sync, for GET /api/sync.
+    const status = {
+        head: null,
+        safeHead: null,
+        lastBlockTime: null,
+        lastSyncAt: null,
+        lastSyncDurationMs: null,
+        lastError: null,
+        reorgCount: 0,
+        lastReorg: null
+    };
+
+    function getState(key) {
+        const row = db.get('SELECT value FROM sync_state WHERE key = ?', [key]);
+        return row ? row.value : null;
+    }
+
+    function setState(key, value) {
+        db.run(
+            'INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            [key, String(value)]
+        );
+    }
+
+    function getLastBlock() {
+        const value = getState('last_block');
+        return value === null ? null : Number(value);
+    }
+
+    function rememberBlock(blockNumber, hash) {
+        db.run(
+            'INSERT INTO block_hashes (block_number, hash) VALUES (?, ?) ON CONFLICT(block_number) DO UPDATE SET hash = excluded.hash',
+            [blockNumber, hash]
+        );
+    }
+
+    function upsertItem(itemData, meta = {}) {
+        db.run(
+            `INSERT INTO items (item_id, reporter, is_lost, title, description, ipfs_cid, matched_id, reported_block, reported_tx_hash)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(item_id) DO UPDATE SET
+                reporter = excluded.reporter,
+                is_lost = excluded.is_lost,
+                title = excluded.title,
+                description = excluded.description,
+                ipfs_cid = excluded.ipfs_cid,
+                matched_id = MAX(items.matched_id, excluded.matched_id),
+                reported_block = COALESCE(excluded.reported_block, items.reported_block),
+                reported_tx_hash = COALESCE(excluded.reported_tx_hash, items.reported_tx_hash)`,
+            [
+                Number(itemData[0]),
+                itemData[1],
+                itemData[2] ? 1 : 0,
+                itemData[3],
+                itemData[4],
+                itemData[5],
+                meta.matchedId || 0,
+                meta.blockNumber ?? null,
+                meta.txHash ?? null
+            ]
+        );
+    }
+
+    function markMatched(itemId1, itemId2, txHash, blockNumber) {
+        db.run('UPDATE items SET matched_id = ?, match_tx_hash = ?, match_block = ? WHERE item_id = ?', [itemId2, txHash, blockNumber, itemId1]);
+        db.run('UPDATE items SET matched_id = ?, match_tx_hash = ?, match_block = ? WHERE item_id = ?', [itemId1, txHash, blockNumber, itemId2]);
+    }
+
+    function clearIndex() {
+        db.transaction(() => {
+            db.run('DELETE FROM items');
+            db.run('DELETE FROM block_hashes');
+            db.run("DELETE FROM sync_state WHERE key != 'contract_address'");
+        });
+    }
+
+    // Drops everything when the configured contract changes, since the IDs no longer line up.
+    function ensureContract(address) {
+        const indexed = getState('contract_address');
+        if (indexed && indexed !== address.toLowerCase()) {
+            log(`Item index was built for ${indexed}; rebuilding for ${address}.`);
+            clearIndex();
+        }
+        setState('contract_address', address.toLowerCase());
+    }
+
+    /**
+     * Compares the stored block hashes with the chain, newest first. Returns null
+     * when the newest still matches, otherwise the newest block that does (-1 if none).
+     */
+    async function findForkBlock(provider) {
+        const stored = db.all('SELECT block_number, hash FROM block_hashes ORDER BY block_number DESC');
+        for (let i = 0; i < stored.length; i++) {
+            const block = await provider.getBlock(stored[i].block_number);
+            if (block && block.hash === stored[i].hash) {
+                return i === 0 ? null : stored[i].block_number;
+            }
+        }
+        return stored.length === 0 ? null : -1;
+    }
+
+    // Undoes everything learned from blocks after `forkBlock`, so they are read again.
+    function rollBack(forkBlock) {
+        const lastBlock = getLastBlock();
+        const removedItemIds = db.all('SELECT item_id FROM items WHERE reported_block > ?', [forkBlock]).map(row => row.item_id);
+        const unmatchedItemIds = db.all(
+            'SELECT item_id FROM items WHERE match_block > ? AND (reported_block IS NULL OR reported_block <= ?)',
+            [forkBlock, forkBlock]
+        ).map(row => row.item_id);
+        db.transaction(() => {
+            db.run('UPDATE items SET matched_id = 0, match_tx_hash = NULL, match_block = NULL WHERE match_block > ?', [forkBlock]);
+            db.run('DELETE FROM items WHERE reported_block > ?', [forkBlock]);
+            db.run('DELETE FROM block_hashes WHERE block_number > ?', [forkBlock]);
+            setState('last_block', forkBlock);
+        });
+        const reorg = { forkBlock, depth: lastBlock - forkBlock, removedItemIds, unmatchedItemIds, at: new Date().toISOString() };
+        status.reorgCount++;
+        status.lastReorg = reorg;
+        log(`Item index: chain reorganised after block ${forkBlock}; removed ${removedItemIds.length} item(s), unmatched ${unmatchedItemIds.length}.`);
+        onChange('reorg', reorg);
+    }
+
+    async function backfill(contract, toBlock) {
+        const overrides = { blockTag: toBlock };
+        const header = await contract.runner.provider.getBlock(toBlock);
+        const totalItems = Number(await contract.getItemCount(overrides));
+        log(`Item index: backfilling ${Math.max(totalItems - 1, 0)} items up to block ${toBlock}...`);
+
+        const fetched = [];
+        for (let id = 1; id < totalItems; id++) {
+            const itemData = await contract.getItem(id, overrides);
+            const matchedId = Number(await contract.matchedItem(id, overrides));
+            fetched.push({ itemData, matchedId });
+        }
+
+        db.transaction(() => {
+            for (const { itemData, matchedId } of fetched) {
+                upsertItem(itemData, { matchedId });
+            }
+            rememberBlock(toBlock, header.hash);
+            setState('last_block', toBlock);
+        });
+        status.lastBlockTime = header.timestamp;
+        log(`Item index: backfill complete (${fetched.length} items).`);
+    }
+
+    async function applyLogs(contract, fromBlock, toBlock) {
+        // Read the range's last header first: if the chain reorganises meanwhile, the next sync sees a different hash.
+        const header = await contract.runner.provider.getBlock(toBlock);
+        const [reported, matched] = await Promise.all([
+            contract.queryFilter(contract.filters.ItemReported(), fromBlock, toBlock),
+            contract.queryFilter(contract.filters.MatchFound(), fromBlock, toBlock)
+        ]);
+        const events = [...reported, ...matched].sort(
+            (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+        );
+
+        // ItemReported does not carry the description, so look each new item up once.
+        const itemData = new Map();
+        for (const event of reported) {
+            const itemId = Number(event.args.itemId);
+            itemData.set(itemId, await contract.getItem(itemId, { blockTag: toBlock }));
+        }
+
+        const changes = [];
+        db.transaction(() => {
+            for (const event of events) {
+                if (event.fragment.name === 'ItemReported') {
+                    const itemId = Number(event.args.itemId);
+                    upsertItem(itemData.get(itemId), {
+                        blockNumber: event.blockNumber,
+                        txHash: event.transactionHash
+                    });
+                    changes.push(['reported', { itemId, blockNumber: event.blockNumber, txHash: event.transactionHash }]);
+                } else {
+                    const itemId1 = Number(event.args.itemId1);
+                    const itemId2 = Number(event.args.itemId2);
+                    markMatched(itemId1, itemId2, event.transactionHash, event.blockNumber);
+                    changes.push(['matched', { itemId1, itemId2, blockNumber: event.blockNumber, txHash: event.transactionHash }]);
+                }
+                rememberBlock(event.blockNumber, event.blockHash);
+            }
+            rememberBlock(toBlock, header.hash);
+            db.run('DELETE FROM block_hashes WHERE block_number < ?', [toBlock - REORG_WINDOW_BLOCKS]);
+            setState('last_block', toBlock);
+        });
+        status.lastBlockTime = header.timestamp;
+        changes.forEach(([type, change]) => onChange(type, change));
+        return events.length;
+    }
+
+    async function runSync(contract) {
+        ensureContract(await contract.getAddress());
+        const provider = contract.runner.provider;
+        const head = await provider.getBlockNumber();
+        const safeHead = head - confirmations;
+        status.head = head;
+        status.safeHead = safeHead;
+
+        const forkBlock = await findForkBlock(provider);
+        if (forkBlock === -1) {
+            log('Item index: chain reorganised beyond the stored block hashes; rebuilding.');
+            clearIndex();
+        } else if (forkBlock !== null) {
+            rollBack(forkBlock);
+        }
+
+        const lastBlock = getLastBlock();
+        if (safeHead < 0 || (lastBlock !== null && lastBlock >= safeHead)) {
+            return;
+        }
+        if (lastBlock === null) {
+            await backfill(contract, safeHead);
+            return;
+        }
+
+        let applied = 0;
+        for (let from = lastBlock + 1; from <= safeHead; from += logChunkSize) {
+            const to = Math.min(from + logChunkSize - 1, safeHead);
+            applied += await applyLogs(contract, from, to);
+        }
+        if (applied > 0) {
+            log(`Item index: applied ${applied} events up to block ${safeHead}.`);
+        }
+    }
+
+    /**
+     * Brings the index up to `confirmations` blocks below the chain head.
+     * Concurrent callers share the same run.
+     */
+    function sync(contract) {
+        if (!syncInFlight) {
+            const startedAt = Date.now();
+            syncInFlight = runSync(contract)
+                .then(() => {
+                    status.lastError = null;
+                }, error => {
+                    status.lastError = error.shortMessage || error.message;
+                    throw error;
+                })
+                .finally(() => {
+                    status.lastSyncAt = new Date().toISOString();
+                    status.lastSyncDurationMs = Date.now() - startedAt;
+                    syncInFlight = null;
+                });
+        }
+        return syncInFlight;
+    }
+
+    // How far behind the chain the index is, as of the last sync.
+    function getSyncStatus(now = Date.now()) {
+        const lastBlock = getLastBlock();
+        return {
+            confirmations,
+            head: status.head,
+            safeHead: status.safeHead,
+            lastBlock,
+            lagBlocks: status.head === null || lastBlock === null ? null : status.head - lastBlock,
+            lagSeconds: status.lastBlockTime === null ? null : Math.max(0, Math.round(now / 1000 - status.lastBlockTime)),
+            lastSyncAt: status.lastSyncAt,
+            lastSyncDurationMs: status.lastSyncDurationMs,
+            lastError: status.lastError,
+            reorgCount: status.reorgCount,
+            lastReorg: status.lastReorg
+        };
+    }
+
+    function getItem(itemId) {
+        const row = db.get('SELECT * FROM items WHERE item_id = ?', [itemId]);
+        return row ? rowToItem(row) : null;
+    }
+
+    // True if an indexed item's on-chain CID is `cid` (its metadata document, or a legacy bare image).
+    function hasCid(cid) {
+        return Boolean(db.get('SELECT 1 FROM items WHERE ipfs_cid = ?', [cid]));
+    }
+
+    function getUnmatchedItems() {
+        const rows = db.all('SELECT * FROM items WHERE matched_id = 0 ORDER BY item_id');
+        const items = rows.map(rowToItem);
+        return {
+            lost: items.filter(item => item.isLost),
+            found: items.filter(item => !item.isLost)
+        };
+    }
+
+    // Every item, oldest first, for exports.
+    function allItems() {
+        return db.all('SELECT * FROM items ORDER BY item_id').map(rowToItem);
+    }
+
+    // Item totals by type and match status, for metrics.
+    function itemCounts() {
+        const counts = { lost: { matched: 0, unmatched: 0 }, found: { matched: 0, unmatched: 0 } };
+        for (const row of db.all('SELECT is_lost, matched_id > 0 AS matched, COUNT(*) AS count FROM items GROUP BY is_lost, matched_id > 0')) {
+            counts[row.is_lost ? 'lost' : 'found'][row.matched ? 'matched' : 'unmatched'] = row.count;
+        }
+        return counts;
+    }
+
+    // A reporter's most recent items of one type, newest first, reported before `beforeId`.
+    function listReporterItems(reporter, { isLost, beforeId, limit = 50 }) {
+        return db.all(
+            'SELECT * FROM items WHERE LOWER(reporter) = ? AND is_lost = ? AND item_id < ? ORDER BY item_id DESC LIMIT ?',
+            [reporter.toLowerCase(), isLost ? 1 : 0, beforeId, limit]
+        ).map(rowToItem);
+    }
+
+    /**
+     * Filtered, cursor-paginated listing. `cursor` is the last item ID of the previous page.
+     * Items from `excludeReporters` (lowercased addresses) are left out.
+     */
+    function queryItems({ type, status, reporter, q, excludeReporters = [], cursor, limit = 20 } = {}) {
+        const where = [];
+        const params = [];
+        if (type === 'lost' || type === 'found') {
+            where.push('is_lost = ?');
+            params.push(type === 'lost' ? 1 : 0);
+        }
+        if (status === 'matched') where.push('matched_id != 0');
+        if (status === 'unmatched') where.push('matched_id = 0');
+        if (reporter) {
+            where.push('LOWER(reporter) = ?');
+            params.push(reporter.toLowerCase());
+        }
+        if (excludeReporters.length > 0) {
+            where.push(`LOWER(reporter) NOT IN (${excludeReporters.map(() => '?').join(', ')})`);
+            params.push(...excludeReporters);
+        }
+        if (q) {
+            where.push("(title LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')");
+            const pattern = `%${q.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+            params.push(pattern, pattern);
+        }
+        if (cursor) {
+            where.push('item_id > ?');
+            params.push(cursor);
+        }
+
+        const sql = `SELECT * FROM items ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY item_id LIMIT ?`;
+        // Fetch one extra row to know whether another page exists.
+        const rows = db.all(sql, [...params, limit + 1]);
+        const items = rows.slice(0, limit).map(rowToItem);
+        const nextCursor = rows.length > limit ? items[items.length - 1].itemId : null;
+        return { items, nextCursor };
+    }
+
+    function countItems() {
+        return db.get('SELECT COUNT(*) AS count FROM items').count;
+    }
+
+    return { sync, getSyncStatus, getItem, hasCid, getUnmatchedItems, listReporterItems, allItems, itemCounts, queryItems, countItems, getLastBlock };
+}
+
+module.exports = { createItemIndex };
@@ -0,0 +1,177 @@
+const { detectMimeType, isValidCid } = require('./imageCache');
+
+/**
+ * Structured item metadata, stored as a JSON document whose CID goes in the
+ * contract's `ipfsCid` slot. Items reported before this existed hold the CID of
+ * a bare image instead; those resolve with `metadata: null`.
+ *
+ * Version 1:
+ *   {
+ *     "schema": "dlf-item-metadata", "version": 1,
+ *     "category": "wallet" | null, "colours": ["red"], "brand": "Fossil" | null,
+ *     "location": { "label": "Main stage", "lat": 6.45, "lng": 3.39 } | null,
+ *     "occurredAt": "2026-05-01T14:30:00.000Z" | null,
+ *     "photos": ["<image CID>", ...]
+ *   }
+ */
+
+const METADATA_SCHEMA = 'dlf-item-metadata';
+const METADATA_VERSION = 1;
+const MAX_PHOTOS = 5;
+const MAX_COLOURS = 5;
+// A report can't be about the future; allow for clock skew and time zones.
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+const ITEM_CATEGORIES = [
+    'wallet', 'phone', 'keys', 'bag', 'laptop', 'audio', 'eyewear', 'watch', 'clothing',
+    'umbrella', 'bottle', 'document', 'jewellery', 'other'
+];
+
+class MetadataError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'MetadataError';
+        this.statusCode = statusCode;
+    }
+}
+
+function optionalString(value, field, maxLength) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new MetadataError(`'${field}' must be a string.`);
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) throw new MetadataError(`'${field}' must be at most ${maxLength} characters.`);
+    return trimmed || null;
+}
+
+function validateLocation(location) {
+    if (location === undefined || location === null) return null;
+    if (typeof location !== 'object' || Array.isArray(location)) {
+        throw new MetadataError("'location' must be an object with 'label', 'lat' and 'lng'.");
+    }
+    const label = optionalString(location.label, 'location.label', 200);
+    const hasLat = location.lat !== undefined && location.lat !== null && location.lat !== '';
+    const hasLng = location.lng !== undefined && location.lng !== null && location.lng !== '';
+    if (hasLat !== hasLng) {
+        throw new MetadataError("'location.lat' and 'location.lng' must be given together.");
+    }
+    let lat = null;
+    let lng = null;
+    if (hasLat) {
+        lat = Number(location.lat);
+        lng = Number(location.lng);
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90) throw new MetadataError("'location.lat' must be between -90 and 90.");
+        if (!Number.isFinite(lng) || lng < -180 || lng > 180) throw new MetadataError("'location.lng' must be between -180 and 180.");
+    }
+    if (!label && lat === null) return null;
+    return { label, lat, lng };
+}
+
+/**
+ * Validates a metadata document (from a client or fetched from storage) and
+ * returns its normalised form. Throws MetadataError.
+ */
+function validateMetadata(input, { now = Date.now() } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new MetadataError('Metadata must be a JSON object.');
+    }
+    if (input.schema !== undefined && input.schema !== METADATA_SCHEMA) {
+        throw new MetadataError(`Unknown metadata schema '${input.schema}'.`);
+    }
+    const version = input.version === undefined ? METADATA_VERSION : input.version;
+    if (version !== METADATA_VERSION) {
+        throw new MetadataError(`Unsupported metadata version ${version}. Expected ${METADATA_VERSION}.`);
+    }
+
+    const category = optionalString(input.category, 'category', 40);
+    if (category && !ITEM_CATEGORIES.includes(category.toLowerCase())) {
+        throw new MetadataError(`'category' must be one of: ${ITEM_CATEGORIES.join(', ')}.`);
+    }
+
+    const colours = input.colours === undefined || input.colours === null ? [] : input.colours;
+    if (!Array.isArray(colours) || colours.length > MAX_COLOURS) {
+        throw new MetadataError(`'colours' must be a list of at most ${MAX_COLOURS} colours.`);
+    }
+
+    let occurredAt = null;
+    if (input.occurredAt !== undefined && input.occurredAt !== null && input.occurredAt !== '') {
+        const time = typeof input.occurredAt === 'string' ? Date.parse(input.occurredAt) : NaN;
+        if (!Number.isFinite(time)) throw new MetadataError("'occurredAt' must be an ISO 8601 date/time.");
+        if (time > now + MAX_FUTURE_MS) throw new MetadataError("'occurredAt' cannot be in the future.");
+        occurredAt = new Date(time).toISOString();
+    }
+
+    const photos = input.photos === undefined || input.photos === null ? [] : input.photos;
+    if (!Array.isArray(photos) || photos.length > MAX_PHOTOS) {
+        throw new MetadataError(`'photos' must be a list of at most ${MAX_PHOTOS} image CIDs.`);
+    }
+    if (!photos.every(isValidCid)) {
+        throw new MetadataError("'photos' contains an invalid CID.");
+    }
+
+    return {
+        schema: METADATA_SCHEMA,
+        version: METADATA_VERSION,
+        category: category ? category.toLowerCase() : null,
+        colours: [...new Set(colours.map((colour, i) => optionalString(colour, `colours[${i}]`, 30)).filter(Boolean).map(colour => colour.toLowerCase()))],
+        brand: optionalString(input.brand, 'brand', 60),
+        location: validateLocation(input.location),
+        occurredAt,
+        photos: [...new Set(photos)]
+    };
+}
+
+/**
+ * Resolves the CID stored on-chain for an item into `{ metadata, imageCids }`.
+ * `fetchOriginal(cid)` returns the stored bytes (see imageCache.getOriginal).
+ */
+function createMetadataResolver({ fetchOriginal, log = () => {} }) {
+    // CIDs are immutable, so a resolved document never changes.
+    const resolved = new Map();
+
+    async function resolve(cid) {
+        if (!cid) return { metadata: null, imageCids: [] };
+        if (resolved.has(cid)) return resolved.get(cid);
+
+        let data;
+        try {
+            data = await fetchOriginal(cid);
+        } catch (error) {
+            // Not cached: the fetch may succeed next time. Treat it as a legacy image for now.
+            log(`Metadata: could not fetch ${cid} (${error.message}).`);
+            return { metadata: null, imageCids: [cid] };
+        }
+
+        let result;
+        if (detectMimeType(data)) {
+            result = { metadata: null, imageCids: [cid] }; // legacy: the CID is the image itself
+        } else {
+            try {
+                // The date was already checked when the document was stored.
+                const metadata = validateMetadata(JSON.parse(data.toString('utf8')), { now: Infinity });
+                result = { metadata, imageCids: metadata.photos };
+            } catch (error) {
+                log(`Metadata: ${cid} is neither an image nor a valid metadata document (${error.message}).`);
+                result = { metadata: null, imageCids: [] };
+            }
+        }
+        resolved.set(cid, result);
+        return result;
+    }
+
+    // Adds `metadata` and `imageCids` to each item.
+    async function withMetadata(items) {
+        return Promise.all(items.map(async item => (item ? { ...item, ...(await resolve(item.ipfsCid)) } : item)));
+    }
+
+    return { resolve, withMetadata };
+}
+
+module.exports = {
+    createMetadataResolver,
+    validateMetadata,
+    MetadataError,
+    ITEM_CATEGORIES,
+    METADATA_SCHEMA,
+    METADATA_VERSION,
+    MAX_PHOTOS
+};
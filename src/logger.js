@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Server logging. `log(msg, fields)` writes one line per message, either as
+ * JSON (`{ time, level, msg, ...fields }`, for log collectors) or as the plain
+ * `[time] msg` text used in development. `log.error(msg, error)` adds the
+ * error's message, code and stack.
+ *
+ * Fields set with `withLogContext` (the engine run ID, for one) are added to
+ * every line logged while that call is in progress, including from the stores
+ * and managers it calls into, without passing them along by hand.
+ * `log.child(fields)` returns a logger that adds `fields` to every line, such
+ * as the tenant of a multi-tenant server.
+ */
+
+const LOG_FORMATS = ['json', 'text'];
+
+const context = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to every line it logs. Nested contexts add to the outer one.
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Formats plain values too: some callers log an API's error response body instead of an Error.
+function stringify(value) {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function describeError(error) {
+    if (!(error instanceof Error)) return { message: stringify(error) };
+    return {
+        message: error.shortMessage || error.message,
+        ...(error.code && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function createLogger({ format = 'json', stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format '${format}'. Expected one of: ${LOG_FORMATS.join(', ')}.`);
+    }
+
+    function write(bound, level, msg, fields, error) {
+        const stream = level === 'error' ? stderr : stdout;
+        const all = { ...bound, ...context.getStore(), ...fields };
+        // "Item listing error:" reads better as a message without the trailing colon.
+        const message = String(msg).replace(/:\s*$/, '');
+        if (format === 'json') {
+            const line = { time: new Date().toISOString(), level, msg: message, ...all };
+            if (error !== undefined) line.error = describeError(error);
+            stream.write(`${JSON.stringify(line)}\n`);
+            return;
+        }
+        const prefix = (all.tenant !== undefined ? `[${all.tenant}] ` : '')
+            + (all.runId !== undefined ? `[run ${all.runId}] ` : '');
+        const detail = error === undefined ? '' : `: ${error instanceof Error ? error.stack : stringify(error)}`;
+        stream.write(`[${new Date().toLocaleTimeString()}] ${prefix}${message}${detail}\n`);
+    }
+
+    function bind(bound) {
+        const log = (msg, fields) => write(bound, 'info', msg, fields);
+        log.error = (msg, error, fields) => write(bound, 'error', msg, fields, error);
+        log.child = fields => bind({ ...bound, ...fields });
+        return log;
+    }
+    return bind({});
+}
+
+module.exports = { createLogger, withLogContext, LOG_FORMATS };
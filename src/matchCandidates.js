@@ -0,0 +1,84 @@
+/**
+ * Ranked match candidates proposed by the matcher, kept per lost item.
+ *
+ * Each evaluation of a lost item replaces its previous candidate list, so the
+ * store always reflects the latest opinion of the matcher.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS match_candidates (
+        lost_id INTEGER NOT NULL,
+        found_id INTEGER NOT NULL,
+        confidence REAL NOT NULL,
+        matched_features TEXT NOT NULL,
+        rationale TEXT NOT NULL,
+        evaluated_at TEXT NOT NULL,
+        PRIMARY KEY (lost_id, found_id)
+    );
+`;
+
+function rowToCandidate(row) {
+    return {
+        lostId: row.lost_id,
+        foundId: row.found_id,
+        confidence: row.confidence,
+        matchedFeatures: JSON.parse(row.matched_features),
+        rationale: row.rationale,
+        evaluatedAt: row.evaluated_at
+    };
+}
+
+function createCandidateStore({ db }) {
+    db.exec(SCHEMA);
+
+    function replaceCandidates(lostId, candidates) {
+        const evaluatedAt = new Date().toISOString();
+        db.transaction(() => {
+            db.run('DELETE FROM match_candidates WHERE lost_id = ?', [lostId]);
+            for (const candidate of candidates) {
+                db.run(
+                    `INSERT INTO match_candidates (lost_id, found_id, confidence, matched_features, rationale, evaluated_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [
+                        lostId,
+                        candidate.foundId,
+                        candidate.confidence,
+                        JSON.stringify(candidate.matchedFeatures || []),
+                        candidate.rationale || '',
+                        evaluatedAt
+                    ]
+                );
+            }
+        });
+    }
+
+    function getCandidates(lostId) {
+        return db.all(
+            'SELECT * FROM match_candidates WHERE lost_id = ? ORDER BY confidence DESC',
+            [lostId]
+        ).map(rowToCandidate);
+    }
+
+    /**
+     * Candidates for lost items that are still unmatched, best first.
+     * `maxConfidence` is exclusive, so passing the auto-match threshold returns only
+     * the "possible matches" that need a human to look at them.
+     */
+    function listOpenCandidates({ minConfidence = 0, maxConfidence = Infinity, excludeReporters = [], limit = 100 } = {}) {
+        const excluded = excludeReporters.map(() => '?').join(', ');
+        return db.all(
+            `SELECT c.* FROM match_candidates c
+             JOIN items lost ON lost.item_id = c.lost_id AND lost.matched_id = 0
+             JOIN items found ON found.item_id = c.found_id AND found.matched_id = 0
+             WHERE c.confidence >= ? AND c.confidence < ?
+             ${excluded ? `AND LOWER(lost.reporter) NOT IN (${excluded}) AND LOWER(found.reporter) NOT IN (${excluded})` : ''}
+             ORDER BY c.confidence DESC, c.lost_id
+             LIMIT ?`,
+            [minConfidence, Number.isFinite(maxConfidence) ? maxConfidence : 1e9, ...excludeReporters, ...excludeReporters, limit]
+        ).map(rowToCandidate);
+    }
+
+    return { replaceCandidates, getCandidates, listOpenCandidates };
+}
+
+module.exports = { createCandidateStore };
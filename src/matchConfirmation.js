@@ -0,0 +1,240 @@
+const { ethers } = require('ethers');
+
+/**
+ * Reporter confirmation flow for proposed matches.
+ *
+ * Both reporters (the `reporter` address of each item) confirm or dispute a
+ * proposal by signing a message with their wallet (EIP-191 `personal_sign`).
+ * The match is only ready for `recordMatch` once both sides confirmed, or when
+ * the timeout policy allows it.
+ */
+
+const DECISIONS = ['confirm', 'dispute'];
+const TIMEOUT_POLICIES = ['expire', 'one-confirmation'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS match_confirmations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lost_id INTEGER NOT NULL,
+        found_id INTEGER NOT NULL,
+        lost_reporter TEXT NOT NULL,
+        found_reporter TEXT NOT NULL,
+        score REAL NOT NULL,
+        rationale TEXT NOT NULL,
+        lost_decision TEXT,
+        lost_signature TEXT,
+        found_decision TEXT,
+        found_signature TEXT,
+        status TEXT NOT NULL DEFAULT 'awaiting',
+        tx_hash TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        closed_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_match_confirmations_status ON match_confirmations (status);
+    CREATE INDEX IF NOT EXISTS idx_match_confirmations_pair ON match_confirmations (lost_id, found_id);
+`;
+
+function rowToConfirmation(row) {
+    return {
+        id: row.id,
+        lostId: row.lost_id,
+        foundId: row.found_id,
+        lostReporter: row.lost_reporter,
+        foundReporter: row.found_reporter,
+        score: row.score,
+        rationale: row.rationale,
+        lostDecision: row.lost_decision,
+        foundDecision: row.found_decision,
+        status: row.status,
+        txHash: row.tx_hash,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        closedAt: row.closed_at
+    };
+}
+
+/**
+ * The exact text each reporter signs. The contract address keeps a signature
+ * from one deployment from being replayed against another.
+ */
+function buildConfirmationMessage({ id, lostId, foundId }, decision, contractAddress) {
+    return [
+        'DL&F match confirmation',
+        `Proposal: #${id}`,
+        `Lost item: ${lostId}`,
+        `Found item: ${foundId}`,
+        `Decision: ${decision}`,
+        `Contract: ${contractAddress.toLowerCase()}`
+    ].join('\n');
+}
+
+function createConfirmationStore({ db, contractAddress, timeoutMs, timeoutPolicy = 'expire' }) {
+    if (!TIMEOUT_POLICIES.includes(timeoutPolicy)) {
+        throw new Error(`CONFIRMATION_TIMEOUT_POLICY must be one of: ${TIMEOUT_POLICIES.join(', ')}.`);
+    }
+    db.exec(SCHEMA);
+
+    function getConfirmation(id) {
+        const row = db.get('SELECT * FROM match_confirmations WHERE id = ?', [id]);
+        return row ? rowToConfirmation(row) : null;
+    }
+
+    function propose(lostItem, foundItem, candidate) {
+        const now = Date.now();
+        db.run(
+            `INSERT INTO match_confirmations (lost_id, found_id, lost_reporter, found_reporter, score, rationale, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                lostItem.itemId,
+                foundItem.itemId,
+                lostItem.reporter.toLowerCase(),
+                foundItem.reporter.toLowerCase(),
+                candidate.confidence,
+                candidate.rationale || '',
+                new Date(now).toISOString(),
+                new Date(now + timeoutMs).toISOString()
+            ]
+        );
+        return rowToConfirmation(db.get('SELECT * FROM match_confirmations ORDER BY id DESC LIMIT 1'));
+    }
+
+    // Item IDs tied up in a confirmation that is still open.
+    function openItemIds() {
+        const ids = new Set();
+        for (const row of db.all("SELECT lost_id, found_id FROM match_confirmations WHERE status IN ('awaiting', 'confirmed')")) {
+            ids.add(row.lost_id);
+            ids.add(row.found_id);
+        }
+        return ids;
+    }
+
+    // Disputed or timed-out pairs are not proposed to the reporters again.
+    function isClosedPair(lostId, foundId) {
+        return Boolean(db.get(
+            "SELECT 1 FROM match_confirmations WHERE lost_id = ? AND found_id = ? AND status IN ('disputed', 'expired')",
+            [lostId, foundId]
+        ));
+    }
+
+    function listForAddress(address) {
+        const normalized = address.toLowerCase();
+        return db.all(
+            `SELECT * FROM match_confirmations
+             WHERE (lost_reporter = ? OR found_reporter = ?) AND status = 'awaiting'
+             ORDER BY id`,
+            [normalized, normalized]
+        ).map(row => {
+            const confirmation = rowToConfirmation(row);
+            return {
+                ...confirmation,
+                messages: {
+                    confirm: buildConfirmationMessage(confirmation, 'confirm', contractAddress),
+                    dispute: buildConfirmationMessage(confirmation, 'dispute', contractAddress)
+                }
+            };
+        });
+    }
+
+    function close(id, status, txHash = null) {
+        db.run(
+            'UPDATE match_confirmations SET status = ?, tx_hash = COALESCE(?, tx_hash), closed_at = ? WHERE id = ?',
+            [status, txHash, new Date().toISOString(), id]
+        );
+        return getConfirmation(id);
+    }
+
+    /**
+     * Verifies a signed decision and records it for whichever side signed it.
+     * Throws an error with a `statusCode` when the signature can't be accepted.
+     */
+    function recordDecision(id, decision, signature) {
+        const confirmation = getConfirmation(id);
+        if (!confirmation) {
+            throw Object.assign(new Error(`Confirmation ${id} not found.`), { statusCode: 404 });
+        }
+        if (confirmation.status !== 'awaiting') {
+            throw Object.assign(new Error(`Confirmation ${id} is already ${confirmation.status}.`), { statusCode: 409 });
+        }
+        if (!DECISIONS.includes(decision)) {
+            throw Object.assign(new Error("decision must be 'confirm' or 'dispute'."), { statusCode: 400 });
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(buildConfirmationMessage(confirmation, decision, contractAddress), signature).toLowerCase();
+        } catch (error) {
+            throw Object.assign(new Error('Invalid signature.'), { statusCode: 400 });
+        }
+
+        const sides = [];
+        if (signer === confirmation.lostReporter) sides.push('lost');
+        if (signer === confirmation.foundReporter) sides.push('found');
+        if (sides.length === 0) {
+            throw Object.assign(new Error('Signature does not belong to either reporter of this match.'), { statusCode: 403 });
+        }
+
+        db.transaction(() => {
+            for (const side of sides) {
+                db.run(
+                    `UPDATE match_confirmations SET ${side}_decision = ?, ${side}_signature = ? WHERE id = ?`,
+                    [decision, signature, id]
+                );
+            }
+        });
+
+        const updated = getConfirmation(id);
+        if (decision === 'dispute') return close(id, 'disputed');
+        if (updated.lostDecision === 'confirm' && updated.foundDecision === 'confirm') return close(id, 'confirmed');
+        return updated;
+    }
+
+    /**
+     * Applies the timeout policy to confirmations past their deadline and returns
+     * the ones that are now ready to be recorded on-chain.
+     */
+    function applyTimeouts(now = Date.now()) {
+        const overdue = db.all(
+            "SELECT * FROM match_confirmations WHERE status = 'awaiting' AND expires_at <= ?",
+            [new Date(now).toISOString()]
+        ).map(rowToConfirmation);
+
+        const ready = [];
+        for (const confirmation of overdue) {
+            const anyConfirmed = confirmation.lostDecision === 'confirm' || confirmation.foundDecision === 'confirm';
+            if (timeoutPolicy === 'one-confirmation' && anyConfirmed) {
+                ready.push(close(confirmation.id, 'confirmed'));
+            } else {
+                close(confirmation.id, 'expired');
+            }
+        }
+        return ready;
+    }
+
+    function listReady() {
+        return db.all("SELECT * FROM match_confirmations WHERE status = 'confirmed' ORDER BY id").map(rowToConfirmation);
+    }
+
+    function markSubmitted(id, txHash) {
+        return close(id, 'submitted', txHash);
+    }
+
+    function expire(id) {
+        return close(id, 'expired');
+    }
+
+    return {
+        getConfirmation,
+        propose,
+        openItemIds,
+        isClosedPair,
+        listForAddress,
+        recordDecision,
+        applyTimeouts,
+        listReady,
+        markSubmitted,
+        expire
+    };
+}
+
+module.exports = { createConfirmationStore, buildConfirmationMessage, TIMEOUT_POLICIES };
@@ -0,0 +1,118 @@
+/**
+ * Moderator review queue for proposed matches.
+ *
+ * In review mode the engine files proposals here instead of calling `recordMatch`.
+ * A moderator approves (which submits the transaction) or rejects them. Rejected
+ * pairs are kept so the engine never proposes the same pair again.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS match_proposals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lost_id INTEGER NOT NULL,
+        found_id INTEGER NOT NULL,
+        score REAL NOT NULL,
+        matched_features TEXT NOT NULL,
+        rationale TEXT NOT NULL,
+        lost_cid TEXT,
+        found_cid TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        tx_hash TEXT,
+        created_at TEXT NOT NULL,
+        decided_at TEXT,
+        decision_note TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_match_proposals_status ON match_proposals (status);
+    CREATE INDEX IF NOT EXISTS idx_match_proposals_pair ON match_proposals (lost_id, found_id);
+`;
+
+function rowToProposal(row) {
+    return {
+        id: row.id,
+        lostId: row.lost_id,
+        foundId: row.found_id,
+        score: row.score,
+        matchedFeatures: JSON.parse(row.matched_features),
+        rationale: row.rationale,
+        lostCid: row.lost_cid,
+        foundCid: row.found_cid,
+        status: row.status,
+        txHash: row.tx_hash,
+        createdAt: row.created_at,
+        decidedAt: row.decided_at,
+        decisionNote: row.decision_note
+    };
+}
+
+function createReviewQueue({ db }) {
+    db.exec(SCHEMA);
+
+    function getProposal(id) {
+        const row = db.get('SELECT * FROM match_proposals WHERE id = ?', [id]);
+        return row ? rowToProposal(row) : null;
+    }
+
+    function isRejected(lostId, foundId) {
+        return Boolean(db.get(
+            "SELECT 1 FROM match_proposals WHERE lost_id = ? AND found_id = ? AND status = 'rejected'",
+            [lostId, foundId]
+        ));
+    }
+
+    // Item IDs (lost and found) that already sit in the pending queue.
+    function pendingItemIds() {
+        const ids = new Set();
+        for (const row of db.all("SELECT lost_id, found_id FROM match_proposals WHERE status = 'pending'")) {
+            ids.add(row.lost_id);
+            ids.add(row.found_id);
+        }
+        return ids;
+    }
+
+    function propose(lostItem, foundItem, candidate) {
+        db.run(
+            `INSERT INTO match_proposals (lost_id, found_id, score, matched_features, rationale, lost_cid, found_cid, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                lostItem.itemId,
+                foundItem.itemId,
+                candidate.confidence,
+                JSON.stringify(candidate.matchedFeatures || []),
+                candidate.rationale || '',
+                lostItem.ipfsCid || null,
+                foundItem.ipfsCid || null,
+                new Date().toISOString()
+            ]
+        );
+        return rowToProposal(db.get('SELECT * FROM match_proposals ORDER BY id DESC LIMIT 1'));
+    }
+
+    function listPending() {
+        return db.all("SELECT * FROM match_proposals WHERE status = 'pending' ORDER BY score DESC, id").map(rowToProposal);
+    }
+
+    function decide(id, status, { txHash = null, note = null } = {}) {
+        db.run(
+            'UPDATE match_proposals SET status = ?, tx_hash = ?, decision_note = ?, decided_at = ? WHERE id = ?',
+            [status, txHash, note, new Date().toISOString(), id]
+        );
+        return getProposal(id);
+    }
+
+    function approve(id, txHash) {
+        return decide(id, 'approved', { txHash });
+    }
+
+    function reject(id, note) {
+        return decide(id, 'rejected', { note });
+    }
+
+    // Pending proposals whose items were matched some other way are no longer actionable.
+    function expire(id, note) {
+        return decide(id, 'expired', { note });
+    }
+
+    return { getProposal, isRejected, pendingItemIds, propose, listPending, approve, reject, expire };
+}
+
+module.exports = { createReviewQueue };
@@ -0,0 +1,21 @@
+const { createGeminiMatcher } = require('./gemini');
+const { createLocalMatcher } = require('./local');
+
+const MATCHERS = ['gemini', 'local'];
+
+/**
+ * Builds the matcher selected by `type`. Every matcher exposes
+ * `findCandidates(lostItem, foundItems)`, resolving to ranked candidates.
+ */
+function createMatcher({ type = 'gemini', geminiApiKey, geminiModel, geminiApiUrl, log, ...options }) {
+    switch (type) {
+        case 'gemini':
+            return createGeminiMatcher({ apiKey: geminiApiKey, model: geminiModel, apiUrl: geminiApiUrl, log, ...options });
+        case 'local':
+            return createLocalMatcher(options);
+        default:
+            throw new Error(`Unknown MATCHER '${type}'. Expected one of: ${MATCHERS.join(', ')}.`);
+    }
+}
+
+module.exports = { createMatcher, MATCHERS };
@@ -0,0 +1,191 @@
+/**
+ * Offline, deterministic matcher. No network and no API key: scores FOUND items
+ * by TF-IDF cosine and character-trigram similarity over title + description,
+ * then adjusts for agreeing or conflicting colour, category and brand (taken from
+ * the item's metadata document when it has one).
+ */
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+    'its', 'my', 'near', 'of', 'on', 'or', 'the', 'this', 'to', 'was', 'were', 'with', 'lost', 'found',
+    'left', 'item', 'someone', 'please', 'some', 'one'
+]);
+
+const COLOURS = {
+    black: 'black', white: 'white', grey: 'grey', gray: 'grey', silver: 'silver', gold: 'gold',
+    red: 'red', maroon: 'red', burgundy: 'red', blue: 'blue', navy: 'blue', green: 'green',
+    yellow: 'yellow', orange: 'orange', purple: 'purple', violet: 'purple', pink: 'pink',
+    brown: 'brown', tan: 'brown', beige: 'beige'
+};
+
+const CATEGORIES = {
+    wallet: 'wallet', purse: 'wallet', cardholder: 'wallet',
+    phone: 'phone', iphone: 'phone', smartphone: 'phone', mobile: 'phone',
+    key: 'keys', keys: 'keys', keyring: 'keys', keychain: 'keys',
+    bag: 'bag', backpack: 'bag', handbag: 'bag', rucksack: 'bag', tote: 'bag',
+    laptop: 'laptop', macbook: 'laptop', notebook: 'laptop',
+    headphones: 'audio', earbuds: 'audio', airpods: 'audio', headset: 'audio',
+    glasses: 'eyewear', sunglasses: 'eyewear', spectacles: 'eyewear',
+    watch: 'watch', smartwatch: 'watch',
+    jacket: 'clothing', coat: 'clothing', hoodie: 'clothing', sweater: 'clothing', scarf: 'clothing', hat: 'clothing', cap: 'clothing',
+    umbrella: 'umbrella', bottle: 'bottle', flask: 'bottle',
+    passport: 'document', id: 'document', licence: 'document', license: 'document', card: 'document',
+    ring: 'jewellery', necklace: 'jewellery', bracelet: 'jewellery', earring: 'jewellery', earrings: 'jewellery'
+};
+
+const BRANDS = new Set([
+    'apple', 'samsung', 'google', 'pixel', 'huawei', 'xiaomi', 'sony', 'bose', 'beats', 'jbl',
+    'nike', 'adidas', 'puma', 'northface', 'patagonia', 'herschel', 'jansport', 'gucci', 'prada',
+    'coach', 'fossil', 'casio', 'rolex', 'dell', 'lenovo', 'hp', 'asus', 'rayban', 'oakley', 'hydroflask'
+]);
+
+const DEFAULT_MIN_CONFIDENCE = 15;
+
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function extractFeatures(item) {
+    const tokens = tokenize(`${item.title} ${item.description}`);
+    const colours = new Set();
+    const categories = new Set();
+    const brands = new Set();
+    for (const token of tokens) {
+        if (COLOURS[token]) colours.add(COLOURS[token]);
+        if (CATEGORIES[token]) categories.add(CATEGORIES[token]);
+        if (BRANDS.has(token)) brands.add(token);
+    }
+    // Structured fields were chosen by the reporter, so they replace anything guessed from the prose.
+    const metadata = item.metadata;
+    if (metadata) {
+        if (metadata.category && metadata.category !== 'other') {
+            categories.clear();
+            categories.add(metadata.category);
+        }
+        if (metadata.colours.length) {
+            colours.clear();
+            metadata.colours.forEach(colour => colours.add(COLOURS[colour] || colour));
+        }
+        if (metadata.brand) {
+            brands.clear();
+            brands.add(metadata.brand.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        }
+    }
+    // Title words count twice so "Red wallet" outweighs a passing mention in the description.
+    const terms = [...tokenize(item.title), ...tokenize(item.title), ...tokenize(item.description)];
+    return { terms, colours, categories, brands };
+}
+
+function trigrams(text) {
+    const normalized = ` ${(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    const grams = new Set();
+    for (let i = 0; i < normalized.length - 2; i++) {
+        grams.add(normalized.slice(i, i + 3));
+    }
+    return grams;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const value of a) if (b.has(value)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+function intersect(a, b) {
+    return [...a].filter(value => b.has(value));
+}
+
+function buildTfIdf(documents) {
+    const documentFrequency = new Map();
+    for (const terms of documents) {
+        for (const term of new Set(terms)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+    const total = documents.length;
+    return documents.map(terms => {
+        const counts = new Map();
+        for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+        const vector = new Map();
+        for (const [term, count] of counts) {
+            const idf = Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+            vector.set(term, (count / terms.length) * idf);
+        }
+        return vector;
+    });
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, weight] of a) {
+        normA += weight * weight;
+        if (b.has(term)) dot += weight * b.get(term);
+    }
+    for (const weight of b.values()) normB += weight * weight;
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Agreement adds confidence; a clear conflict (e.g. red vs blue) takes more away.
+function compareSets(lostSet, foundSet, bonus, penalty) {
+    if (lostSet.size === 0 || foundSet.size === 0) return { adjustment: 0, shared: [] };
+    const shared = intersect(lostSet, foundSet);
+    return { adjustment: shared.length > 0 ? bonus : -penalty, shared };
+}
+
+function scorePair(lost, found, lostVector, foundVector) {
+    const textScore = 0.7 * cosine(lostVector, foundVector)
+        + 0.3 * jaccard(trigrams(`${lost.item.title} ${lost.item.description}`), trigrams(`${found.item.title} ${found.item.description}`));
+
+    const colour = compareSets(lost.features.colours, found.features.colours, 0.15, 0.25);
+    const category = compareSets(lost.features.categories, found.features.categories, 0.2, 0.3);
+    const brand = compareSets(lost.features.brands, found.features.brands, 0.1, 0.2);
+
+    const score = Math.min(1, Math.max(0, textScore + colour.adjustment + category.adjustment + brand.adjustment));
+    const sharedTerms = intersect(new Set(lost.features.terms), new Set(found.features.terms)).slice(0, 5);
+
+    const matchedFeatures = [];
+    if (category.shared.length) matchedFeatures.push('category');
+    if (colour.shared.length) matchedFeatures.push('colour');
+    if (brand.shared.length) matchedFeatures.push('brand');
+    if (sharedTerms.length) matchedFeatures.push('text');
+
+    const reasons = [];
+    if (category.shared.length) reasons.push(`same category (${category.shared.join(', ')})`);
+    if (colour.shared.length) reasons.push(`same colour (${colour.shared.join(', ')})`);
+    if (brand.shared.length) reasons.push(`same brand (${brand.shared.join(', ')})`);
+    if (category.adjustment < 0) reasons.push('different category');
+    if (colour.adjustment < 0) reasons.push('different colour');
+    if (brand.adjustment < 0) reasons.push('different brand');
+    if (sharedTerms.length) reasons.push(`shared terms: ${sharedTerms.join(', ')}`);
+
+    return {
+        foundId: Number(found.item.itemId),
+        confidence: Math.round(score * 1000) / 10,
+        matchedFeatures,
+        rationale: reasons.length ? `Local text match: ${reasons.join('; ')}.` : 'Local text match: little in common.'
+    };
+}
+
+function createLocalMatcher({ minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    async function findCandidates(lostItem, foundItems) {
+        const entries = [lostItem, ...foundItems].map(item => ({ item, features: extractFeatures(item) }));
+        const vectors = buildTfIdf(entries.map(entry => entry.features.terms));
+        const [lost, ...found] = entries;
+
+        return found
+            .map((entry, i) => scorePair(lost, entry, vectors[0], vectors[i + 1]))
+            .filter(candidate => candidate.confidence >= minConfidence)
+            .sort((a, b) => b.confidence - a.confidence || a.foundId - b.foundId);
+    }
+
+    return { name: 'local', findCandidates };
+}
+
+module.exports = { createLocalMatcher, extractFeatures, tokenize, trigrams, jaccard };
@@ -0,0 +1,78 @@
+/**
+ * Shared candidate shape for every matcher backend:
+ * `{ foundId, confidence (0-100), matchedFeatures: string[], rationale }`.
+ *
+ * Model output is checked strictly rather than coerced into that shape: a
+ * model that was talked into something by a report should lose its answer,
+ * not have it rounded into a plausible one.
+ */
+
+const MAX_FEATURES = 10;
+const MAX_FEATURE_LENGTH = 40;
+const MAX_RATIONALE_LENGTH = 500;
+
+// A model response that can't be used at all, such as one about a different LOST item.
+class InvalidMatcherResultError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidMatcherResultError';
+    }
+}
+
+// Why a candidate has to be dropped, or null if it is usable.
+function candidateProblem(candidate, foundIds) {
+    if (!candidate || typeof candidate !== 'object') return 'not an object';
+    if (!Number.isInteger(candidate.foundId)) return 'foundId is not an item ID';
+    if (!foundIds.has(candidate.foundId)) return `Found ID ${candidate.foundId} was not one of the items asked about`;
+    const { confidence } = candidate;
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence < 0 || confidence > 100) {
+        return 'confidence is not a number from 0 to 100';
+    }
+    return null;
+}
+
+/**
+ * Keeps only well-formed candidates that refer to one of the FOUND items we
+ * asked about, once each, best first. `onReject(candidate, reason)` hears
+ * about every candidate that was dropped.
+ */
+function normalizeCandidates(candidates, foundItems, { onReject = () => {} } = {}) {
+    if (!Array.isArray(candidates)) return [];
+    const foundIds = new Set(foundItems.map(item => Number(item.itemId)));
+    const seen = new Set();
+    const kept = [];
+    for (const candidate of candidates) {
+        const problem = candidateProblem(candidate, foundIds) || (seen.has(candidate.foundId) ? 'listed twice' : null);
+        if (problem) {
+            onReject(candidate, problem);
+            continue;
+        }
+        seen.add(candidate.foundId);
+        kept.push({
+            foundId: candidate.foundId,
+            confidence: candidate.confidence,
+            matchedFeatures: Array.isArray(candidate.matchedFeatures)
+                ? candidate.matchedFeatures.slice(0, MAX_FEATURES).map(feature => String(feature).slice(0, MAX_FEATURE_LENGTH))
+                : [],
+            rationale: typeof candidate.rationale === 'string' ? candidate.rationale.slice(0, MAX_RATIONALE_LENGTH) : ''
+        });
+    }
+    return kept.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Validates a parsed model response `{ lostId, candidates }` for `lostItem`.
+ * Throws InvalidMatcherResultError unless it is about that LOST item; returns
+ * its usable candidates (see normalizeCandidates).
+ */
+function validateMatcherResult(result, lostItem, foundItems, options) {
+    if (!result || typeof result !== 'object' || !Array.isArray(result.candidates)) {
+        throw new InvalidMatcherResultError('The response has no candidates list.');
+    }
+    if (result.lostId !== Number(lostItem.itemId)) {
+        throw new InvalidMatcherResultError(`The response is about item ${JSON.stringify(result.lostId)}, not LOST item ${lostItem.itemId}.`);
+    }
+    return normalizeCandidates(result.candidates, foundItems, options);
+}
+
+module.exports = { normalizeCandidates, validateMatcherResult, InvalidMatcherResultError };
@@ -0,0 +1,93 @@
+/**
+ * Cheap structured checks run before a matcher sees a pair, so only a shortlist
+ * reaches the expensive comparison. Rules only apply when both items carry the
+ * field in their metadata document (see src/itemMetadata.js); legacy items and
+ * missing fields always pass.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const DEFAULT_PREFILTER_OPTIONS = {
+    // Furthest a found item may be from where the lost item was last seen. 0 disables the check.
+    maxDistanceKm: 50,
+    // Latest a found item may turn up after the loss. 0 disables the check.
+    maxDaysAfterLost: 90,
+    // Reports are entered by hand, so "found before lost" is allowed by this much.
+    timeGraceHours: 24,
+    requireSameCategory: true
+};
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in kilometres (haversine).
+function distanceKm(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function hasCoordinates(metadata) {
+    return Boolean(metadata && metadata.location && metadata.location.lat !== null);
+}
+
+/**
+ * Builds a pre-filter with the given thresholds (defaults above).
+ * `filter(lostItem, foundItems)` returns `{ kept, rejected: [{ item, reason }] }`.
+ */
+function createPrefilter(options = {}) {
+    const { maxDistanceKm, maxDaysAfterLost, timeGraceHours, requireSameCategory } = { ...DEFAULT_PREFILTER_OPTIONS, ...options };
+    const graceMs = timeGraceHours * 60 * 60 * 1000;
+    const windowMs = maxDaysAfterLost * 24 * 60 * 60 * 1000;
+
+    // Returns why `found` can't be `lost`, or null if the pair should go to the matcher.
+    function rejectionReason(lost, found) {
+        if (!lost || !found) return null;
+
+        if (requireSameCategory && lost.category && found.category
+            && lost.category !== 'other' && found.category !== 'other'
+            && lost.category !== found.category) {
+            return `category '${found.category}' differs from '${lost.category}'`;
+        }
+
+        if (lost.occurredAt && found.occurredAt) {
+            const gap = Date.parse(found.occurredAt) - Date.parse(lost.occurredAt);
+            if (gap < -graceMs) {
+                return `found ${found.occurredAt}, before it was lost ${lost.occurredAt}`;
+            }
+            if (maxDaysAfterLost > 0 && gap > windowMs) {
+                return `found ${Math.round(gap / (24 * 60 * 60 * 1000))} days after it was lost (limit ${maxDaysAfterLost})`;
+            }
+        }
+
+        if (maxDistanceKm > 0 && hasCoordinates(lost) && hasCoordinates(found)) {
+            const distance = distanceKm(lost.location, found.location);
+            if (distance > maxDistanceKm) {
+                return `found ${distance.toFixed(1)} km away (limit ${maxDistanceKm} km)`;
+            }
+        }
+
+        return null;
+    }
+
+    function filter(lostItem, foundItems) {
+        const kept = [];
+        const rejected = [];
+        for (const item of foundItems) {
+            const reason = rejectionReason(lostItem.metadata, item.metadata);
+            if (reason) {
+                rejected.push({ item, reason });
+            } else {
+                kept.push(item);
+            }
+        }
+        return { kept, rejected };
+    }
+
+    return { filter };
+}
+
+module.exports = { createPrefilter, distanceKm, DEFAULT_PREFILTER_OPTIONS };
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * A small Prometheus registry, rendered in the text exposition format for
+ * GET /metrics.
+ *
+ * Counters and histograms are updated as things happen. Any metric can also
+ * take a `collect()` function that returns its current samples at scrape time,
+ * for values that already live elsewhere (item counts, the wallet balance).
+ *
+ * `withLabels(labels)` returns a scope of the same registry whose metrics carry
+ * those labels on every sample, so each tenant of a multi-tenant server can
+ * register the same metrics and be told apart by a `tenant` label. A scope's
+ * `render()` covers only its own metrics; the registry's covers all of them.
+ */
+
+// Seconds; suits engine runs and model calls alike.
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Samples are keyed by their label values, in the order the metric declared its label names.
+function labelKey(labelNames, labels) {
+    for (const name of Object.keys(labels)) {
+        if (!labelNames.includes(name)) throw new Error(`Unknown label '${name}'.`);
+    }
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function createMetrics({ prefix = '' } = {}) {
+    const metrics = [];
+    return createScope({ prefix, metrics, constLabels: {} });
+}
+
+function createScope({ prefix, metrics, constLabels }) {
+    function register(type, name, help, { labelNames = [], collect = null } = {}) {
+        const fullName = `${prefix}${name}`;
+        const family = metrics.find(existing => existing.name === fullName);
+        if (family && family.type !== type) {
+            throw new Error(`Metric '${fullName}' is already registered as a ${family.type}.`);
+        }
+        const metric = { type, name: fullName, help, labelNames, collect, constLabels, samples: new Map() };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function sampleFor(metric, labels, create) {
+        const key = labelKey(metric.labelNames, labels);
+        if (!metric.samples.has(key)) metric.samples.set(key, { labels, ...create() });
+        return metric.samples.get(key);
+    }
+
+    function counter(name, help, options) {
+        const metric = register('counter', name, help, options);
+        return {
+            inc(labels = {}, amount = 1) {
+                sampleFor(metric, labels, () => ({ value: 0 })).value += amount;
+            }
+        };
+    }
+
+    function gauge(name, help, options) {
+        const metric = register('gauge', name, help, options);
+        return {
+            set(labels, value) {
+                sampleFor(metric, labels, () => ({ value: 0 })).value = value;
+            }
+        };
+    }
+
+    function histogram(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+        const metric = register('histogram', name, help, options);
+        metric.buckets = [...buckets].sort((a, b) => a - b);
+        return {
+            observe(labels, value) {
+                const sample = sampleFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                metric.buckets.forEach((bound, i) => {
+                    if (value <= bound) sample.counts[i]++;
+                });
+                sample.sum += value;
+                sample.count++;
+            }
+        };
+    }
+
+    function renderSamples(metric) {
+        const lines = [];
+        if (metric.type === 'histogram') {
+            for (const sample of metric.samples.values()) {
+                const { counts, sum, count } = sample;
+                const labels = { ...metric.constLabels, ...sample.labels };
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+        const samples = metric.collect ? metric.collect() : [...metric.samples.values()];
+        for (const { labels = {}, value } of samples) {
+            if (value === null || value === undefined) continue;
+            lines.push(`${metric.name}${formatLabels({ ...metric.constLabels, ...labels })} ${formatValue(Number(value))}`);
+        }
+        return lines;
+    }
+
+    function inScope(metric) {
+        return Object.entries(constLabels).every(([name, value]) => metric.constLabels[name] === value);
+    }
+
+    // This scope's metrics in the Prometheus text format (version 0.0.4), one HELP/TYPE header per name.
+    function render() {
+        const families = new Map();
+        for (const metric of metrics.filter(inScope)) {
+            if (!families.has(metric.name)) families.set(metric.name, []);
+            families.get(metric.name).push(metric);
+        }
+        const lines = [];
+        for (const [name, members] of families) {
+            lines.push(`# HELP ${name} ${members[0].help}`, `# TYPE ${name} ${members[0].type}`);
+            for (const metric of members) lines.push(...renderSamples(metric));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    function withLabels(labels) {
+        return createScope({ prefix, metrics, constLabels: { ...constLabels, ...labels } });
+    }
+
+    return { counter, gauge, histogram, render, withLabels };
+}
+
+/**
+ * The GET /metrics route handler for `render()`'s output. With `token` set, it
+ * needs `Authorization: Bearer <token>`, compared in constant time.
+ */
+function createMetricsHandler({ render, token }) {
+    const expected = token ? Buffer.from(`Bearer ${token}`) : null;
+    return (req, res) => {
+        if (expected) {
+            const given = Buffer.from(String(req.get('authorization') || ''));
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                return res.status(401).json({ error: 'A valid metrics token is required.' });
+            }
+        }
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(render());
+    };
+}
+
+module.exports = { createMetrics, createMetricsHandler, DEFAULT_BUCKETS };
@@ -0,0 +1,157 @@
+const { createNotificationStore, buildPreferencesMessage, NOTIFICATION_EVENTS } = require('./store');
+const { createEmailChannel } = require('./email');
+const { createWebhookChannel, checkWebhookTarget, signWebhook } = require('./webhook');
+
+/**
+ * Fans match and handover events out to both reporters: always to their
+ * in-app inbox, and to email and webhooks when their contact preferences ask
+ * for it. Email and webhook deliveries are queued in the delivery log and
+ * retried with exponential backoff until they succeed or run out of attempts.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Inbox and email text for each handover step, by recipient role: [title, next step].
+const HANDOVER_MESSAGES = {
+    'handover.claimed': {
+        lost: ['You claimed your matched item', 'Answer the verification questions on the DL&F dashboard, or show the finder in person that it is yours.'],
+        found: ['The owner claimed the item you found', 'They answer the verification questions on the DL&F dashboard; without questions, you verify them in person.']
+    },
+    'handover.answered': {
+        lost: ['Your answers were sent to the finder', 'The finder compares them with the item and confirms that it is yours.'],
+        found: ['The owner answered the verification questions', 'Compare their answers with the item on the DL&F dashboard, then confirm or reject them.']
+    },
+    'handover.verified': {
+        lost: ['Your ownership was verified', 'Message the finder on the DL&F dashboard to arrange the handover.'],
+        found: ['The owner was verified', 'Message the owner on the DL&F dashboard to arrange the handover.']
+    },
+    'handover.completed': {
+        lost: ['Your item was handed over', 'The handover was marked as done. Thank you for using DL&F.'],
+        found: ['The item you found was handed over', 'The handover was marked as done. Thank you for returning it.']
+    }
+};
+
+function itemLabel(item) {
+    return `"${item.title}" (ID ${item.itemId})`;
+}
+
+function describe(event, role, { lostItem, foundItem, txHash }) {
+    const yours = role === 'lost' ? lostItem : foundItem;
+    const other = role === 'lost' ? foundItem : lostItem;
+    if (HANDOVER_MESSAGES[event]) {
+        const [title, next] = HANDOVER_MESSAGES[event][role];
+        return { title, body: `Lost item ${itemLabel(lostItem)}, found item ${itemLabel(foundItem)}. ${next}` };
+    }
+    if (event === 'match.proposed') {
+        return {
+            title: role === 'lost' ? 'A possible match for your lost item' : 'A possible owner for the item you found',
+            body: `Your ${role} item ${itemLabel(yours)} may match the ${role === 'lost' ? 'found' : 'lost'} item ${itemLabel(other)}. `
+                + 'Connect your wallet on the DL&F dashboard to confirm or dispute the match.'
+        };
+    }
+    return {
+        title: role === 'lost' ? 'Your lost item has been matched' : 'The item you found has been matched',
+        body: `Your ${role} item ${itemLabel(yours)} was matched with ${itemLabel(other)} on-chain.`
+            + (txHash ? ` Transaction: ${txHash}.` : '')
+    };
+}
+
+function createNotifier({
+    store,
+    channels = {},
+    log = () => {},
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS
+}) {
+    // Plain log functions (as in tests) have no .error.
+    const logError = log.error || log;
+    let processing = null;
+
+    /**
+     * Notifies both reporters of `event` for the pair. Each (event, pair) is only
+     * sent once, however many times it is reported. Returns the inbox entries created.
+     */
+    function notify(event, { lostItem, foundItem, txHash = null, proposalId = null }) {
+        if (!NOTIFICATION_EVENTS.includes(event)) {
+            throw new Error(`Unknown notification event '${event}'.`);
+        }
+        const key = [event, lostItem.itemId, foundItem.itemId, proposalId].filter(part => part !== null).join(':');
+        if (!store.claimEvent(key)) return [];
+
+        // One notification per address, even if the same wallet reported both items.
+        const recipients = new Map();
+        recipients.set(foundItem.reporter.toLowerCase(), 'found');
+        recipients.set(lostItem.reporter.toLowerCase(), 'lost');
+
+        const created = [];
+        for (const [address, role] of recipients) {
+            const { title, body } = describe(event, role, { lostItem, foundItem, txHash });
+            const notification = store.addToInbox(address, {
+                event,
+                title,
+                body,
+                data: { role, lostId: lostItem.itemId, foundId: foundItem.itemId, txHash, proposalId }
+            });
+            created.push(notification);
+
+            const preferences = store.getPreferences(address);
+            if (!preferences || !preferences.events.includes(event)) continue;
+            if (preferences.email && channels.email) store.enqueueDelivery(notification, 'email', preferences.email);
+            if (preferences.webhookUrl && channels.webhook) store.enqueueDelivery(notification, 'webhook', preferences.webhookUrl);
+        }
+        log(`Notifications: '${event}' for Lost ID ${lostItem.itemId} <-> Found ID ${foundItem.itemId} sent to ${recipients.size} inbox(es).`);
+
+        processDeliveries().catch(error => logError("Notification delivery error:", error));
+        return created;
+    }
+
+    async function attempt(delivery, now) {
+        const channel = channels[delivery.channel];
+        const notification = store.getNotification(delivery.notificationId);
+        try {
+            if (!channel) {
+                throw Object.assign(new Error(`Channel '${delivery.channel}' is not configured.`), { permanent: true });
+            }
+            const result = await channel.deliver(delivery, notification);
+            store.recordAttempt(delivery.id, { ok: true, statusCode: result.statusCode || null });
+            log(`Notifications: delivered #${delivery.id} by ${delivery.channel}.`);
+        } catch (error) {
+            const attempts = delivery.attempts + 1;
+            const retry = !error.permanent && attempts < maxAttempts;
+            const nextAttemptAt = retry ? now + Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** (attempts - 1)) : null;
+            store.recordAttempt(delivery.id, { ok: false, statusCode: error.statusCode || null, error: error.message, nextAttemptAt });
+            log(`Notifications: ${delivery.channel} delivery #${delivery.id} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`
+                + (retry ? ` Retrying at ${new Date(nextAttemptAt).toISOString()}.` : ' Giving up.'));
+        }
+    }
+
+    // Sends every delivery that is due. Single-flight: overlapping calls share one pass.
+    function processDeliveries(now = Date.now()) {
+        if (!processing) {
+            processing = (async () => {
+                let due;
+                while ((due = store.dueDeliveries(now)).length > 0) {
+                    for (const delivery of due) {
+                        await attempt(delivery, now);
+                    }
+                }
+            })().finally(() => { processing = null; });
+        }
+        return processing;
+    }
+
+    return { notify, processDeliveries };
+}
+
+module.exports = {
+    createNotifier,
+    createNotificationStore,
+    createEmailChannel,
+    createWebhookChannel,
+    checkWebhookTarget,
+    buildPreferencesMessage,
+    signWebhook,
+    NOTIFICATION_EVENTS
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Persistent state for notifications: contact preferences per wallet address,
+ * the in-app inbox, and the delivery log for email and webhook notifications.
+ *
+ * Preferences are changed by signing a message with the wallet (EIP-191
+ * `personal_sign`), so only the owner of an address decides where its
+ * notifications go.
+ */
+
+const NOTIFICATION_EVENTS = ['match.proposed', 'match.recorded', 'handover.claimed', 'handover.answered', 'handover.verified', 'handover.completed'];
+// A signed preferences message is only accepted for this long after it was issued.
+const PREFERENCES_SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS contact_preferences (
+        address TEXT PRIMARY KEY,
+        email TEXT,
+        webhook_url TEXT,
+        webhook_secret TEXT,
+        events TEXT NOT NULL,
+        issued_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        address TEXT NOT NULL,
+        event TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        read_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_notifications_address ON notifications (address, id);
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_id INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        target TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries (status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS notification_events (
+        event_key TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL
+    );
+`;
+
+function rowToPreferences(row) {
+    return {
+        address: row.address,
+        email: row.email,
+        webhookUrl: row.webhook_url,
+        events: JSON.parse(row.events),
+        updatedAt: row.updated_at
+    };
+}
+
+function rowToNotification(row) {
+    return {
+        id: row.id,
+        address: row.address,
+        event: row.event,
+        title: row.title,
+        body: row.body,
+        data: JSON.parse(row.data),
+        createdAt: row.created_at,
+        readAt: row.read_at
+    };
+}
+
+function rowToDelivery(row) {
+    return {
+        id: row.id,
+        notificationId: row.notification_id,
+        address: row.address,
+        channel: row.channel,
+        target: row.target,
+        status: row.status,
+        attempts: row.attempts,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+/**
+ * The exact text a wallet signs to set its preferences. Every field is part of
+ * the message, so a signature can't be reused for different settings.
+ */
+function buildPreferencesMessage({ address, email, webhookUrl, events, issuedAt }) {
+    return [
+        'DL&F notification preferences',
+        `Address: ${address.toLowerCase()}`,
+        `Email: ${email || '(none)'}`,
+        `Webhook: ${webhookUrl || '(none)'}`,
+        `Events: ${events.join(', ')}`,
+        `Issued at: ${issuedAt}`
+    ].join('\n');
+}
+
+function badRequest(message, statusCode = 400) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+// Validates the settable fields and returns them normalised. Webhooks must use https unless `allowHttpWebhooks`.
+// Where a webhook URL points is checked separately, since that needs DNS (see checkWebhookTarget).
+function normalizePreferences({ address, email, webhookUrl, events, issuedAt }, { allowHttpWebhooks = false } = {}) {
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        throw badRequest('address must be a valid address.');
+    }
+    if (email !== undefined && email !== null && email !== '' && (typeof email !== 'string' || !EMAIL_PATTERN.test(email) || email.length > 254)) {
+        throw badRequest('email must be a valid email address.');
+    }
+    if (webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== '') {
+        let url;
+        try {
+            url = new URL(webhookUrl);
+        } catch (error) {
+            throw badRequest('webhookUrl must be a valid URL.');
+        }
+        if (url.protocol !== 'https:' && !(allowHttpWebhooks && url.protocol === 'http:')) {
+            throw badRequest(allowHttpWebhooks ? 'webhookUrl must use http or https.' : 'webhookUrl must use https.');
+        }
+    }
+    const chosenEvents = events === undefined ? NOTIFICATION_EVENTS : events;
+    if (!Array.isArray(chosenEvents) || !chosenEvents.every(event => NOTIFICATION_EVENTS.includes(event))) {
+        throw badRequest(`events must be a list drawn from: ${NOTIFICATION_EVENTS.join(', ')}.`);
+    }
+    if (typeof issuedAt !== 'string' || !Number.isFinite(Date.parse(issuedAt))) {
+        throw badRequest('issuedAt must be an ISO 8601 timestamp.');
+    }
+    return {
+        address: address.toLowerCase(),
+        email: email || null,
+        webhookUrl: webhookUrl || null,
+        events: NOTIFICATION_EVENTS.filter(event => chosenEvents.includes(event)),
+        issuedAt
+    };
+}
+
+function createNotificationStore({ db, allowHttpWebhooks = false }) {
+    db.exec(SCHEMA);
+
+    function getPreferences(address) {
+        const row = db.get('SELECT * FROM contact_preferences WHERE address = ?', [address.toLowerCase()]);
+        return row ? rowToPreferences(row) : null;
+    }
+
+    function getWebhookSecret(address) {
+        const row = db.get('SELECT webhook_secret FROM contact_preferences WHERE address = ?', [address.toLowerCase()]);
+        return row ? row.webhook_secret : null;
+    }
+
+    /**
+     * Verifies a signed preferences update and saves it. Returns
+     * `{ preferences, webhookSecret }`; the secret is only returned when it was
+     * (re)generated, i.e. when the webhook URL changed.
+     * Throws an error with a `statusCode` when the update can't be accepted.
+     */
+    function savePreferences(input, signature, now = Date.now()) {
+        const preferences = normalizePreferences(input, { allowHttpWebhooks });
+        const issuedAtMs = Date.parse(preferences.issuedAt);
+        if (Math.abs(now - issuedAtMs) > PREFERENCES_SIGNATURE_MAX_AGE_MS) {
+            throw badRequest('issuedAt is too far from the current time. Sign a fresh message.');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(buildPreferencesMessage(preferences), signature).toLowerCase();
+        } catch (error) {
+            throw badRequest('Invalid signature.');
+        }
+        if (signer !== preferences.address) {
+            throw badRequest('Signature does not belong to this address.', 403);
+        }
+
+        const existing = db.get('SELECT * FROM contact_preferences WHERE address = ?', [preferences.address]);
+        // Each signed message can only be applied once, in order.
+        if (existing && Date.parse(existing.issued_at) >= issuedAtMs) {
+            throw badRequest('These preferences were already replaced by a newer update.', 409);
+        }
+
+        let webhookSecret = existing ? existing.webhook_secret : null;
+        let newSecret = null;
+        if (!preferences.webhookUrl) {
+            webhookSecret = null;
+        } else if (!existing || existing.webhook_url !== preferences.webhookUrl || !webhookSecret) {
+            webhookSecret = newSecret = crypto.randomBytes(32).toString('hex');
+        }
+
+        db.run(
+            `INSERT INTO contact_preferences (address, email, webhook_url, webhook_secret, events, issued_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(address) DO UPDATE SET
+                email = excluded.email,
+                webhook_url = excluded.webhook_url,
+                webhook_secret = excluded.webhook_secret,
+                events = excluded.events,
+                issued_at = excluded.issued_at,
+                updated_at = excluded.updated_at`,
+            [
+                preferences.address,
+                preferences.email,
+                preferences.webhookUrl,
+                webhookSecret,
+                JSON.stringify(preferences.events),
+                preferences.issuedAt,
+                new Date(now).toISOString()
+            ]
+        );
+        return { preferences: getPreferences(preferences.address), webhookSecret: newSecret };
+    }
+
+    // Returns false if `key` was already claimed, so each event is only fanned out once.
+    function claimEvent(key) {
+        if (db.get('SELECT 1 FROM notification_events WHERE event_key = ?', [key])) return false;
+        db.run('INSERT INTO notification_events (event_key, created_at) VALUES (?, ?)', [key, new Date().toISOString()]);
+        return true;
+    }
+
+    function addToInbox(address, { event, title, body, data }) {
+        db.run(
+            'INSERT INTO notifications (address, event, title, body, data, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [address.toLowerCase(), event, title, body, JSON.stringify(data), new Date().toISOString()]
+        );
+        return rowToNotification(db.get('SELECT * FROM notifications ORDER BY id DESC LIMIT 1'));
+    }
+
+    function getNotification(id) {
+        const row = db.get('SELECT * FROM notifications WHERE id = ?', [id]);
+        return row ? rowToNotification(row) : null;
+    }
+
+    function listInbox(address, { unreadOnly = false, limit = 50 } = {}) {
+        return db.all(
+            `SELECT * FROM notifications
+             WHERE address = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+             ORDER BY id DESC LIMIT ?`,
+            [address.toLowerCase(), limit]
+        ).map(rowToNotification);
+    }
+
+    function countUnread(address) {
+        return db.get('SELECT COUNT(*) AS count FROM notifications WHERE address = ? AND read_at IS NULL', [address.toLowerCase()]).count;
+    }
+
+    function markRead(address, id) {
+        db.run(
+            'UPDATE notifications SET read_at = ? WHERE id = ? AND address = ? AND read_at IS NULL',
+            [new Date().toISOString(), id, address.toLowerCase()]
+        );
+        return getNotification(id);
+    }
+
+    function enqueueDelivery(notification, channel, target) {
+        const now = new Date().toISOString();
+        db.run(
+            `INSERT INTO notification_deliveries (notification_id, address, channel, target, next_attempt_at, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [notification.id, notification.address, channel, target, now, now]
+        );
+        return rowToDelivery(db.get('SELECT * FROM notification_deliveries ORDER BY id DESC LIMIT 1'));
+    }
+
+    function dueDeliveries(now = Date.now(), limit = 20) {
+        return db.all(
+            "SELECT * FROM notification_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?",
+            [new Date(now).toISOString(), limit]
+        ).map(rowToDelivery);
+    }
+
+    /**
+     * Records the outcome of one delivery attempt. `nextAttemptAt` (ms) schedules
+     * a retry; without it a failed delivery is given up on.
+     */
+    function recordAttempt(id, { ok, statusCode = null, error = null, nextAttemptAt = null }) {
+        const now = new Date().toISOString();
+        const status = ok ? 'delivered' : (nextAttemptAt ? 'pending' : 'failed');
+        db.run(
+            `UPDATE notification_deliveries
+             SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?,
+                 next_attempt_at = COALESCE(?, next_attempt_at), delivered_at = ?
+             WHERE id = ?`,
+            [status, statusCode, error, nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null, ok ? now : null, id]
+        );
+        return rowToDelivery(db.get('SELECT * FROM notification_deliveries WHERE id = ?', [id]));
+    }
+
+    function listDeliveries(address, limit = 50) {
+        return db.all(
+            'SELECT * FROM notification_deliveries WHERE address = ? ORDER BY id DESC LIMIT ?',
+            [address.toLowerCase(), limit]
+        ).map(rowToDelivery);
+    }
+
+    return {
+        getPreferences,
+        getWebhookSecret,
+        savePreferences,
+        claimEvent,
+        addToInbox,
+        getNotification,
+        listInbox,
+        countUnread,
+        markRead,
+        enqueueDelivery,
+        dueDeliveries,
+        recordAttempt,
+        listDeliveries
+    };
+}
+
+module.exports = { createNotificationStore, buildPreferencesMessage, NOTIFICATION_EVENTS };
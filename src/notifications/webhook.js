@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+/**
+ * Outgoing webhooks. Each request carries
+ *   X-DLF-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * keyed with the subscriber's webhook secret, so receivers can check both the
+ * sender and the age of the request.
+ *
+ * Any wallet can choose its webhook URL, so the server must never be talked
+ * into posting to itself or its network: targets that resolve to loopback,
+ * link-local, private, unique-local or unspecified addresses, or to IPv6 forms
+ * of an IPv4 address (mapped, compatible, NAT64), are refused when the URL is
+ * saved and again on every delivery, with the connection pinned to the address
+ * that was checked.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],          // unspecified / "this network"
+    ['10.0.0.0', 8, 'ipv4'],         // private
+    ['100.64.0.0', 10, 'ipv4'],      // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],        // loopback
+    ['169.254.0.0', 16, 'ipv4'],     // link-local, including cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'],      // private
+    ['192.0.0.0', 24, 'ipv4'],       // IETF protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],     // private
+    ['198.18.0.0', 15, 'ipv4'],      // benchmarking
+    ['224.0.0.0', 3, 'ipv4'],        // multicast and reserved
+    ['::', 128, 'ipv6'],             // unspecified
+    ['::1', 128, 'ipv6'],            // loopback
+    ['64:ff9b:1::', 48, 'ipv6'],     // local-use NAT64
+    ['fc00::', 7, 'ipv6'],           // unique-local
+    ['fe80::', 10, 'ipv6'],          // link-local
+    ['ff00::', 8, 'ipv6']            // multicast
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+// IPv6 addresses that carry an IPv4 address, refused whatever it is: a NAT64 gateway or a dual-stack
+// host turns them into IPv4 connections. Kept apart because a BlockList also matches IPv4 addresses
+// against IPv4-mapped subnets.
+const IPV4_IN_IPV6 = new net.BlockList();
+[
+    ['::', 96],                      // IPv4-compatible (::a.b.c.d)
+    ['::ffff:0:0', 96],              // IPv4-mapped (::ffff:a.b.c.d)
+    ['64:ff9b::', 96]                // NAT64 well-known prefix
+].forEach(([address, prefix]) => IPV4_IN_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+function rejected(message) {
+    return Object.assign(new Error(message), { statusCode: 400, permanent: true });
+}
+
+// Whether the server may connect to this IP address.
+function isPublicAddress(address) {
+    switch (net.isIP(address)) {
+        case 4:
+            return !BLOCKED_ADDRESSES.check(address, 'ipv4');
+        case 6:
+            return !BLOCKED_ADDRESSES.check(address, 'ipv6') && !IPV4_IN_IPV6.check(address, 'ipv6');
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks a webhook URL: https (or http when `allowHttp`, for development), and
+ * a host whose every address is public. Resolves to the URL; rejects with an
+ * error carrying `statusCode` 400 and `permanent`.
+ */
+async function checkWebhookTarget(target, { allowHttp = false, lookup = dns.lookup } = {}) {
+    let url;
+    try {
+        url = new URL(target);
+    } catch (error) {
+        throw rejected('webhookUrl must be a valid URL.');
+    }
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        throw rejected(allowHttp ? 'webhookUrl must use http or https.' : 'webhookUrl must use https.');
+    }
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await new Promise((resolve, reject) => lookup(hostname, { all: true }, (error, result) => (error ? reject(error) : resolve(result)))))
+                .map(entry => entry.address);
+        } catch (error) {
+            throw rejected(`webhookUrl host '${hostname}' could not be resolved.`);
+        }
+    }
+    if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+        throw rejected('webhookUrl must point to a public internet address.');
+    }
+    return url;
+}
+
+// A dns.lookup that fails for non-public addresses, so the socket connects only to what was checked.
+function publicOnlyLookup(lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            if (!addresses.every(isPublicAddress)) {
+                return callback(rejected('webhookUrl must point to a public internet address.'));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookChannel({
+    getSecret,
+    allowHttp = false,
+    lookup = dns.lookup,
+    httpPost = (url, body, config) => axios.post(url, body, config)
+}) {
+    const agentOptions = { lookup: publicOnlyLookup(lookup) };
+    const httpAgent = new http.Agent(agentOptions);
+    const httpsAgent = new https.Agent(agentOptions);
+
+    async function deliver(delivery, notification) {
+        const secret = getSecret(delivery.address);
+        if (!secret) {
+            // The subscriber removed their webhook after this was queued.
+            throw Object.assign(new Error('Webhook is no longer configured.'), { permanent: true });
+        }
+
+        // DNS may have changed since the URL was saved.
+        await checkWebhookTarget(delivery.target, { allowHttp, lookup });
+
+        const body = JSON.stringify({
+            id: notification.id,
+            event: notification.event,
+            createdAt: notification.createdAt,
+            title: notification.title,
+            body: notification.body,
+            data: notification.data
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        const response = await httpPost(delivery.target, body, {
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0,
+            proxy: false,
+            httpAgent,
+            httpsAgent,
+            validateStatus: () => true,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'DLF-Webhooks/1.0',
+                'X-DLF-Event': notification.event,
+                'X-DLF-Delivery': String(delivery.id),
+                'X-DLF-Signature': `t=${timestamp},v1=${signWebhook(secret, timestamp, body)}`
+            }
+        });
+        if (response.status < 200 || response.status >= 300) {
+            throw Object.assign(new Error(`Webhook responded with HTTP ${response.status}.`), { statusCode: response.status });
+        }
+        return { statusCode: response.status };
+    }
+
+    return { name: 'webhook', deliver };
+}
+
+module.exports = { createWebhookChannel, checkWebhookTarget, isPublicAddress, signWebhook };
@@ -0,0 +1,78 @@
+/**
+ * Fixed-window rate limiting for the API, counted per client IP and, once a
+ * reporter has signed in, per wallet as well. Counters live in memory, so
+ * they reset when the server restarts and are not shared between instances.
+ * A multi-tenant server shares one set between its tenants, so a client gets
+ * each limit once per server rather than once per venue.
+ */
+
+// Expired windows are swept once this many keys are tracked.
+const SWEEP_THRESHOLD = 10000;
+
+function createRateLimiter({ windowMs, max }) {
+    const windows = new Map();
+
+    function sweep(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }
+
+    /**
+     * Counts one request for `key`. Returns `{ allowed, limit, remaining, resetAt }`;
+     * requests over the limit are not counted against the next window.
+     */
+    function hit(key, now = Date.now()) {
+        if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        const allowed = window.count < max;
+        if (allowed) window.count++;
+        return { allowed, limit: max, remaining: max - window.count, resetAt: window.resetAt };
+    }
+
+    return { hit, max };
+}
+
+// One limiter per limited group of routes, from `config.rateLimits`.
+function createRateLimiters({ windowMs, apiMax, uploadMax, engineMax }) {
+    return {
+        api: createRateLimiter({ windowMs, max: apiMax }),
+        upload: createRateLimiter({ windowMs, max: uploadMax }),
+        engine: createRateLimiter({ windowMs, max: engineMax })
+    };
+}
+
+/**
+ * Express middleware counting each client IP and signed-in wallet against
+ * `limiter` (see createRateLimiter). A `max` of 0 turns the limit off. Answers
+ * 429 with a Retry-After header once either key is over its limit.
+ */
+function rateLimit({ name, limiter, log = () => {} }) {
+    const { max } = limiter;
+    if (!max) return (req, res, next) => next();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const wallet = req.session && req.session.wallet;
+        const results = [limiter.hit(`ip:${req.ip}`, now)];
+        if (wallet) results.push(limiter.hit(`wallet:${wallet}`, now));
+
+        const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, tightest.remaining)));
+        res.set('RateLimit-Reset', String(Math.ceil((tightest.resetAt - now) / 1000)));
+
+        const blocked = results.find(result => !result.allowed);
+        if (!blocked) return next();
+        const retryAfterSeconds = Math.ceil((blocked.resetAt - now) / 1000);
+        log(`Rate limit '${name}' hit by ${wallet || req.ip}; retry in ${retryAfterSeconds}s.`);
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({ error: `Too many requests. Try again in ${retryAfterSeconds} seconds.` });
+    };
+}
+
+module.exports = { createRateLimiter, createRateLimiters, rateLimit };
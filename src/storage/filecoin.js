@@ -0,0 +1,49 @@
+/**
+ * Stores files on Filecoin warm storage through the Synapse SDK. Each upload is
+ * added to the wallet's data set with a storage provider, and the returned piece
+ * CID is what gets written on-chain.
+ *
+ * The wallet needs USDFC deposited and the Warm Storage service approved in the
+ * Synapse payments contract before uploads succeed (see the Synapse SDK docs).
+ */
+function createFilecoinStorage({ privateKey, rpcUrl, withCDN = false, log = () => {}, synapse }) {
+    if (!synapse && (!privateKey || !rpcUrl)) {
+        throw new Error("The 'filecoin' storage provider needs a private key and an RPC URL.");
+    }
+
+    let synapseReady = null;
+
+    // The SDK is ESM-only, so it is loaded on first use rather than required.
+    function getSynapse() {
+        if (!synapseReady) {
+            synapseReady = synapse
+                ? Promise.resolve(synapse)
+                : import('@filoz/synapse-sdk')
+                    .then(({ Synapse }) => Synapse.create({ privateKey, rpcURL: rpcUrl, withCDN }))
+                    .then(instance => {
+                        log(`Storage: connected to Filecoin warm storage${withCDN ? ' (CDN enabled)' : ''}.`);
+                        return instance;
+                    });
+            // Let a failed connection be retried on the next call.
+            synapseReady.catch(() => { synapseReady = null; });
+        }
+        return synapseReady;
+    }
+
+    async function put(data, { fileName = 'file' } = {}) {
+        const client = await getSynapse();
+        const result = await client.storage.upload(new Uint8Array(data));
+        const pieceCid = result.pieceCid.toString();
+        log(`Storage: stored ${fileName} (${result.size} bytes) as piece ${pieceCid}.`);
+        return pieceCid;
+    }
+
+    async function get(pieceCid) {
+        const client = await getSynapse();
+        return Buffer.from(await client.storage.download(pieceCid));
+    }
+
+    return { name: 'filecoin', put, get };
+}
+
+module.exports = { createFilecoinStorage };
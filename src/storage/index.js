@@ -0,0 +1,25 @@
+const { createPinataStorage } = require('./pinata');
+const { createFilecoinStorage } = require('./filecoin');
+const { createLocalStorage } = require('./local');
+
+const STORAGE_PROVIDERS = ['pinata', 'filecoin', 'local'];
+
+/**
+ * Builds the storage provider selected by `type`. Every provider exposes
+ * `put(data, { fileName, mimeType })`, resolving to the CID to record on-chain,
+ * and `get(cid)`, resolving to the stored bytes.
+ */
+function createStorageProvider({ type = 'pinata', ...options }) {
+    switch (type) {
+        case 'pinata':
+            return createPinataStorage(options);
+        case 'filecoin':
+            return createFilecoinStorage(options);
+        case 'local':
+            return createLocalStorage(options);
+        default:
+            throw new Error(`Unknown STORAGE_PROVIDER '${type}'. Expected one of: ${STORAGE_PROVIDERS.join(', ')}.`);
+    }
+}
+
+module.exports = { createStorageProvider, STORAGE_PROVIDERS };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Stores files in a directory on this machine, for development and offline tests.
+ * Files are named by a CIDv1 (raw codec, sha2-256) of their bytes, so the IDs
+ * written on-chain look and behave like the ones the IPFS providers return.
+ */
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    return output;
+}
+
+// 0x01 = CIDv1, 0x55 = raw, 0x12 = sha2-256, 0x20 = 32-byte digest; 'b' = base32 multibase prefix.
+function computeCid(data) {
+    const digest = crypto.createHash('sha256').update(data).digest();
+    return `b${base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]))}`;
+}
+
+function createLocalStorage({ dir }) {
+    if (!dir) {
+        throw new Error("The 'local' storage provider needs a directory.");
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    async function put(data) {
+        const cid = computeCid(data);
+        const filePath = path.join(dir, cid);
+        if (!fs.existsSync(filePath)) {
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, data);
+            await fs.promises.rename(tmpPath, filePath);
+        }
+        return cid;
+    }
+
+    async function get(cid) {
+        try {
+            return await fs.promises.readFile(path.join(dir, path.basename(cid)));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`No local file stored for ${cid}.`);
+            throw error;
+        }
+    }
+
+    return { name: 'local', put, get };
+}
+
+module.exports = { createLocalStorage, computeCid };
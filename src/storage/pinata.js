@@ -0,0 +1,71 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const PINATA_API_URL = 'https://api.pinata.cloud';
+const DEFAULT_GATEWAYS = [
+    'https://gateway.pinata.cloud/ipfs/',
+    'https://ipfs.io/ipfs/',
+    'https://dweb.link/ipfs/'
+];
+const GATEWAY_TIMEOUT_MS = 20000;
+// Largest file read back through a gateway; anything bigger is refused mid-download.
+const DEFAULT_MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Pins files to IPFS through Pinata and reads them back through public gateways,
+ * trying each gateway in order until one returns the bytes.
+ */
+function createPinataStorage({
+    apiKey,
+    secretApiKey,
+    apiUrl = PINATA_API_URL,
+    gateways = DEFAULT_GATEWAYS,
+    log = () => {},
+    maxDownloadBytes = DEFAULT_MAX_DOWNLOAD_BYTES,
+    httpGet = (url) => axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: GATEWAY_TIMEOUT_MS,
+        maxContentLength: maxDownloadBytes,
+        maxBodyLength: maxDownloadBytes
+    }),
+    httpPost = (url, body, config) => axios.post(url, body, config)
+}) {
+    if (!apiKey || !secretApiKey) {
+        throw new Error("The 'pinata' storage provider needs a Pinata API key and secret.");
+    }
+    const gatewayBases = gateways.map(url => (url.endsWith('/') ? url : `${url}/`));
+    const pinUrl = `${apiUrl.replace(/\/$/, '')}/pinning/pinFileToIPFS`;
+
+    async function put(data, { fileName = 'file', mimeType = 'application/octet-stream' } = {}) {
+        const formData = new FormData();
+        formData.append('file', data, { filepath: fileName, contentType: mimeType });
+
+        const response = await httpPost(pinUrl, formData, {
+            maxBodyLength: Infinity,
+            headers: {
+                ...formData.getHeaders(),
+                'pinata_api_key': apiKey,
+                'pinata_secret_api_key': secretApiKey
+            }
+        });
+        return response.data.IpfsHash;
+    }
+
+    async function get(cid) {
+        let lastError;
+        for (const gateway of gatewayBases) {
+            try {
+                const response = await httpGet(`${gateway}${cid}`);
+                return Buffer.from(response.data);
+            } catch (error) {
+                lastError = error;
+                log(`Storage: ${gateway} failed for ${cid} (${error.message}). Trying next gateway...`);
+            }
+        }
+        throw new Error(`All gateways failed for ${cid}: ${lastError ? lastError.message : 'no gateways configured'}`);
+    }
+
+    return { name: 'pinata', put, get };
+}
+
+module.exports = { createPinataStorage, DEFAULT_GATEWAYS };
@@ -0,0 +1,153 @@
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { createApp } = require('./app');
+const { createMetrics, createMetricsHandler } = require('./metrics');
+const { createRateLimiters } = require('./rateLimit');
+
+/**
+ * One server process for several venues (see loadTenantConfigs in src/config.js).
+ *
+ * Each tenant is a full app (src/app.js) with its own contract, engine wallet,
+ * matcher, storage provider, database, chain poller and engine schedule. The
+ * host only routes requests to them:
+ *  - /t/<id>/...      the tenant's pages, sign-in and health checks;
+ *  - /api/t/<id>/...  the tenant's API (the app's /api/...);
+ *  - /healthz, /readyz and /metrics cover every tenant, and / lists them.
+ *
+ * Log lines carry a `tenant` field and metrics a `tenant` label. Rate limits
+ * are counted across all tenants, so a client can't multiply them by venue.
+ */
+function createTenantHost({ tenants: configs, createProvider, log, timers }) {
+    const serverConfig = configs[0].server;
+    const logError = log.error || ((msg, error) => console.error(msg, error));
+    const registry = createMetrics({ prefix: 'dlf_' });
+    // RATE_LIMIT_* are server-wide settings, so every tenant has the same limits.
+    const rateLimiters = createRateLimiters(configs[0].rateLimits);
+
+    const tenants = new Map(configs.map(config => [config.tenant.id, {
+        config,
+        server: createApp({
+            config,
+            ...(createProvider && { createProvider }),
+            log: log.child ? log.child({ tenant: config.tenant.id }) : log,
+            metrics: registry.withLabels({ tenant: config.tenant.id }),
+            rateLimiters,
+            timers
+        })
+    }]));
+
+    const host = express();
+    host.set('trust proxy', serverConfig.trustProxy);
+    host.use(cors({ origin: serverConfig.corsOrigins, credentials: true }));
+
+    function summary(tenant) {
+        const { id, name, basePath, apiPath } = tenant.config.tenant;
+        return { id, name, path: `${basePath}/`, apiPath, network: tenant.config.network.label, contractAddress: tenant.config.contractAddress };
+    }
+
+    function unknownTenant(req, res) {
+        res.status(404).json({ error: `No tenant '${req.params.tenant}'. GET /api/tenants lists them.` });
+    }
+
+    // --- HEALTH CHECKS & METRICS ---
+    // Failing if any tenant is failing, so a probe restarts the process only when a venue can't work.
+    function combinedReport(check) {
+        const reports = Object.fromEntries([...tenants].map(([id, tenant]) => [id, tenant.server[check]()]));
+        const statuses = Object.values(reports).map(report => report.status);
+        const status = statuses.includes('failing') ? 'failing' : statuses.includes('degraded') ? 'degraded' : 'ok';
+        return { status, tenants: reports };
+    }
+
+    host.get('/healthz', (req, res) => {
+        const report = combinedReport('health');
+        res.status(report.status === 'failing' ? 503 : 200).json(report);
+    });
+
+    host.get('/readyz', (req, res) => {
+        const report = combinedReport('readiness');
+        res.status(report.status === 'failing' ? 503 : 200).json(report);
+    });
+
+    // Every tenant's metrics, told apart by their `tenant` label. With METRICS_TOKEN set, it needs `Authorization: Bearer <token>`.
+    host.get('/metrics', createMetricsHandler({ render: registry.render, token: serverConfig.metricsToken }));
+
+    // --- TENANT ROUTING ---
+    host.get('/api/tenants', (req, res) => {
+        res.status(200).json({ tenants: [...tenants.values()].map(summary) });
+    });
+
+    // The tenant's app sees its usual /api/... paths.
+    host.use('/api/t/:tenant', (req, res, next) => {
+        const tenant = tenants.get(req.params.tenant);
+        if (!tenant) return unknownTenant(req, res);
+        req.url = `/api${req.url}`;
+        tenant.server.app(req, res, error => (error ? next(error) : res.status(404).json({ error: 'Not found.' })));
+    });
+
+    host.use('/t/:tenant', (req, res, next) => {
+        const tenant = tenants.get(req.params.tenant);
+        if (!tenant) return unknownTenant(req, res);
+        // Pages link to their neighbours relatively, so /t/<id> needs its trailing slash.
+        const [pathname, query] = req.originalUrl.split(/\?(.*)/s);
+        if (pathname === `/t/${req.params.tenant}`) {
+            return res.redirect(301, `${pathname}/${query !== undefined ? `?${query}` : ''}`);
+        }
+        tenant.server.app(req, res, next);
+    });
+
+    host.use('/api', (req, res) => {
+        res.status(404).json({ error: 'This server hosts several venues; use /api/t/<tenant>/... (GET /api/tenants lists them).' });
+    });
+
+    const publicPath = path.join(__dirname, '..', 'public');
+    host.get('/', (req, res) => {
+        res.sendFile(path.join(publicPath, 'tenants.html'));
+    });
+
+    // --- LIFECYCLE ---
+    let httpServer = null;
+
+    // Starts every tenant's background jobs and one listener for all of them.
+    function start({ port = serverConfig.port } = {}) {
+        log(`Hosting ${tenants.size} tenant(s): ${[...tenants.keys()].join(', ')}.`);
+        tenants.forEach(tenant => tenant.server.startJobs());
+        return new Promise((resolve, reject) => {
+            httpServer = http.createServer(host);
+            httpServer.once('error', reject);
+            httpServer.listen(port, () => {
+                log(`Backend server running at http://localhost:${httpServer.address().port}`);
+                resolve(httpServer);
+            });
+        });
+    }
+
+    // Closes the listener, then stops every tenant (see stop() in src/app.js).
+    async function stop() {
+        if (httpServer) {
+            const closing = new Promise(resolve => httpServer.close(() => resolve()));
+            // Live event streams never end by themselves.
+            httpServer.closeAllConnections();
+            await closing;
+            httpServer = null;
+        }
+        const results = await Promise.allSettled([...tenants.values()].map(tenant => tenant.server.stop()));
+        results.filter(result => result.status === 'rejected').forEach(result => logError("Tenant shutdown error:", result.reason));
+    }
+
+    // A dropped connection can't be traced to a tenant, so every tenant reconnects.
+    function resetProvider() {
+        tenants.forEach(tenant => tenant.server.resetProvider());
+    }
+
+    return {
+        app: host,
+        start,
+        stop,
+        resetProvider,
+        getTenant: id => (tenants.has(id) ? tenants.get(id).server : null)
+    };
+}
+
+module.exports = { createTenantHost };
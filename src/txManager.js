@@ -0,0 +1,432 @@
+const { ethers } = require('ethers');
+
+/**
+ * Sends `recordMatch` transactions and follows them until they are final.
+ *
+ * Before anything is signed the pair is checked on-chain (`matchedItem`), the
+ * call is simulated with `staticCall` and gas is estimated with headroom. Nonces
+ * are assigned one at a time, so concurrent submissions never share one, and
+ * every sent transaction is persisted. `checkPending()` polls for receipts,
+ * replaces transactions stuck past a timeout with higher fees (and, once out of
+ * replacements, gives up and fills their nonce with a transfer), and watches the
+ * engine wallet's balance (in `currency`, the network's unit). A low balance is
+ * logged and reported by walletStatus(), for health checks and metrics.
+ */
+
+const DEFAULT_TX_OPTIONS = {
+    // Added on top of the gas estimate, in percent.
+    gasHeadroomPercent: 30,
+    // A pending transaction without a receipt after this long is replaced with higher fees.
+    stuckTimeoutMs: 5 * 60 * 1000,
+    // Fee increase per replacement, in percent. Nodes reject replacements below +10%.
+    feeBumpPercent: 25,
+    maxReplacements: 3,
+    // Retries for RPC calls that fail with a network-level error.
+    maxRetries: 3,
+    retryBaseDelayMs: 2000,
+    // Alert when the engine wallet holds less than this (wei). 0 disables the check.
+    lowBalanceWei: ethers.parseEther('1')
+};
+
+const TRANSIENT_ERROR_CODES = new Set([
+    'NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR',
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'
+]);
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS match_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lost_id INTEGER NOT NULL,
+        found_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        nonce INTEGER,
+        tx_hash TEXT,
+        tx_hashes TEXT NOT NULL DEFAULT '[]',
+        to_address TEXT,
+        data TEXT,
+        gas_limit TEXT,
+        fees TEXT,
+        replacements INTEGER NOT NULL DEFAULT 0,
+        block_number INTEGER,
+        gas_used TEXT,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT,
+        finished_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_match_transactions_pair ON match_transactions (lost_id, found_id);
+    CREATE INDEX IF NOT EXISTS idx_match_transactions_status ON match_transactions (status);
+`;
+
+function rowToTransaction(row) {
+    return {
+        id: row.id,
+        lostId: row.lost_id,
+        foundId: row.found_id,
+        status: row.status,
+        nonce: row.nonce,
+        txHash: row.tx_hash,
+        txHashes: JSON.parse(row.tx_hashes),
+        gasLimit: row.gas_limit,
+        fees: row.fees ? JSON.parse(row.fees) : null,
+        replacements: row.replacements,
+        blockNumber: row.block_number,
+        gasUsed: row.gas_used,
+        error: row.error,
+        createdAt: row.created_at,
+        sentAt: row.sent_at,
+        finishedAt: row.finished_at
+    };
+}
+
+function isTransient(error) {
+    return TRANSIENT_ERROR_CODES.has(error.code)
+        || Boolean(error.error && TRANSIENT_ERROR_CODES.has(error.error.code))
+        || Boolean(error.cause && TRANSIENT_ERROR_CODES.has(error.cause.code));
+}
+
+function errorMessage(error) {
+    return error.reason || error.shortMessage || error.message || String(error);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Fee fields from getFeeData(), as decimal strings so they can be stored as JSON.
+function feesFrom(feeData) {
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+        return { maxFeePerGas: feeData.maxFeePerGas.toString(), maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString() };
+    }
+    return { gasPrice: feeData.gasPrice.toString() };
+}
+
+// Each fee field raised by `percent`, and never below what the network currently asks.
+function bumpFees(fees, percent, current) {
+    const bumped = {};
+    for (const [field, value] of Object.entries(fees)) {
+        const raised = BigInt(value) * BigInt(100 + percent) / 100n;
+        const floor = current[field] ? BigInt(current[field]) : 0n;
+        bumped[field] = (raised > floor ? raised : floor).toString();
+    }
+    return bumped;
+}
+
+function feeOverrides(fees) {
+    return Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, BigInt(value)]));
+}
+
+function createTxManager({ db, getSigner, log = () => {}, onChange = () => {}, currency = 'FIL', options = {} }) {
+    db.exec(SCHEMA);
+    const settings = { ...DEFAULT_TX_OPTIONS, ...options };
+    const inFlight = new Map();
+    // Plain log functions (as in tests) have no .error.
+    const logError = log.error || log;
+    let sendChain = Promise.resolve();
+    let nextNonce = null;
+    let checking = null;
+    let wallet = { address: null, balance: null, low: false };
+
+    function getTransaction(id) {
+        const row = db.get('SELECT * FROM match_transactions WHERE id = ?', [id]);
+        return row ? rowToTransaction(row) : null;
+    }
+
+    function notify(type, record) {
+        try {
+            onChange(type, record);
+        } catch (error) {
+            logError(`Transaction '${type}' handler failed:`, error);
+        }
+        return record;
+    }
+
+    // Retries `fn` with exponential backoff while it fails with a network-level error.
+    async function withRetry(label, fn) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (!isTransient(error) || attempt > settings.maxRetries) throw error;
+                const delay = settings.retryBaseDelayMs * 2 ** (attempt - 1);
+                log(`Transactions: ${label} failed (${errorMessage(error)}); retry ${attempt}/${settings.maxRetries} in ${delay} ms.`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Runs `fn` after every earlier call has finished, so nonces are handed out one at a time.
+    function serialized(fn) {
+        const result = sendChain.then(fn);
+        sendChain = result.catch(() => {});
+        return result;
+    }
+
+    async function allocateNonce(signer) {
+        const chainNonce = await withRetry('getNonce', () => signer.getNonce('pending'));
+        const { nonce: highestPending } = db.get("SELECT MAX(nonce) AS nonce FROM match_transactions WHERE status = 'pending'");
+        const afterPending = highestPending === null ? 0 : highestPending + 1;
+        return Math.max(chainNonce, afterPending, nextNonce === null ? 0 : nextNonce);
+    }
+
+    // Signs and broadcasts; rebroadcasting a transaction the node already has is not an error.
+    async function signAndSend(signer, request) {
+        const signed = await signer.signTransaction(await signer.populateTransaction(request));
+        const hash = ethers.keccak256(signed);
+        await withRetry('broadcastTransaction', async () => {
+            try {
+                await signer.provider.broadcastTransaction(signed);
+            } catch (error) {
+                if (!/already known/i.test(errorMessage(error))) throw error;
+            }
+        });
+        return hash;
+    }
+
+    function insert(lostId, foundId, fields) {
+        const now = new Date().toISOString();
+        db.run(
+            `INSERT INTO match_transactions
+                (lost_id, found_id, status, nonce, tx_hash, tx_hashes, to_address, data, gas_limit, fees, error, created_at, sent_at, finished_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                lostId,
+                foundId,
+                fields.status,
+                fields.nonce ?? null,
+                fields.txHash ?? null,
+                JSON.stringify(fields.txHash ? [fields.txHash] : []),
+                fields.to ?? null,
+                fields.data ?? null,
+                fields.gasLimit ?? null,
+                fields.fees ? JSON.stringify(fields.fees) : null,
+                fields.error ?? null,
+                now,
+                fields.txHash ? now : null,
+                fields.status === 'pending' ? null : now
+            ]
+        );
+        return rowToTransaction(db.get('SELECT * FROM match_transactions ORDER BY id DESC LIMIT 1'));
+    }
+
+    async function send(contract, lostId, foundId) {
+        const signer = contract.runner;
+        try {
+            const [lostMatch, foundMatch] = await withRetry('matchedItem', () => Promise.all([
+                contract.matchedItem(lostId),
+                contract.matchedItem(foundId)
+            ]));
+            if (lostMatch !== 0n || foundMatch !== 0n) {
+                const error = `Already matched on-chain (Lost ID ${lostId} -> ${lostMatch}, Found ID ${foundId} -> ${foundMatch}).`;
+                log(`Transactions: skipping Lost ID ${lostId} <-> Found ID ${foundId}. ${error}`);
+                return notify('failed', insert(lostId, foundId, { status: 'skipped', error }));
+            }
+
+            // Reverts here cost nothing, unlike a reverted transaction.
+            await withRetry('staticCall', () => contract.recordMatch.staticCall(lostId, foundId));
+            const estimate = await withRetry('estimateGas', () => contract.recordMatch.estimateGas(lostId, foundId));
+            const gasLimit = estimate * BigInt(100 + settings.gasHeadroomPercent) / 100n;
+            const fees = feesFrom(await withRetry('getFeeData', () => signer.provider.getFeeData()));
+            const { to, data } = await contract.recordMatch.populateTransaction(lostId, foundId);
+
+            const record = await serialized(async () => {
+                let nonce = await allocateNonce(signer);
+                let txHash;
+                try {
+                    txHash = await signAndSend(signer, { to, data, nonce, gasLimit, ...feeOverrides(fees) });
+                } catch (error) {
+                    if (error.code !== 'NONCE_EXPIRED') throw error;
+                    // Something else used the nonce; start again from the node's count.
+                    nextNonce = null;
+                    nonce = await withRetry('getNonce', () => signer.getNonce('pending'));
+                    txHash = await signAndSend(signer, { to, data, nonce, gasLimit, ...feeOverrides(fees) });
+                }
+                nextNonce = nonce + 1;
+                return insert(lostId, foundId, { status: 'pending', nonce, txHash, to, data, gasLimit: gasLimit.toString(), fees });
+            });
+            log(`Transactions: sent #${record.id} ${record.txHash} (nonce ${record.nonce}, gas limit ${record.gasLimit}).`);
+            return notify('submitted', record);
+        } catch (error) {
+            log(`Transactions: could not send Lost ID ${lostId} <-> Found ID ${foundId}: ${errorMessage(error)}`);
+            return notify('failed', insert(lostId, foundId, { status: 'failed', error: errorMessage(error) }));
+        }
+    }
+
+    /**
+     * Sends `recordMatch(lostId, foundId)` unless the pair already has a pending
+     * or confirmed transaction. Never throws for a failed send: resolves to the
+     * transaction record, whose `status` is 'pending', 'confirmed', 'skipped'
+     * (already matched on-chain) or 'failed' (with `error`).
+     */
+    async function submit(contract, { lostId, foundId }) {
+        const key = `${lostId}:${foundId}`;
+        if (inFlight.has(key)) return inFlight.get(key);
+        const existing = db.get(
+            "SELECT * FROM match_transactions WHERE lost_id = ? AND found_id = ? AND status IN ('pending', 'confirmed') ORDER BY id DESC LIMIT 1",
+            [lostId, foundId]
+        );
+        if (existing) {
+            log(`Transactions: Lost ID ${lostId} <-> Found ID ${foundId} already has ${existing.status} transaction #${existing.id}.`);
+            return rowToTransaction(existing);
+        }
+        const promise = send(contract, lostId, foundId).finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    function finish(record, fields) {
+        db.run(
+            `UPDATE match_transactions SET status = ?, tx_hash = COALESCE(?, tx_hash), block_number = ?, gas_used = ?, error = ?, finished_at = ?
+             WHERE id = ?`,
+            [fields.status, fields.txHash ?? null, fields.blockNumber ?? null, fields.gasUsed ?? null, fields.error ?? null, new Date().toISOString(), record.id]
+        );
+        return getTransaction(record.id);
+    }
+
+    async function replace(signer, record, now) {
+        const current = feesFrom(await withRetry('getFeeData', () => signer.provider.getFeeData()));
+        const fees = bumpFees(record.fees, settings.feeBumpPercent, current);
+        const row = db.get('SELECT to_address, data FROM match_transactions WHERE id = ?', [record.id]);
+        try {
+            const txHash = await signAndSend(signer, {
+                to: row.to_address,
+                data: row.data,
+                nonce: record.nonce,
+                gasLimit: BigInt(record.gasLimit),
+                ...feeOverrides(fees)
+            });
+            db.run(
+                'UPDATE match_transactions SET tx_hash = ?, tx_hashes = ?, fees = ?, replacements = replacements + 1, sent_at = ? WHERE id = ?',
+                [txHash, JSON.stringify([...record.txHashes, txHash]), JSON.stringify(fees), new Date(now).toISOString(), record.id]
+            );
+            const replaced = getTransaction(record.id);
+            log(`Transactions: #${record.id} was stuck; replaced ${record.txHash} with ${txHash} (replacement ${replaced.replacements}/${settings.maxReplacements}).`);
+            notify('replaced', replaced);
+        } catch (error) {
+            // Keep the higher fees, so the next attempt bumps from there.
+            db.run('UPDATE match_transactions SET fees = ? WHERE id = ?', [JSON.stringify(fees), record.id]);
+            log(`Transactions: could not replace #${record.id}: ${errorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Gives up on a transaction that is still stuck after its last replacement. Its nonce
+     * can't be left empty, or every later transaction would queue behind the gap, so a
+     * 0-value transfer to the engine wallet is sent at that nonce with higher fees. If the
+     * match transaction is mined after all, the MatchFound event still reaches the index.
+     */
+    async function cancel(signer, record) {
+        const current = feesFrom(await withRetry('getFeeData', () => signer.provider.getFeeData()));
+        const fees = bumpFees(record.fees, settings.feeBumpPercent, current);
+        try {
+            const transfer = { from: signer.address, to: signer.address, value: 0n };
+            const gasLimit = await withRetry('estimateGas', () => signer.provider.estimateGas(transfer));
+            const txHash = await signAndSend(signer, { to: transfer.to, value: 0n, nonce: record.nonce, gasLimit, ...feeOverrides(fees) });
+            const finished = finish(record, {
+                status: 'failed',
+                error: `No receipt after ${record.replacements} replacement(s); nonce ${record.nonce} was filled with transfer ${txHash}.`
+            });
+            log(`Transactions: #${record.id} failed: ${finished.error}`);
+            notify('failed', finished);
+        } catch (error) {
+            // Stays pending; the next check finds a receipt, a used nonce or tries again.
+            db.run('UPDATE match_transactions SET fees = ? WHERE id = ?', [JSON.stringify(fees), record.id]);
+            log(`Transactions: could not fill nonce ${record.nonce} of #${record.id}: ${errorMessage(error)}`);
+        }
+    }
+
+    async function checkTransaction(signer, record, now) {
+        // Read the mined nonce before the receipts, so a transaction mined in between is still found.
+        const minedNonce = await withRetry('getNonce', () => signer.getNonce('latest'));
+        for (const hash of record.txHashes) {
+            const receipt = await withRetry('getTransactionReceipt', () => signer.provider.getTransactionReceipt(hash));
+            if (!receipt) continue;
+            const confirmed = receipt.status === 1;
+            const finished = finish(record, {
+                status: confirmed ? 'confirmed' : 'reverted',
+                txHash: hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                error: confirmed ? null : 'Transaction reverted on-chain.'
+            });
+            log(`Transactions: #${record.id} ${hash} ${finished.status} in block ${receipt.blockNumber}.`);
+            notify(confirmed ? 'confirmed' : 'failed', finished);
+            return;
+        }
+        if (minedNonce > record.nonce) {
+            const finished = finish(record, { status: 'failed', error: `Nonce ${record.nonce} was used by another transaction.` });
+            log(`Transactions: #${record.id} failed: ${finished.error}`);
+            notify('failed', finished);
+            return;
+        }
+        if (now - Date.parse(record.sentAt) >= settings.stuckTimeoutMs) {
+            await (record.replacements < settings.maxReplacements ? replace(signer, record, now) : cancel(signer, record));
+        }
+    }
+
+    async function checkBalance(signer) {
+        if (!(settings.lowBalanceWei > 0n)) return;
+        const balance = await withRetry('getBalance', () => signer.provider.getBalance(signer.address));
+        const low = balance < settings.lowBalanceWei;
+        if (low && !wallet.low) {
+            log(`ALERT: Engine wallet ${signer.address} holds ${ethers.formatEther(balance)} ${currency}, below the ${ethers.formatEther(settings.lowBalanceWei)} ${currency} threshold. Top it up or match transactions will fail.`);
+        } else if (!low && wallet.low) {
+            log(`Engine wallet balance recovered: ${ethers.formatEther(balance)} ${currency}.`);
+        }
+        wallet = { address: signer.address, balance: ethers.formatEther(balance), low };
+    }
+
+    /**
+     * Follows every pending transaction: records receipts, replaces stuck ones,
+     * then checks the wallet balance. Single-flight: overlapping calls share one pass.
+     */
+    function checkPending(now = Date.now()) {
+        if (!checking) {
+            checking = (async () => {
+                const signer = getSigner();
+                if (!signer) return;
+                const pending = db.all("SELECT * FROM match_transactions WHERE status = 'pending' ORDER BY nonce").map(rowToTransaction);
+                for (const record of pending) {
+                    try {
+                        await checkTransaction(signer, record, now);
+                    } catch (error) {
+                        log(`Transactions: could not check #${record.id}: ${errorMessage(error)}`);
+                    }
+                }
+                await checkBalance(signer);
+            })().finally(() => { checking = null; });
+        }
+        return checking;
+    }
+
+    /**
+     * Newest first, cursor-paginated. `cursor` is the last transaction ID of the previous page.
+     */
+    function listTransactions({ status, cursor, limit = 20 } = {}) {
+        const where = [];
+        const params = [];
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (cursor) {
+            where.push('id < ?');
+            params.push(cursor);
+        }
+        const rows = db.all(
+            `SELECT * FROM match_transactions ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const transactions = rows.slice(0, limit).map(rowToTransaction);
+        return { transactions, nextCursor: rows.length > limit ? transactions[transactions.length - 1].id : null };
+    }
+
+    // Last balance seen by checkPending().
+    function walletStatus() {
+        return { ...wallet, threshold: ethers.formatEther(settings.lowBalanceWei) };
+    }
+
+    return { submit, checkPending, getTransaction, listTransactions, walletStatus };
+}
+
+module.exports = { createTxManager, DEFAULT_TX_OPTIONS };
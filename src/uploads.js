@@ -0,0 +1,66 @@
+/**
+ * Record of images pinned through /api/pin-image.
+ *
+ * The contract only stores one CID per item, so the thumbnail CID for each
+ * pinned image is kept here and joined onto items by the read APIs. The
+ * perceptual hash is used to spot the same photo in duplicate reports.
+ */
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS uploads (
+        cid TEXT PRIMARY KEY,
+        thumbnail_cid TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        perceptual_hash TEXT,
+        created_at TEXT NOT NULL
+    );
+`;
+
+function createUploadStore({ db }) {
+    db.exec(SCHEMA);
+    // Databases created before perceptual hashes were recorded.
+    if (!db.all('PRAGMA table_info(uploads)').some(column => column.name === 'perceptual_hash')) {
+        db.exec('ALTER TABLE uploads ADD COLUMN perceptual_hash TEXT');
+    }
+
+    function recordUpload({ cid, thumbnailCid, mimeType, width, height, size, perceptualHash = null }) {
+        db.run(
+            `INSERT INTO uploads (cid, thumbnail_cid, mime_type, width, height, size, perceptual_hash, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(cid) DO UPDATE SET thumbnail_cid = excluded.thumbnail_cid, perceptual_hash = excluded.perceptual_hash`,
+            [cid, thumbnailCid, mimeType, width, height, size, perceptualHash, new Date().toISOString()]
+        );
+    }
+
+    function getThumbnailCid(cid) {
+        const row = cid ? db.get('SELECT thumbnail_cid FROM uploads WHERE cid = ?', [cid]) : null;
+        return row ? row.thumbnail_cid : null;
+    }
+
+    // Adds `thumbnailCid` to each item whose (first) image was pinned through this server.
+    // Items resolved through the metadata resolver carry `imageCids`; legacy ones only `ipfsCid`.
+    function withThumbnails(items) {
+        return items.map(item => {
+            if (!item) return item;
+            const imageCid = item.imageCids ? item.imageCids[0] : item.ipfsCid;
+            return { ...item, thumbnailCid: getThumbnailCid(imageCid) };
+        });
+    }
+
+    // True if `cid` is an image or thumbnail pinned through /api/pin-image.
+    function hasFile(cid) {
+        return Boolean(db.get('SELECT 1 FROM uploads WHERE cid = ? OR thumbnail_cid = ?', [cid, cid]));
+    }
+
+    function getPerceptualHash(cid) {
+        const row = cid ? db.get('SELECT perceptual_hash FROM uploads WHERE cid = ?', [cid]) : null;
+        return row ? row.perceptual_hash : null;
+    }
+
+    return { recordUpload, getThumbnailCid, hasFile, getPerceptualHash, withThumbnails };
+}
+
+module.exports = { createUploadStore };
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assignOneToOne } = require('../src/assignment');
+
+function edge(lostId, foundId, score) {
+    return { lostId, foundId, score };
+}
+
+function pairs(edges) {
+    return assignOneToOne(edges).map(({ lostId, foundId }) => [lostId, foundId]);
+}
+
+// Every ordering of `items`, to check a result doesn't depend on the order edges arrive in.
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, index) =>
+        permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest]));
+}
+
+describe('one-to-one assignment', () => {
+    it('picks the best total score over the greedy choice', () => {
+        // Greedy would give found item 10 to lost item 1 and leave lost item 2 without a match.
+        assert.deepEqual(pairs([edge(1, 10, 0.9), edge(1, 11, 0.8), edge(2, 10, 0.85)]), [[2, 10], [1, 11]]);
+    });
+
+    it('never uses an item twice and keeps the best of repeated edges', () => {
+        const chosen = assignOneToOne([edge(1, 10, 0.6), edge(2, 10, 0.7), edge(3, 10, 0.5), edge(2, 10, 0.4), edge(3, 11, 0.3)]);
+        assert.deepEqual(chosen, [edge(2, 10, 0.7), edge(3, 11, 0.3)]);
+        assert.deepEqual(assignOneToOne([]), []);
+    });
+
+    it('gives equally good pairs to the earliest reports, whatever the edge order', () => {
+        const cases = [
+            // Two owners scored the same against one found item.
+            [[edge(1, 10, 0.9), edge(2, 10, 0.9)], [[1, 10]]],
+            // One owner scored the same against two found items.
+            [[edge(1, 10, 0.9), edge(1, 11, 0.9)], [[1, 10]]],
+            // Both ways of pairing two and two add up to the same total.
+            [[edge(1, 10, 0.9), edge(1, 11, 0.9), edge(2, 10, 0.9), edge(2, 11, 0.9)], [[1, 10], [2, 11]]],
+            [[edge(3, 10, 0.7), edge(2, 10, 0.7), edge(1, 10, 0.7)], [[1, 10]]]
+        ];
+        for (const [edges, expected] of cases) {
+            for (const ordering of permutations(edges)) {
+                assert.deepEqual(pairs(ordering), expected, JSON.stringify(ordering));
+            }
+        }
+    });
+
+    it('lists the chosen pairs best score first, then by lost item', () => {
+        const chosen = assignOneToOne([edge(3, 12, 0.8), edge(2, 11, 0.95), edge(1, 10, 0.8)]);
+        assert.deepEqual(chosen.map(({ lostId }) => lostId), [2, 1, 3]);
+    });
+});
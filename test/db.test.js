@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { openDatabase } = require('../src/db');
+const { createApp } = require('../src/app');
+const { loadConfig } = require('../src/config');
+
+// Rows in `table` of the database file as it is on disk right now. Read with sql.js itself, which never writes the file back.
+async function rowsOnDisk(filePath, table) {
+    if (!fs.existsSync(filePath)) return [];
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(filePath));
+    try {
+        const result = db.exec(`SELECT * FROM sqlite_master WHERE type = 'table' AND name = '${table}'`).length
+            ? db.exec(`SELECT * FROM ${table}`)
+            : [];
+        if (!result.length) return [];
+        const { columns, values } = result[0];
+        return values.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    } finally {
+        db.close();
+    }
+}
+
+describe('database', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlf-db-'));
+        filePath = path.join(dir, 'dlf.sqlite');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes committed transactions through a temp file, so a failed write leaves the old file intact', async () => {
+        const db = await openDatabase(filePath, { flushDelayMs: 60 * 1000 });
+        db.transaction(() => {
+            db.exec('CREATE TABLE notes (text TEXT)');
+            db.run('INSERT INTO notes (text) VALUES (?)', ['first']);
+        });
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['first']);
+        assert.ok(!fs.existsSync(`${filePath}.tmp`));
+
+        // A write that dies before the rename, here because the temp path can't be written.
+        fs.mkdirSync(`${filePath}.tmp`);
+        assert.throws(() => db.transaction(() => db.run('INSERT INTO notes (text) VALUES (?)', ['second'])), { code: 'EISDIR' });
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['first']);
+
+        fs.rmdirSync(`${filePath}.tmp`);
+        db.close();
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['first', 'second']);
+    });
+
+    it('rolls back a transaction that throws and writes nothing', async () => {
+        const db = await openDatabase(filePath, { flushDelayMs: 60 * 1000 });
+        db.transaction(() => db.exec('CREATE TABLE notes (text TEXT)'));
+        const before = fs.readFileSync(filePath);
+
+        assert.throws(() => db.transaction(() => {
+            db.run('INSERT INTO notes (text) VALUES (?)', ['kept?']);
+            // Nested transactions join the outer one, so this undoes the insert above too.
+            db.transaction(() => db.run('INSERT INTO notes (text) VALUES (?)', ['nested']));
+            throw new Error('half-way');
+        }), /half-way/);
+
+        assert.deepEqual(db.all('SELECT * FROM notes'), []);
+        assert.deepEqual(fs.readFileSync(filePath), before);
+        // The database is still usable afterwards.
+        db.transaction(() => db.run('INSERT INTO notes (text) VALUES (?)', ['after']));
+        db.close();
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['after']);
+    });
+
+    it('batches plain writes until the delay, flush() or close()', async () => {
+        const db = await openDatabase(filePath, { flushDelayMs: 60 * 1000 });
+        db.exec('CREATE TABLE notes (text TEXT)');
+        db.run('INSERT INTO notes (text) VALUES (?)', ['batched']);
+        assert.ok(!fs.existsSync(filePath));
+
+        db.flush();
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['batched']);
+
+        db.run('INSERT INTO notes (text) VALUES (?)', ['on close']);
+        assert.equal((await rowsOnDisk(filePath, 'notes')).length, 1);
+        db.close();
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['batched', 'on close']);
+    });
+
+    it('writes out pending writes after the delay, reporting a failed write to onError', async () => {
+        const errors = [];
+        const db = await openDatabase(filePath, { flushDelayMs: 20, onError: error => errors.push(error) });
+        db.exec('CREATE TABLE notes (text TEXT)');
+        fs.mkdirSync(`${filePath}.tmp`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(errors.length, 1);
+        assert.ok(!fs.existsSync(filePath));
+
+        fs.rmdirSync(`${filePath}.tmp`);
+        db.run('INSERT INTO notes (text) VALUES (?)', ['later']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepEqual((await rowsOnDisk(filePath, 'notes')).map(row => row.text), ['later']);
+        db.close();
+    });
+
+    it('writes out the database when the app stops', async () => {
+        const wallet = '0x00000000000000000000000000000000000000a1';
+        const server = createApp({
+            config: loadConfig({
+                NETWORK: 'local',
+                CONTRACT_ADDRESS: '0x0000000000000000000000000000000000000001',
+                MATCHING_ENGINE_PRIVATE_KEY: '11'.repeat(32),
+                MATCHER: 'local',
+                STORAGE_PROVIDER: 'local',
+                SESSION_SECRET: 'test-session-secret',
+                DATA_DIR: dir
+            }, { baseDir: dir }),
+            log: () => {}
+        });
+        const { handoverStore } = await server.storesReady;
+        handoverStore.saveVerification('bafkreistopflushaaaaaaaaaaaaaaaa', wallet, [{ question: 'What colour is it?', answer: 'Blue' }]);
+        assert.deepEqual(await rowsOnDisk(filePath, 'verification_details'), []);
+
+        await server.stop();
+        const saved = await rowsOnDisk(filePath, 'verification_details');
+        assert.deepEqual(saved.map(row => row.owner), [wallet]);
+    });
+});
@@ -0,0 +1,381 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { loadConfig } = require('../src/config');
+const { createApp } = require('../src/app');
+const { startChain, reportItem } = require('./helpers/chain');
+const { startStubServer } = require('./helpers/stubs');
+
+const PINATA_API_KEY = 'test-pinata-key';
+const PINATA_SECRET_API_KEY = 'test-pinata-secret';
+const GEMINI_API_KEY = 'test-gemini-key';
+
+// Polls `check` until it returns something truthy.
+async function waitFor(check, { timeoutMs = 20000, intervalMs = 100, what = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    throw new Error(`Timed out waiting for ${what}.`);
+}
+
+describe('reporting -> matching -> on-chain record', () => {
+    let chain;
+    let stubs;
+    let server;
+    let baseUrl;
+    let dataDir;
+    let providersCreated = 0;
+
+    async function api(method, urlPath, body, { cookie } = {}) {
+        const headers = cookie ? { Cookie: cookie } : {};
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers,
+            ...(body instanceof FormData ? { body } : body && {
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            })
+        });
+        return { status: response.status, body: await response.json(), headers: response.headers };
+    }
+
+    // Signs a reporter's wallet in, as the dashboard does; resolves to the session cookie.
+    async function signIn(wallet) {
+        const challenge = await api('POST', '/api/auth/wallet/challenge', { address: wallet.address });
+        const signature = await wallet.signMessage(challenge.body.message);
+        const verified = await api('POST', '/api/auth/wallet/verify', { message: challenge.body.message, signature });
+        assert.equal(verified.status, 200, JSON.stringify(verified.body));
+        return verified.headers.get('set-cookie').split(';')[0];
+    }
+
+    // Uploads a generated photo and a metadata document, as the report pages do; resolves to the metadata CID.
+    async function uploadReport({ colour, category }) {
+        const photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: colour } }).png().toBuffer();
+        const form = new FormData();
+        form.append('file', new Blob([photo], { type: 'image/png' }), 'photo.png');
+        const pinned = await api('POST', '/api/pin-image', form);
+        assert.equal(pinned.status, 200, JSON.stringify(pinned.body));
+
+        const metadata = await api('POST', '/api/item-metadata', { category, colours: [colour], photos: [pinned.body.cid] });
+        assert.equal(metadata.status, 200, JSON.stringify(metadata.body));
+        return metadata.body.cid;
+    }
+
+    async function reportPair(title, { colour = 'red', category = 'bag' } = {}) {
+        const [alice, bob] = chain.reporters;
+        const lostCid = await uploadReport({ colour, category });
+        const foundCid = await uploadReport({ colour, category });
+        const lostId = await reportItem(chain.contract, alice, { isLost: true, title, description: 'Lost it.', cid: lostCid });
+        const foundId = await reportItem(chain.contract, bob, { isLost: false, title, description: 'Found it.', cid: foundCid });
+        return { lostId, foundId };
+    }
+
+    function waitForMatch(lostId, foundId) {
+        return waitFor(async () => {
+            const { body } = await api('GET', `/api/items/${lostId}`);
+            return body.item && body.item.matchedId === foundId && body;
+        }, { what: `item ${lostId} to be matched with ${foundId}` });
+    }
+
+    before(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlf-e2e-'));
+        chain = await startChain({ reporterCount: 3 });
+        stubs = await startStubServer({ pinataApiKey: PINATA_API_KEY, pinataSecretApiKey: PINATA_SECRET_API_KEY, geminiApiKey: GEMINI_API_KEY });
+
+        const config = loadConfig({
+            NETWORK: 'local',
+            CONTRACT_ADDRESS: chain.contractAddress,
+            MATCHING_ENGINE_PRIVATE_KEY: chain.engineKey,
+            MATCHER: 'gemini',
+            GEMINI_API_KEY,
+            GEMINI_API_URL: stubs.url,
+            STORAGE_PROVIDER: 'pinata',
+            PINATA_API_KEY,
+            PINATA_SECRET_API_KEY,
+            PINATA_API_URL: stubs.url,
+            IMAGE_GATEWAYS: `${stubs.url}/ipfs/`,
+            SESSION_SECRET: 'test-session-secret',
+            DATA_DIR: dataDir,
+            MATCH_MODE: 'auto',
+            CHAIN_POLL_INTERVAL_SECONDS: '0.2',
+            // The suite makes requests far faster than any person would.
+            RATE_LIMIT_API_MAX: '0',
+            RATE_LIMIT_UPLOAD_MAX: '0'
+        }, { baseDir: dataDir });
+
+        server = createApp({
+            config,
+            createProvider: () => {
+                providersCreated++;
+                return chain.connect();
+            },
+            log: () => {},
+            timers: {
+                engineIntervalMs: 60 * 60 * 1000,
+                txCheckIntervalMs: 100,
+                deliveryIntervalMs: 60 * 60 * 1000,
+                providerResetDelayMs: 200
+            }
+        });
+        const httpServer = await server.start({ port: 0 });
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        if (stubs) await stubs.close();
+        if (chain) await chain.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('serves the deployed contract to the frontend', async () => {
+        const { status, body } = await api('GET', '/api/config/public');
+        assert.equal(status, 200);
+        assert.equal(body.contractAddress, chain.contractAddress);
+        assert.equal(body.network.chainId, chain.chainId);
+        assert.ok(body.contractAbi.some(entry => entry.includes('reportLost')));
+    });
+
+    it('records a confident match on-chain and in the item index', async () => {
+        const { lostId, foundId } = await reportPair('Red backpack');
+
+        const body = await waitForMatch(lostId, foundId);
+        assert.equal(body.matchedItem.itemId, foundId);
+        assert.match(body.matchTxHash, /^0x[0-9a-f]{64}$/);
+        assert.equal(Number(await chain.contract.matchedItem(lostId)), foundId);
+        assert.equal(Number(await chain.contract.matchedItem(foundId)), lostId);
+
+        // The matcher saw both photos, fetched back through the IPFS gateway.
+        const request = stubs.gemini.requests.find(entry => entry.lost.id === lostId);
+        assert.ok(request, 'Gemini was asked about the lost item');
+        assert.deepEqual(request.found.map(item => item.id), [foundId]);
+        assert.equal(request.images, 2);
+
+        const { txManager } = await server.storesReady;
+        const record = await waitFor(() => {
+            const [latest] = txManager.listTransactions({ limit: 1 }).transactions;
+            return latest && latest.status === 'confirmed' && latest;
+        }, { what: 'the match transaction to confirm' });
+        assert.equal(record.lostId, lostId);
+        assert.equal(record.txHash, body.matchTxHash);
+    });
+
+    it('reports health, readiness and the match in its metrics', async () => {
+        const ready = await fetch(`${baseUrl}/readyz`);
+        assert.equal(ready.status, 200);
+        const health = await fetch(`${baseUrl}/healthz`);
+        const report = await health.json();
+        assert.equal(health.status, 200, JSON.stringify(report));
+        assert.equal(report.checks.provider.status, 'ok');
+        assert.equal(report.checks.lastRun.status, 'ok');
+        assert.ok(report.checks.lastRun.runId);
+
+        // Time to match is observed once both report blocks have been looked up.
+        const metrics = await waitFor(async () => {
+            const response = await fetch(`${baseUrl}/metrics`);
+            assert.match(response.headers.get('content-type'), /^text\/plain/);
+            const text = await response.text();
+            return /^dlf_time_to_match_seconds_count [1-9]/m.test(text) && text;
+        }, { what: 'the time-to-match metric' });
+        const value = pattern => Number((metrics.match(new RegExp(`^${pattern} (\\S+)$`, 'm')) || [])[1]);
+        assert.ok(value('dlf_items\\{type="lost",status="matched"\\}') >= 1);
+        assert.ok(value('dlf_engine_runs_total\\{status="succeeded"\\}') >= 1);
+        assert.ok(value('dlf_matcher_requests_total\\{matcher="gemini",outcome="success"\\}') >= 1);
+        assert.ok(value('dlf_match_transactions_total\\{outcome="confirmed"\\}') >= 1);
+        assert.equal(value('dlf_provider_connected'), 1);
+    });
+
+    it('keeps candidates below the threshold off-chain', async () => {
+        const [alice, bob] = chain.reporters;
+        const lostCid = await uploadReport({ colour: 'blue', category: 'umbrella' });
+        const foundCid = await uploadReport({ colour: 'navy', category: 'umbrella' });
+        const lostId = await reportItem(chain.contract, alice, { isLost: true, title: 'Blue umbrella', description: 'Lost it.', cid: lostCid });
+        const foundId = await reportItem(chain.contract, bob, { isLost: false, title: 'Striped umbrella', description: 'Found it.', cid: foundCid });
+
+        const { body } = await waitFor(async () => {
+            const response = await api('GET', `/api/items/${lostId}/candidates`);
+            return response.body.candidates && response.body.candidates.some(candidate => candidate.foundId === foundId) && response;
+        }, { what: 'candidates for the umbrella' });
+        assert.equal(body.candidates.find(candidate => candidate.foundId === foundId).confidence, 40);
+        assert.equal(Number(await chain.contract.matchedItem(lostId)), 0);
+        assert.equal((await api('GET', `/api/items/${lostId}`)).body.item.matchedId, 0);
+    });
+
+    it('reconnects after a provider reset and catches up on items reported meanwhile', async () => {
+        const before = providersCreated;
+        server.resetProvider();
+        assert.equal(server.getContract(), null);
+
+        // Reported while the engine is disconnected: found by the 'provider-reset' run.
+        const missed = await reportPair('Silver watch', { colour: 'silver', category: 'watch' });
+        await waitFor(() => providersCreated > before, { what: 'a new provider' });
+        await waitForMatch(missed.lostId, missed.foundId);
+
+        // Reported after reconnecting: picked up by the event poll on the new provider.
+        const live = await reportPair('Green scarf', { colour: 'green', category: 'clothing' });
+        await waitForMatch(live.lostId, live.foundId);
+        assert.equal(Number(await chain.contract.matchedItem(live.lostId)), live.foundId);
+    });
+
+    it('passes the owner\'s answers to the finder, who confirms them before handing the item over', async () => {
+        const [alice, bob] = chain.reporters;
+        const owner = { cookie: await signIn(alice) };
+        const finder = { cookie: await signIn(bob) };
+
+        // Set on the report page, before the report is sent.
+        const lostCid = await uploadReport({ colour: 'brown', category: 'wallet' });
+        const question = 'Whose library card is inside?';
+        const saved = await api('PUT', '/api/verification-details', { cid: lostCid, questions: [{ question, answer: 'Ada Lovelace' }] }, owner);
+        assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+        const foundCid = await uploadReport({ colour: 'brown', category: 'wallet' });
+        const lostId = await reportItem(chain.contract, alice, { isLost: true, title: 'Brown wallet', description: 'Lost it.', cid: lostCid });
+        const foundId = await reportItem(chain.contract, bob, { isLost: false, title: 'Brown wallet', description: 'Found it.', cid: foundCid });
+        await waitForMatch(lostId, foundId);
+
+        // Once the report is on-chain, the questions can't be fitted to the match.
+        const late = await api('PUT', '/api/verification-details', { cid: lostCid, questions: [{ question: 'What colour is it?', answer: 'Brown' }] }, owner);
+        assert.equal(late.status, 409);
+
+        assert.equal((await api('POST', `/api/handovers/${lostId}/claim`, {}, finder)).status, 403);
+        const claimed = await api('POST', `/api/handovers/${lostId}/claim`, {}, owner);
+        assert.equal(claimed.status, 200, JSON.stringify(claimed.body));
+        assert.equal(claimed.body.handover.status, 'claimed');
+
+        // The finder sees the question, never the answer, and can't be contacted yet.
+        const finderView = await api('GET', `/api/handovers/${lostId}`, undefined, finder);
+        assert.deepEqual(finderView.body.handover.questions, [question]);
+        assert.ok(!JSON.stringify(finderView.body).includes('Lovelace'));
+        assert.equal((await api('POST', `/api/handovers/${lostId}/messages`, { text: 'Hello' }, finder)).status, 409);
+
+        const wrong = await api('POST', `/api/handovers/${lostId}/answers`, { answers: ['Charles Babbage'] }, owner);
+        assert.equal(wrong.body.correct, false);
+        assert.equal(wrong.body.handover.attemptsLeft, 4);
+        const right = await api('POST', `/api/handovers/${lostId}/answers`, { answers: ['  ada LOVELACE! '] }, owner);
+        assert.equal(right.body.correct, true);
+        assert.equal(right.body.handover.status, 'answered');
+
+        // Right answers only reach the finder; they confirm the owner against the item.
+        assert.equal((await api('POST', `/api/handovers/${lostId}/messages`, { text: 'Hello' }, owner)).status, 409);
+        assert.equal((await api('POST', `/api/handovers/${lostId}/verify`, {}, owner)).status, 403);
+        const answered = await api('GET', `/api/handovers/${lostId}`, undefined, finder);
+        assert.deepEqual(answered.body.handover.answers, ['ada LOVELACE!']);
+        const verified = await api('POST', `/api/handovers/${lostId}/verify`, {}, finder);
+        assert.equal(verified.status, 200, JSON.stringify(verified.body));
+        assert.equal(verified.body.handover.status, 'verified');
+        assert.equal(verified.body.handover.verifiedBy, 'answers');
+
+        const message = await api('POST', `/api/handovers/${lostId}/messages`, { text: 'Main gate at 5pm?' }, finder);
+        assert.deepEqual(message.body.handover.messages.map(entry => entry.text), ['Main gate at 5pm?']);
+        const done = await api('POST', `/api/handovers/${lostId}/complete`, {}, finder);
+        assert.equal(done.body.handover.status, 'handed-over');
+
+        assert.equal((await api('GET', `/api/items/${lostId}`)).body.item.handoverStatus, 'handed-over');
+        const inbox = await api('GET', '/api/notifications', undefined, owner);
+        assert.ok(inbox.body.notifications.some(notification => notification.event === 'handover.verified'));
+    });
+
+    it('flags a repeated report and keeps it, and blocked reporters, out of matching and listings', async () => {
+        const [, bob, carol] = chain.reporters;
+        const { blocklist } = await server.storesReady;
+        const title = 'Grey laptop sleeve';
+        const firstCid = await uploadReport({ colour: 'grey', category: 'bag' });
+        const firstId = await reportItem(chain.contract, carol, { isLost: true, title, description: 'Left it on the number 7 bus.', cid: firstCid });
+        const repeatCid = await uploadReport({ colour: 'grey', category: 'bag' });
+        const repeatId = await reportItem(chain.contract, carol, { isLost: true, title, description: 'Left it on the number 7 bus!', cid: repeatCid });
+
+        const repeat = await waitFor(async () => {
+            const { body } = await api('GET', `/api/items/${repeatId}`);
+            return body.item && body.item.duplicateOf && body.item;
+        }, { what: 'the repeated report to be flagged' });
+        assert.equal(repeat.duplicateOf, firstId);
+        assert.equal((await api('GET', `/api/items/${firstId}`)).body.item.duplicateOf, null);
+
+        const foundCid = await uploadReport({ colour: 'grey', category: 'bag' });
+        const foundId = await reportItem(chain.contract, bob, { isLost: false, title, description: 'Found it.', cid: foundCid });
+        await waitForMatch(firstId, foundId);
+        const candidates = await api('GET', `/api/items/${repeatId}/candidates`);
+        assert.deepEqual(candidates.body.candidates, []);
+        assert.equal((await api('GET', `/api/items/${repeatId}`)).body.item.matchedId, 0);
+
+        blocklist.block(carol.address, { reason: 'Spam', blockedBy: 'moderator@example.com' });
+        const listed = await api('GET', `/api/items?reporter=${carol.address}`);
+        assert.deepEqual(listed.body.items, []);
+        assert.equal((await api('GET', `/api/items/${firstId}`)).status, 404);
+        blocklist.unblock(carol.address);
+        assert.equal((await api('GET', `/api/items?reporter=${carol.address}`)).body.items.length, 2);
+    });
+
+    it('rolls back items from blocks that were reorganised away', async () => {
+        const { itemIndex } = await server.storesReady;
+        const [alice] = chain.reporters;
+        const cid = await uploadReport({ colour: 'black', category: 'phone' });
+
+        const snapshot = await chain.snapshot();
+        const itemId = await reportItem(chain.contract, alice, { isLost: true, title: 'Black phone', description: 'Lost it.', cid });
+        await waitFor(() => itemIndex.getItem(itemId), { what: 'the phone to be indexed' });
+
+        // Replace the block holding the report with a longer chain that doesn't have it.
+        await chain.revert(snapshot);
+        await chain.mine(3);
+        await waitFor(() => !itemIndex.getItem(itemId), { what: 'the phone to be rolled back' });
+
+        const status = await waitFor(() => {
+            const current = itemIndex.getSyncStatus();
+            return current.lagBlocks === 0 && current;
+        }, { what: 'the index to catch up' });
+        assert.equal(status.reorgCount, 1);
+        assert.deepEqual(status.lastReorg.removedItemIds, [itemId]);
+        assert.equal(typeof status.lagSeconds, 'number');
+        assert.equal((await api('GET', `/api/items/${itemId}`)).status, 404);
+    });
+
+    it('shows contact preferences only to their own signed-in wallet', async () => {
+        const [alice, , carol] = chain.reporters;
+        const input = { address: carol.address, email: 'carol@example.org', webhookUrl: null, events: ['match.recorded'] };
+        const { body: { message, issuedAt } } = await api('POST', '/api/notifications/preferences/message', input);
+        const saved = await api('PUT', '/api/notifications/preferences', { ...input, issuedAt, signature: await carol.signMessage(message) });
+        assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+        const lookup = `/api/notifications/preferences?address=${carol.address}`;
+        const anonymous = await api('GET', lookup);
+        assert.deepEqual(anonymous.body.preferences, { address: saved.body.preferences.address, configured: true });
+        const someoneElse = await api('GET', lookup, undefined, { cookie: await signIn(alice) });
+        assert.deepEqual(someoneElse.body.preferences, anonymous.body.preferences);
+        const owner = await api('GET', lookup, undefined, { cookie: await signIn(carol) });
+        assert.equal(owner.body.preferences.email, 'c***@example.org');
+    });
+
+    it('rejects a repeated search query instead of failing on it', async () => {
+        const repeated = await api('GET', '/api/items?q=wallet&q=bag');
+        assert.equal(repeated.status, 400);
+        assert.match(repeated.body.error, /q must be a single search string/);
+        assert.equal((await api('GET', '/api/items?q=wallet')).status, 200);
+    });
+
+    it('serves only files pinned through it or named by an item', async () => {
+        const [pinnedCid] = [...stubs.pinata.pins.keys()];
+        assert.equal((await fetch(`${baseUrl}/api/files/${pinnedCid}`)).status, 200);
+
+        // Reachable through the gateway, but nothing here refers to it.
+        const strangerCid = `bafkrei${'a'.repeat(52)}`;
+        stubs.pinata.pins.set(strangerCid, Buffer.alloc(1024));
+        assert.equal((await api('GET', `/api/files/${strangerCid}`)).status, 404);
+        stubs.pinata.pins.delete(strangerCid);
+    });
+
+    it('rejects uploads that are not images before storing anything', async () => {
+        const pinsBefore = stubs.pinata.pins.size;
+        const form = new FormData();
+        form.append('file', new Blob([Buffer.from('not an image')], { type: 'image/png' }), 'fake.png');
+        const { status } = await api('POST', '/api/pin-image', form);
+        assert.equal(status, 415);
+        assert.equal(stubs.pinata.pins.size, pinsBefore);
+    });
+});
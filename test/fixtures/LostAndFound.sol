@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// Reference implementation of the DL&F contract interface (src/contract.js), used by the
+/// end-to-end tests. Item IDs start at 1; slot 0 is a placeholder so getItemCount() - 1
+/// is the number of items and matchedItem(id) == 0 means "not matched".
+contract LostAndFound {
+    struct Item {
+        uint256 id;
+        address reporter;
+        bool isLost;
+        string title;
+        string description;
+        string ipfsCid;
+    }
+
+    address public immutable matchingEngine;
+    Item[] private items;
+    mapping(uint256 => uint256) public matchedItem;
+
+    event ItemReported(uint256 indexed itemId, address indexed reporter, bool isLost, string title, string ipfsCid);
+    event MatchFound(uint256 indexed itemId1, uint256 indexed itemId2);
+
+    constructor(address _matchingEngine) {
+        matchingEngine = _matchingEngine;
+        items.push();
+    }
+
+    function reportLost(string memory _title, string memory _description, string memory _ipfsCid) public {
+        _report(true, _title, _description, _ipfsCid);
+    }
+
+    function reportFound(string memory _title, string memory _description, string memory _ipfsCid) public {
+        _report(false, _title, _description, _ipfsCid);
+    }
+
+    function recordMatch(uint256 lostId, uint256 foundId) external {
+        require(msg.sender == matchingEngine, "Only the matching engine can record matches");
+        require(lostId > 0 && lostId < items.length && foundId > 0 && foundId < items.length, "Unknown item");
+        require(items[lostId].isLost && !items[foundId].isLost, "Need one lost and one found item");
+        require(matchedItem[lostId] == 0 && matchedItem[foundId] == 0, "Item already matched");
+        matchedItem[lostId] = foundId;
+        matchedItem[foundId] = lostId;
+        emit MatchFound(lostId, foundId);
+    }
+
+    function getItemCount() public view returns (uint256) {
+        return items.length;
+    }
+
+    function getItem(uint256 _itemId) public view returns (
+        uint256 id,
+        address reporter,
+        bool isLost,
+        string memory title,
+        string memory description,
+        string memory ipfsCid
+    ) {
+        require(_itemId > 0 && _itemId < items.length, "Unknown item");
+        Item storage item = items[_itemId];
+        return (item.id, item.reporter, item.isLost, item.title, item.description, item.ipfsCid);
+    }
+
+    function _report(bool isLost, string memory _title, string memory _description, string memory _ipfsCid) private {
+        uint256 id = items.length;
+        items.push(Item(id, msg.sender, isLost, _title, _description, _ipfsCid));
+        emit ItemReported(id, msg.sender, isLost, _title, _ipfsCid);
+    }
+}
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/db');
+const { createHandoverStore } = require('../src/handover');
+
+const OWNER = '0x00000000000000000000000000000000000000a1';
+const FINDER = '0x00000000000000000000000000000000000000b2';
+
+function item(itemId, reporter, isLost) {
+    return { itemId, reporter, isLost, ipfsCid: `bafkreiitem${itemId}aaaaaaaaaaaaaaaa`, matchedId: 0 };
+}
+
+describe('handovers', () => {
+    let handovers;
+
+    beforeEach(async () => {
+        handovers = createHandoverStore({ db: await openDatabase(':memory:') });
+    });
+
+    it('refuses a claim when the same wallet reported both items', () => {
+        // Addresses are compared whatever their checksum casing.
+        assert.throws(() => handovers.claim(item(1, OWNER, true), item(2, '0x00000000000000000000000000000000000000A1', false)), { statusCode: 409 });
+        assert.equal(handovers.getHandover(1), null);
+        assert.equal(handovers.claim(item(1, OWNER, true), item(2, FINDER, false)).status, 'claimed');
+    });
+
+    it('leaves it to the finder to confirm the owner after right answers', () => {
+        const lost = item(1, OWNER, true);
+        handovers.saveVerification(lost.ipfsCid, OWNER, [{ question: 'What is engraved on the back?', answer: 'To M, love J' }]);
+        handovers.claim(lost, item(2, FINDER, false));
+        assert.throws(() => handovers.verify(1), { statusCode: 409 });
+
+        const { correct, handover } = handovers.submitAnswers(1, [' to m love j ']);
+        assert.equal(correct, true);
+        assert.equal(handover.status, 'answered');
+        assert.deepEqual(handover.answers, ['to m love j']);
+        assert.deepEqual(handover.messages, []);
+
+        const verified = handovers.verify(1);
+        assert.equal(verified.status, 'verified');
+        assert.equal(verified.verifiedBy, 'answers');
+    });
+
+    it('fails a claim whose answers the finder rejects, until a moderator reopens it', () => {
+        const lost = item(1, OWNER, true);
+        handovers.saveVerification(lost.ipfsCid, OWNER, [{ question: 'What brand is it?', answer: 'Casio' }]);
+        handovers.claim(lost, item(2, FINDER, false));
+        assert.throws(() => handovers.reject(1), { statusCode: 409 });
+        handovers.submitAnswers(1, ['Casio']);
+
+        assert.equal(handovers.reject(1).status, 'failed');
+        assert.throws(() => handovers.verify(1), { statusCode: 409 });
+        const reopened = handovers.reopen(1);
+        assert.equal(reopened.status, 'claimed');
+        assert.deepEqual(reopened.answers, []);
+    });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const ganache = require('ganache');
+const solc = require('solc');
+const { ethers } = require('ethers');
+
+const CHAIN_ID = 31337;
+const CONTRACT_SOURCE = path.join(__dirname, '..', 'fixtures', 'LostAndFound.sol');
+
+let compiled = null;
+
+// Compiles the reference contract once per process; solc-js takes a few seconds.
+function compileContract() {
+    if (compiled) return compiled;
+    const input = {
+        language: 'Solidity',
+        sources: { 'LostAndFound.sol': { content: fs.readFileSync(CONTRACT_SOURCE, 'utf8') } },
+        settings: { evmVersion: 'paris', outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`LostAndFound.sol failed to compile:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+    const { abi, evm } = output.contracts['LostAndFound.sol'].LostAndFound;
+    compiled = { abi, bytecode: evm.bytecode.object };
+    return compiled;
+}
+
+/**
+ * Starts an in-process chain, funds a deployer, the matching engine and
+ * `reporterCount` reporters, and deploys the reference contract with the
+ * engine as the only account allowed to record matches.
+ *
+ * `connect()` returns a new ethers provider on the same chain each call, which
+ * is what the app's `createProvider` hook needs to survive a provider reset.
+ * `snapshot()`, `revert(id)` and `mine(blocks)` simulate a chain reorganisation.
+ * `deployContract(engineAddress)` deploys another copy, as a second venue would.
+ */
+async function startChain({ reporterCount = 2 } = {}) {
+    const { abi, bytecode } = compileContract();
+    const [deployerKey, engineKey, ...reporterKeys] = Array.from(
+        { length: reporterCount + 2 },
+        () => ethers.Wallet.createRandom()
+    );
+    const eip1193 = ganache.provider({
+        logging: { quiet: true },
+        chain: { chainId: CHAIN_ID },
+        wallet: {
+            accounts: [deployerKey, engineKey, ...reporterKeys].map(wallet => ({
+                secretKey: wallet.privateKey,
+                balance: ethers.toQuantity(ethers.parseEther('100'))
+            }))
+        }
+    });
+
+    const connect = () => new ethers.BrowserProvider(eip1193, CHAIN_ID, { pollingInterval: 100 });
+    const provider = connect();
+    const deployer = deployerKey.connect(provider);
+    const factory = new ethers.ContractFactory(abi, bytecode, deployer);
+    const contract = await factory.deploy(engineKey.address);
+    await contract.waitForDeployment();
+
+    return {
+        chainId: CHAIN_ID,
+        contract,
+        contractAddress: await contract.getAddress(),
+        engineKey: engineKey.privateKey,
+        reporters: reporterKeys.map(wallet => wallet.connect(provider)),
+        connect,
+        async deployContract(engineAddress) {
+            const another = await factory.deploy(engineAddress);
+            await another.waitForDeployment();
+            return another;
+        },
+        snapshot: () => eip1193.request({ method: 'evm_snapshot', params: [] }),
+        revert: id => eip1193.request({ method: 'evm_revert', params: [id] }),
+        async mine(blocks = 1) {
+            for (let i = 0; i < blocks; i++) {
+                await eip1193.request({ method: 'evm_mine', params: [] });
+            }
+        },
+        async stop() {
+            provider.destroy();
+            await eip1193.disconnect();
+        }
+    };
+}
+
+// Reports an item as `reporter` and resolves to its on-chain item ID.
+async function reportItem(contract, reporter, { isLost, title, description, cid }) {
+    const connected = contract.connect(reporter);
+    const tx = isLost
+        ? await connected.reportLost(title, description, cid)
+        : await connected.reportFound(title, description, cid);
+    const receipt = await tx.wait();
+    const reported = receipt.logs
+        .map(log => contract.interface.parseLog(log))
+        .find(event => event && event.name === 'ItemReported');
+    return Number(reported.args.itemId);
+}
+
+module.exports = { startChain, reportItem, compileContract, CHAIN_ID };
@@ -0,0 +1,139 @@
+const http = require('http');
+const { computeCid } = require('../../src/storage/local');
+
+/**
+ * One local HTTP server standing in for the three external APIs the backend uses:
+ *  - Pinata:  POST /pinning/pinFileToIPFS (checks the API key headers);
+ *  - IPFS:    GET /ipfs/:cid, serving whatever was pinned;
+ *  - Gemini:  POST /v1beta/models/<model>:generateContent (checks the API key).
+ *
+ * The Gemini stub reads the lost and found items back out of the matcher's prompt
+ * and answers with `gemini.respond({ lost, found })`, which tests can replace.
+ * By default identical titles score 97 and anything else 40. `respond` returns
+ * the candidates list, which is sent as `{ lostId, candidates }`, or a whole
+ * response object, to stand in for a model that answers something else.
+ */
+
+// Pulls the LOST item and FOUND items back out of the data blocks in createSingleMatchPrompt's text.
+// Items keep their prompt fields (`id`, `title`, `description`, ...). Markers stand on lines of
+// their own, and the first one precedes any reporter text.
+function parsePrompt(text) {
+    const marker = /^<<<ITEM DATA (\w+)>>>$/m.exec(text);
+    if (!marker) return { lost: undefined, found: [] };
+    const open = `\n${marker[0]}\n`;
+    const close = `\n<<<END ITEM DATA ${marker[1]}>>>\n`;
+    const blocks = [];
+    let from = text.indexOf(open);
+    while (from !== -1) {
+        const to = text.indexOf(close, from);
+        blocks.push(text.slice(from + open.length, to).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+        from = text.indexOf(open, to);
+    }
+    return { lost: blocks[0][0], found: blocks[1] || [] };
+}
+
+function defaultRespond({ lost, found }) {
+    return found.map(item => {
+        const same = item.title.toLowerCase() === lost.title.toLowerCase();
+        return {
+            foundId: item.id,
+            confidence: same ? 97 : 40,
+            matchedFeatures: same ? ['title', 'image'] : [],
+            rationale: same ? 'Same item.' : 'Only loosely similar.'
+        };
+    });
+}
+
+// Returns the bytes of the multipart field named `file`.
+function readMultipartFile(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!boundary) return null;
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const headerEnd = body.indexOf('\r\n\r\n', start);
+        const next = body.indexOf(delimiter, headerEnd);
+        if (headerEnd === -1 || next === -1) return null;
+        const headers = body.slice(start, headerEnd).toString();
+        if (/name="file"/.test(headers)) {
+            // The part ends with CRLF before the next delimiter.
+            return body.slice(headerEnd + 4, next - 2);
+        }
+        start = next;
+    }
+    return null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function startStubServer({ pinataApiKey, pinataSecretApiKey, geminiApiKey }) {
+    const pinata = { pins: new Map(), requests: 0 };
+    const gemini = { requests: [], respond: defaultRespond };
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        const url = new URL(req.url, 'http://stub');
+
+        if (req.method === 'POST' && url.pathname === '/pinning/pinFileToIPFS') {
+            pinata.requests++;
+            if (req.headers.pinata_api_key !== pinataApiKey || req.headers.pinata_secret_api_key !== pinataSecretApiKey) {
+                return sendJson(res, 401, { error: 'Invalid Pinata credentials.' });
+            }
+            const file = readMultipartFile(body, req.headers['content-type'] || '');
+            if (!file) return sendJson(res, 400, { error: 'No file.' });
+            const cid = computeCid(file);
+            pinata.pins.set(cid, file);
+            return sendJson(res, 200, { IpfsHash: cid, PinSize: file.length, Timestamp: new Date().toISOString() });
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/ipfs/')) {
+            const data = pinata.pins.get(url.pathname.slice('/ipfs/'.length));
+            if (!data) return sendJson(res, 404, { error: 'Not pinned.' });
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            return res.end(data);
+        }
+
+        if (req.method === 'POST' && url.pathname.endsWith(':generateContent')) {
+            if (req.headers['x-goog-api-key'] !== geminiApiKey) {
+                return sendJson(res, 403, { error: { code: 403, message: 'API key not valid.', status: 'PERMISSION_DENIED' } });
+            }
+            const request = JSON.parse(body.toString());
+            const parts = request.contents[0].parts;
+            const prompt = parsePrompt(parts[0].text);
+            gemini.requests.push({ ...prompt, images: parts.filter(part => part.inlineData).length });
+            const result = await gemini.respond(prompt);
+            const answer = Array.isArray(result) ? { lostId: prompt.lost.id, candidates: result } : result;
+            return sendJson(res, 200, {
+                candidates: [{
+                    content: { role: 'model', parts: [{ text: JSON.stringify(answer) }] },
+                    finishReason: 'STOP',
+                    index: 0
+                }]
+            });
+        }
+
+        sendJson(res, 404, { error: `No stub for ${req.method} ${url.pathname}.` });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        pinata,
+        gemini,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+module.exports = { startStubServer, parsePrompt, defaultRespond };
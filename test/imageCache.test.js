@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImageCache } = require('../src/imageCache');
+
+const CIDS = ['bafkreiaaaaaaaaaaaaaaaaaaaa', 'bafkreibbbbbbbbbbbbbbbbbbbb', 'bafkreicccccccccccccccccccc'];
+
+describe('image cache', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlf-image-cache-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('evicts the least recently used files past its size limit, across restarts', async () => {
+        const fetched = [];
+        const fetchOriginal = async cid => {
+            fetched.push(cid);
+            return Buffer.alloc(400, cid);
+        };
+        const cache = createImageCache({ cacheDir: dir, fetchOriginal, maxBytes: 1000 });
+        const original = cid => path.join(dir, 'original', cid);
+
+        await cache.getOriginal(CIDS[0]);
+        await cache.getOriginal(CIDS[1]);
+        // Reading the first again leaves the second as the least recently used.
+        await cache.getOriginal(CIDS[0]);
+        await cache.getOriginal(CIDS[2]);
+        assert.deepEqual(fetched, [CIDS[0], CIDS[1], CIDS[2]]);
+        assert.ok(fs.existsSync(original(CIDS[0])));
+        assert.ok(!fs.existsSync(original(CIDS[1])));
+        assert.equal(cache.getStats().evictions, 1);
+
+        // A new instance picks the order up from the files on disk.
+        const restarted = createImageCache({ cacheDir: dir, fetchOriginal, maxBytes: 1000 });
+        await restarted.getOriginal(CIDS[1]);
+        assert.ok(!fs.existsSync(original(CIDS[0])));
+        assert.ok(fs.existsSync(original(CIDS[2])));
+    });
+});
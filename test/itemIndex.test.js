@@ -0,0 +1,152 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/db');
+const { createItemIndex } = require('../src/itemIndex');
+
+const REPORTER = '0x00000000000000000000000000000000000000a1';
+
+/**
+ * A chain that only knows what the item index reads: block hashes, the
+ * contract's items and matches at a block, and its two events. Each block
+ * holds `reports` ({ title, isLost }) and `matches` ([lostId, foundId]).
+ * fork(n) drops the blocks after n, and blocks mined after it get new hashes.
+ */
+function createFakeChain() {
+    let branch = 'a';
+    const blocks = [{ hash: '0xa-0', reports: [], matches: [] }];
+
+    function mine({ reports = [], matches = [] } = {}) {
+        blocks.push({ hash: `0x${branch}-${blocks.length}`, reports, matches });
+    }
+
+    function fork(blockNumber, name) {
+        blocks.length = blockNumber + 1;
+        branch = name;
+        if (blockNumber < 0) blocks.push({ hash: `0x${branch}-0`, reports: [], matches: [] });
+    }
+
+    // Items and matches as of `blockTag`, with the block each event is in.
+    function stateAt(blockTag = blocks.length - 1) {
+        const items = [null];
+        const matched = new Map();
+        const events = [];
+        blocks.slice(0, blockTag + 1).forEach((block, blockNumber) => {
+            block.reports.forEach(({ title, isLost }) => {
+                const itemId = items.length;
+                items.push([itemId, REPORTER, isLost, title, `${title}, reported in block ${blockNumber}`, `bafkreiitem${itemId}`]);
+                events.push({ name: 'ItemReported', args: { itemId }, blockNumber, index: events.length });
+            });
+            block.matches.forEach(([itemId1, itemId2]) => {
+                matched.set(itemId1, itemId2);
+                matched.set(itemId2, itemId1);
+                events.push({ name: 'MatchFound', args: { itemId1, itemId2 }, blockNumber, index: events.length });
+            });
+        });
+        return { items, matched, events };
+    }
+
+    const provider = {
+        getBlockNumber: async () => blocks.length - 1,
+        getBlock: async blockNumber => blocks[blockNumber]
+            ? { hash: blocks[blockNumber].hash, timestamp: 1700000000 + blockNumber }
+            : null
+    };
+
+    const contract = {
+        runner: { provider },
+        getAddress: async () => '0x0000000000000000000000000000000000000001',
+        filters: { ItemReported: () => 'ItemReported', MatchFound: () => 'MatchFound' },
+        getItemCount: async ({ blockTag }) => stateAt(blockTag).items.length,
+        getItem: async (itemId, { blockTag }) => stateAt(blockTag).items[itemId],
+        matchedItem: async (itemId, { blockTag }) => stateAt(blockTag).matched.get(itemId) || 0,
+        queryFilter: async (name, fromBlock, toBlock) => stateAt(toBlock).events
+            .filter(event => event.name === name && event.blockNumber >= fromBlock)
+            .map(event => ({
+                ...event,
+                fragment: { name: event.name },
+                transactionHash: `0xtx-${blocks[event.blockNumber].hash}-${event.index}`,
+                blockHash: blocks[event.blockNumber].hash
+            }))
+    };
+
+    return { mine, fork, contract };
+}
+
+describe('item index', () => {
+    let chain;
+    let index;
+    let changes;
+
+    beforeEach(async () => {
+        chain = createFakeChain();
+        changes = [];
+        index = createItemIndex({
+            db: await openDatabase(':memory:'),
+            log: () => {},
+            onChange: (type, change) => changes.push([type, change])
+        });
+        await index.sync(chain.contract);
+    });
+
+    const titles = () => index.allItems().map(item => `${item.itemId}:${item.title}:${item.matchedId}`);
+
+    it('rolls back a multi-block fork to the last shared block and reads the new branch', async () => {
+        chain.mine({ reports: [{ title: 'Red bag', isLost: true }, { title: 'Red bag', isLost: false }] }); // block 1: items 1 and 2
+        chain.mine({ reports: [{ title: 'Blue hat', isLost: true }] }); // block 2: item 3
+        chain.mine({ reports: [{ title: 'Blue hat', isLost: false }] }); // block 3: item 4
+        chain.mine({ matches: [[1, 2]] }); // block 4
+        chain.mine({ matches: [[3, 4]] }); // block 5
+        await index.sync(chain.contract);
+        assert.deepEqual(titles(), ['1:Red bag:2', '2:Red bag:1', '3:Blue hat:4', '4:Blue hat:3']);
+
+        // Blocks 3 to 5 are replaced by a shorter branch with a different item 4.
+        chain.fork(2, 'b');
+        chain.mine({ reports: [{ title: 'Green scarf', isLost: false }] }); // block 3: item 4
+        changes = [];
+        await index.sync(chain.contract);
+
+        const [reorg] = changes.filter(([type]) => type === 'reorg').map(([, change]) => change);
+        assert.equal(reorg.forkBlock, 2);
+        assert.equal(reorg.depth, 3);
+        assert.deepEqual(reorg.removedItemIds, [4]);
+        // Items 1 to 3 were reported before the fork, so they stay, unmatched.
+        assert.deepEqual(reorg.unmatchedItemIds.sort((a, b) => a - b), [1, 2, 3]);
+        assert.deepEqual(titles(), ['1:Red bag:0', '2:Red bag:0', '3:Blue hat:0', '4:Green scarf:0']);
+        assert.ok(changes.some(([type, change]) => type === 'reported' && change.itemId === 4 && change.blockNumber === 3));
+
+        const status = index.getSyncStatus();
+        assert.equal(status.lastBlock, 3);
+        assert.equal(status.reorgCount, 1);
+    });
+
+    it('rolls back to the last stored block when the shared blocks after it were never stored', async () => {
+        chain.mine({ reports: [{ title: 'Black umbrella', isLost: true }] }); // block 1: item 1
+        await index.sync(chain.contract);
+        chain.mine(); // block 2
+        chain.mine(); // block 3
+        await index.sync(chain.contract);
+
+        chain.fork(2, 'b');
+        chain.mine({ reports: [{ title: 'Black umbrella', isLost: false }] }); // block 3: item 2
+        await index.sync(chain.contract);
+
+        // Block 2 was never stored, so the fork is found at block 1, the last hash known to match.
+        assert.equal(index.getSyncStatus().lastReorg.forkBlock, 1);
+        assert.deepEqual(index.getSyncStatus().lastReorg.removedItemIds, []);
+        assert.deepEqual(titles(), ['1:Black umbrella:0', '2:Black umbrella:0']);
+    });
+
+    it('rebuilds from scratch when no stored block is left on the chain', async () => {
+        chain.mine({ reports: [{ title: 'Grey laptop', isLost: true }] });
+        chain.mine({ reports: [{ title: 'Grey laptop', isLost: false }], matches: [[1, 2]] });
+        await index.sync(chain.contract);
+        assert.deepEqual(titles(), ['1:Grey laptop:2', '2:Grey laptop:1']);
+
+        chain.fork(-1, 'b');
+        chain.mine({ reports: [{ title: 'White cup', isLost: true }] });
+        await index.sync(chain.contract);
+
+        assert.deepEqual(titles(), ['1:White cup:0']);
+        assert.equal(index.getSyncStatus().lastBlock, 1);
+    });
+});
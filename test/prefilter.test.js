@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPrefilter, distanceKm } = require('../src/matchers/prefilter');
+
+const LOST_AT = '2026-05-01T14:00:00.000Z';
+
+function metadata(overrides = {}) {
+    return {
+        category: 'bag',
+        location: { label: 'Main stage', lat: 6.45, lng: 3.39 },
+        occurredAt: LOST_AT,
+        ...overrides
+    };
+}
+
+function hoursAfterLoss(hours) {
+    return new Date(Date.parse(LOST_AT) + hours * 60 * 60 * 1000).toISOString();
+}
+
+// The reason the pre-filter gives for turning `found` away from `lost`, or null if the pair is kept.
+function reasonFor(lost, found, options) {
+    const { kept, rejected } = createPrefilter(options).filter({ metadata: lost }, [{ itemId: 2, metadata: found }]);
+    assert.equal(kept.length + rejected.length, 1);
+    return rejected.length ? rejected[0].reason : null;
+}
+
+describe('match pre-filter', () => {
+    it('measures great-circle distance', () => {
+        // A degree of latitude is about 111.2 km anywhere on Earth.
+        assert.ok(Math.abs(distanceKm({ lat: 0, lng: 10 }, { lat: 1, lng: 10 }) - 111.2) < 0.1);
+        assert.equal(distanceKm({ lat: 6.45, lng: 3.39 }, { lat: 6.45, lng: 3.39 }), 0);
+    });
+
+    it('turns away other categories, unless either side is "other"', () => {
+        assert.match(reasonFor(metadata(), metadata({ category: 'phone' })), /category 'phone' differs from 'bag'/);
+        assert.equal(reasonFor(metadata(), metadata({ category: 'other' })), null);
+        assert.equal(reasonFor(metadata({ category: 'other' }), metadata({ category: 'phone' })), null);
+        assert.equal(reasonFor(metadata(), metadata({ category: 'phone' }), { requireSameCategory: false }), null);
+    });
+
+    it('keeps found items within the time window, allowing for reports entered a little early', () => {
+        assert.equal(reasonFor(metadata(), metadata({ occurredAt: hoursAfterLoss(-23) })), null);
+        assert.match(reasonFor(metadata(), metadata({ occurredAt: hoursAfterLoss(-25) })), /before it was lost/);
+        assert.equal(reasonFor(metadata(), metadata({ occurredAt: hoursAfterLoss(89 * 24) })), null);
+        assert.match(reasonFor(metadata(), metadata({ occurredAt: hoursAfterLoss(91 * 24) })), /91 days after it was lost \(limit 90\)/);
+        assert.equal(reasonFor(metadata(), metadata({ occurredAt: hoursAfterLoss(365 * 24) }), { maxDaysAfterLost: 0 }), null);
+    });
+
+    it('turns away found items further than the distance limit', () => {
+        const nearby = { label: 'Gate B', lat: 6.6, lng: 3.39 };
+        const farAway = { label: 'Another city', lat: 7.45, lng: 3.39 };
+        assert.equal(reasonFor(metadata(), metadata({ location: nearby })), null);
+        assert.match(reasonFor(metadata(), metadata({ location: farAway })), /found 111\.2 km away \(limit 50 km\)/);
+        assert.equal(reasonFor(metadata(), metadata({ location: farAway }), { maxDistanceKm: 200 }), null);
+        assert.equal(reasonFor(metadata(), metadata({ location: farAway }), { maxDistanceKm: 0 }), null);
+    });
+
+    it('lets a pair through when either side lacks the field a rule needs', () => {
+        const farAway = metadata({ category: 'phone', location: { label: 'Another city', lat: 7.45, lng: 3.39 }, occurredAt: hoursAfterLoss(-100) });
+        assert.match(reasonFor(metadata(), farAway), /category/);
+        assert.equal(reasonFor(metadata({ category: null, location: { label: 'Somewhere', lat: null, lng: null }, occurredAt: null }), farAway), null);
+        assert.equal(reasonFor(metadata({ category: null, location: null, occurredAt: null }), farAway), null);
+        // Items reported before metadata documents existed have none at all.
+        assert.equal(reasonFor(null, farAway), null);
+        assert.equal(reasonFor(metadata(), undefined), null);
+    });
+
+    it('splits the found items into kept and rejected, in order', () => {
+        const prefilter = createPrefilter();
+        const found = [
+            { itemId: 2, metadata: metadata() },
+            { itemId: 3, metadata: metadata({ category: 'phone' }) },
+            { itemId: 4, metadata: null },
+            { itemId: 5, metadata: metadata({ occurredAt: hoursAfterLoss(-48) }) }
+        ];
+        const { kept, rejected } = prefilter.filter({ metadata: metadata() }, found);
+        assert.deepEqual(kept.map(item => item.itemId), [2, 4]);
+        assert.deepEqual(rejected.map(({ item }) => item.itemId), [3, 5]);
+    });
+});
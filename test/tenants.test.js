@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTenantConfigs, ConfigError } = require('../src/config');
+const { createTenantHost } = require('../src/tenantHost');
+const { startChain, reportItem } = require('./helpers/chain');
+
+// Polls `check` until it returns something truthy.
+async function waitFor(check, { timeoutMs = 20000, intervalMs = 100, what = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    throw new Error(`Timed out waiting for ${what}.`);
+}
+
+function writeRegistry(dir, tenants) {
+    const file = path.join(dir, 'tenants.json');
+    fs.writeFileSync(file, JSON.stringify({ tenants }));
+    return file;
+}
+
+describe('tenant registry', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlf-registry-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists every problem in every tenant', () => {
+        const settings = { NETWORK: 'local', CONTRACT_ADDRESS: '0x0000000000000000000000000000000000000001', MATCHER: 'local', STORAGE_PROVIDER: 'local' };
+        const file = writeRegistry(dir, [
+            { id: 'campus', settings: { ...settings, MATCHING_ENGINE_PRIVATE_KEY: '${CAMPUS_ENGINE_KEY}', PORT: '4000' } },
+            { id: 'campus', settings },
+            { id: 'Not An Id', settings }
+        ]);
+        assert.throws(() => loadTenantConfigs({ TENANTS_FILE: file, SESSION_SECRET: 'test-session-secret' }, { baseDir: dir }), error => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepEqual(error.problems, [
+                "Tenant 'campus': MATCHING_ENGINE_PRIVATE_KEY refers to CAMPUS_ENGINE_KEY, which is not set.",
+                "Tenant 'campus': PORT applies to the whole server and can't be set per tenant.",
+                "Tenant 'campus': MATCHING_ENGINE_PRIVATE_KEY is required.",
+                "Tenant 'campus' is listed twice.",
+                'Tenant \'Not An Id\': "id" must be 1-32 lowercase letters, digits or dashes.'
+            ]);
+            return true;
+        });
+    });
+});
+
+describe('one server, several venues', () => {
+    let chain;
+    let host;
+    let baseUrl;
+    let dataDir;
+    let contractB;
+
+    async function api(urlPath, { method = 'GET' } = {}) {
+        const response = await fetch(`${baseUrl}${urlPath}`, { method, redirect: 'manual' });
+        const type = response.headers.get('content-type') || '';
+        return { status: response.status, headers: response.headers, body: type.includes('json') ? await response.json() : await response.text() };
+    }
+
+    before(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlf-tenants-'));
+        chain = await startChain({ reporterCount: 5 });
+        // The second venue has its own contract and its own engine wallet.
+        const engineB = chain.reporters[4];
+        contractB = await chain.deployContract(engineB.address);
+
+        const shared = { NETWORK: 'local', MATCHER: 'local', STORAGE_PROVIDER: 'local', CHAIN_POLL_INTERVAL_SECONDS: '0.2' };
+        const file = writeRegistry(dataDir, [
+            {
+                id: 'campus',
+                name: 'Campus',
+                settings: { ...shared, CONTRACT_ADDRESS: chain.contractAddress, MATCHING_ENGINE_PRIVATE_KEY: '${CAMPUS_ENGINE_KEY}', MATCH_MODE: 'auto', MATCH_CONFIDENCE_THRESHOLD: '50' }
+            },
+            {
+                id: 'festival',
+                name: 'Summer Festival',
+                settings: { ...shared, CONTRACT_ADDRESS: await contractB.getAddress(), MATCHING_ENGINE_PRIVATE_KEY: engineB.privateKey, MATCH_MODE: 'review' }
+            }
+        ]);
+        const tenants = loadTenantConfigs({
+            TENANTS_FILE: file,
+            DATA_DIR: dataDir,
+            SESSION_SECRET: 'test-session-secret',
+            CAMPUS_ENGINE_KEY: chain.engineKey,
+            RATE_LIMIT_API_MAX: '0',
+            RATE_LIMIT_UPLOAD_MAX: '2'
+        }, { baseDir: dataDir });
+
+        host = createTenantHost({
+            tenants,
+            createProvider: () => chain.connect(),
+            log: () => {},
+            timers: {
+                engineIntervalMs: 60 * 60 * 1000,
+                txCheckIntervalMs: 100,
+                deliveryIntervalMs: 60 * 60 * 1000,
+                providerResetDelayMs: 200
+            }
+        });
+        const httpServer = await host.start({ port: 0 });
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        if (host) await host.stop();
+        if (chain) await chain.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('lists the venues and serves each one its own pages and contract', async () => {
+        const listed = await api('/api/tenants');
+        assert.deepEqual(listed.body.tenants.map(tenant => [tenant.id, tenant.name, tenant.path]), [
+            ['campus', 'Campus', '/t/campus/'],
+            ['festival', 'Summer Festival', '/t/festival/']
+        ]);
+
+        const redirect = await api('/t/campus?x=1');
+        assert.equal(redirect.status, 301);
+        assert.equal(redirect.headers.get('location'), '/t/campus/?x=1');
+        const page = await api('/t/campus/');
+        assert.equal(page.status, 200);
+        assert.match(page.body, /Decentralized Lost & Found/);
+
+        const campus = await api('/api/t/campus/config/public');
+        assert.equal(campus.body.contractAddress, chain.contractAddress);
+        assert.deepEqual(campus.body.tenant, { id: 'campus', name: 'Campus' });
+        const festival = await api('/api/t/festival/config/public');
+        assert.equal(festival.body.contractAddress, await contractB.getAddress());
+
+        assert.equal((await api('/api/t/nowhere/items')).status, 404);
+        assert.equal((await api('/api/t/campus/nothing-here')).status, 404);
+        assert.equal((await api('/api/items')).status, 404);
+    });
+
+    it('indexes and matches each venue on its own contract, in its own match mode', async () => {
+        const [alice, bob, carol, dave] = chain.reporters;
+        const campusLost = await reportItem(chain.contract, alice, { isLost: true, title: 'Black leather wallet', description: 'Black leather wallet with a library card.', cid: '' });
+        const campusFound = await reportItem(chain.contract, bob, { isLost: false, title: 'Black leather wallet', description: 'Black leather wallet with a library card.', cid: '' });
+        const festivalLost = await reportItem(contractB, carol, { isLost: true, title: 'Blue canvas backpack', description: 'Blue canvas backpack with a water bottle.', cid: '' });
+        const festivalFound = await reportItem(contractB, dave, { isLost: false, title: 'Blue canvas backpack', description: 'Blue canvas backpack with a water bottle.', cid: '' });
+
+        // Both contracts number their items from 1, so the same ID means a different item per venue.
+        assert.equal(campusLost, festivalLost);
+        const campusItem = await waitFor(async () => {
+            const { body } = await api(`/api/t/campus/items/${campusLost}`);
+            return body.item && body.item.matchedId === campusFound && body.item;
+        }, { what: 'the campus pair to be matched' });
+        assert.equal(campusItem.title, 'Black leather wallet');
+
+        // The festival moderates its matches, so its pair waits for review instead.
+        const festival = host.getTenant('festival');
+        const { reviewQueue } = await festival.storesReady;
+        await waitFor(
+            () => reviewQueue.listPending().some(proposal => proposal.lostId === festivalLost && proposal.foundId === festivalFound),
+            { what: 'the festival pair to be queued for review' }
+        );
+        const festivalItem = (await api(`/api/t/festival/items/${festivalLost}`)).body.item;
+        assert.equal(festivalItem.title, 'Blue canvas backpack');
+        assert.equal(festivalItem.matchedId, 0);
+        assert.equal(Number(await contractB.matchedItem(festivalLost)), 0);
+    });
+
+    it('counts rate limits across venues, not per venue', async () => {
+        // Rejected as invalid, but counted against the upload limit first.
+        assert.equal((await api('/api/t/campus/item-metadata', { method: 'POST' })).status, 400);
+        assert.equal((await api('/api/t/festival/item-metadata', { method: 'POST' })).status, 400);
+        assert.equal((await api('/api/t/festival/item-metadata', { method: 'POST' })).status, 429);
+    });
+
+    it('reports health and metrics per venue', async () => {
+        const health = await waitFor(async () => {
+            const response = await api('/readyz');
+            return response.status === 200 && response.body;
+        }, { what: 'every venue to be ready' });
+        assert.deepEqual(Object.keys(health.tenants), ['campus', 'festival']);
+        assert.equal((await api('/t/festival/readyz')).body.status, 'ok');
+
+        const metrics = (await api('/metrics')).body;
+        assert.equal(metrics.match(/^# TYPE dlf_items gauge$/gm).length, 1);
+        assert.match(metrics, /^dlf_items\{tenant="campus",type="lost",status="matched"\} 1$/m);
+        assert.match(metrics, /^dlf_items\{tenant="festival",type="lost",status="unmatched"\} 1$/m);
+    });
+});
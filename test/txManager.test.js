@@ -0,0 +1,93 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { openDatabase } = require('../src/db');
+const { createTxManager } = require('../src/txManager');
+
+const ENGINE = ethers.Wallet.createRandom();
+const CONTRACT_ADDRESS = '0x00000000000000000000000000000000000000c0';
+
+/**
+ * A node that accepts every transaction and never mines any of them, as when
+ * a transaction is dropped from the mempool. Records what was broadcast.
+ */
+function createStuckNode() {
+    const broadcast = [];
+    const provider = {
+        getFeeData: async () => ({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n, gasPrice: null }),
+        estimateGas: async () => 50000n,
+        getTransactionReceipt: async () => null,
+        getBalance: async () => ethers.parseEther('10'),
+        broadcastTransaction: async signed => {
+            broadcast.push(ethers.Transaction.from(signed));
+        }
+    };
+    const signer = {
+        address: ENGINE.address,
+        provider,
+        getNonce: async () => 0,
+        populateTransaction: async request => ({ ...request, type: 2, chainId: 31337n }),
+        signTransaction: request => ENGINE.signTransaction(request)
+    };
+    const recordMatch = Object.assign(async () => {}, {
+        staticCall: async () => {},
+        estimateGas: async () => 100000n,
+        populateTransaction: async (lostId, foundId) => ({
+            to: CONTRACT_ADDRESS,
+            data: ethers.concat(['0x12345678', ethers.toBeHex(lostId, 32), ethers.toBeHex(foundId, 32)])
+        })
+    });
+    const contract = { runner: signer, matchedItem: async () => 0n, recordMatch };
+    return { signer, contract, broadcast };
+}
+
+describe('transaction manager', () => {
+    let db;
+
+    before(async () => {
+        db = await openDatabase(':memory:');
+    });
+
+    it('gives up on a transaction still stuck after its last replacement and fills its nonce', async () => {
+        const node = createStuckNode();
+        const changes = [];
+        const txManager = createTxManager({
+            db,
+            getSigner: () => node.signer,
+            onChange: (type, record) => changes.push([type, record.status]),
+            options: { stuckTimeoutMs: 1000, maxReplacements: 2, lowBalanceWei: 0n }
+        });
+
+        const sent = await txManager.submit(node.contract, { lostId: 1, foundId: 2 });
+        assert.equal(sent.status, 'pending');
+        assert.equal(sent.nonce, 0);
+
+        // Each check past the timeout replaces it, until the replacements run out.
+        let now = Date.now();
+        for (let i = 1; i <= 2; i++) {
+            now += 60 * 1000;
+            await txManager.checkPending(now);
+            assert.equal(txManager.getTransaction(sent.id).replacements, i);
+        }
+        now += 60 * 1000;
+        await txManager.checkPending(now);
+
+        const record = txManager.getTransaction(sent.id);
+        assert.equal(record.status, 'failed');
+        assert.match(record.error, /nonce 0 was filled/);
+
+        // The last broadcast is a 0-value transfer to the engine wallet at the same nonce, outbidding the replacement.
+        const [original, ...rest] = node.broadcast;
+        const filler = rest[rest.length - 1];
+        assert.equal(node.broadcast.length, 4);
+        assert.equal(filler.nonce, original.nonce);
+        assert.equal(filler.to, ENGINE.address);
+        assert.equal(filler.value, 0n);
+        assert.equal(filler.data, '0x');
+        assert.ok(filler.maxFeePerGas > rest[rest.length - 2].maxFeePerGas);
+        assert.deepEqual(changes.map(([type]) => type), ['submitted', 'replaced', 'replaced', 'failed']);
+
+        // Nothing is left pending to hold up later transactions.
+        assert.equal(txManager.listTransactions({ status: 'pending' }).transactions.length, 0);
+    });
+});
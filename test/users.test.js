@@ -0,0 +1,41 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/db');
+const { createUserStore, hasRole, NO_ROLE } = require('../src/auth/users');
+
+const ALICE = { googleId: 'g-alice', email: 'Alice@example.org', name: 'Alice', emailVerified: true };
+const BOB = { googleId: 'g-bob', email: 'bob@example.org', name: 'Bob', emailVerified: true };
+
+describe('staff accounts', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await openDatabase(':memory:');
+    });
+
+    it('gives a new Google account no role until an admin grants one', () => {
+        const users = createUserStore({ db });
+        const user = users.recordGoogleLogin(BOB);
+        assert.equal(user.role, NO_ROLE);
+        assert.equal(hasRole(user, 'viewer'), false);
+
+        assert.equal(users.setRole(user.id, 'viewer').role, 'viewer');
+        assert.equal(users.recordGoogleLogin(BOB).role, 'viewer');
+    });
+
+    it('demotes an account that was admin only through the allowlist once its email leaves it', () => {
+        const before = createUserStore({ db, adminEmails: ['alice@example.org', 'bob@example.org'] });
+        const alice = before.recordGoogleLogin(ALICE);
+        assert.equal(alice.role, 'admin');
+        // Bob was made admin through the API before being allowlisted, so keeps the role.
+        const bob = before.recordGoogleLogin({ ...BOB, emailVerified: false });
+        before.setRole(bob.id, 'admin');
+        before.recordGoogleLogin(BOB);
+
+        // On restart without them on the list, even before they sign in again.
+        const after = createUserStore({ db, adminEmails: [] });
+        assert.equal(after.getUser(alice.id).role, NO_ROLE);
+        assert.equal(after.getUser(bob.id).role, 'admin');
+        assert.equal(after.recordGoogleLogin(ALICE).role, NO_ROLE);
+    });
+});
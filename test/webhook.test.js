@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkWebhookTarget, isPublicAddress } = require('../src/notifications/webhook');
+
+// A resolver that answers every name with `addresses`.
+function resolvingTo(...addresses) {
+    return (hostname, options, callback) => callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+}
+
+describe('webhook targets', () => {
+    it('accepts public addresses', () => {
+        assert.equal(isPublicAddress('93.184.215.14'), true);
+        assert.equal(isPublicAddress('2606:2800:21f:cb07:6820:80da:af6b:8b2c'), true);
+    });
+
+    it('refuses NAT64 addresses, which reach IPv4 loopback through the gateway', () => {
+        assert.equal(isPublicAddress('64:ff9b::7f00:1'), false);
+        assert.equal(isPublicAddress('64:ff9b::127.0.0.1'), false);
+        assert.equal(isPublicAddress('64:ff9b:1::a00:1'), false);
+    });
+
+    it('refuses the benchmarking range', () => {
+        assert.equal(isPublicAddress('198.18.0.1'), false);
+        assert.equal(isPublicAddress('198.19.255.254'), false);
+    });
+
+    it('refuses IETF protocol assignments', () => {
+        assert.equal(isPublicAddress('192.0.0.170'), false);
+    });
+
+    it('refuses IPv4-mapped addresses', () => {
+        assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+        assert.equal(isPublicAddress('::ffff:a9fe:a9fe'), false);
+    });
+
+    it('refuses IPv4-compatible addresses', () => {
+        assert.equal(isPublicAddress('::127.0.0.1'), false);
+        assert.equal(isPublicAddress('::a00:1'), false);
+    });
+
+    it('refuses a URL naming or resolving to one of them', async () => {
+        await assert.rejects(checkWebhookTarget('https://[64:ff9b::7f00:1]/hook'), { statusCode: 400 });
+        await assert.rejects(
+            checkWebhookTarget('https://hooks.example.org/', { lookup: resolvingTo('93.184.215.14', '64:ff9b::a9fe:a9fe') }),
+            { statusCode: 400 }
+        );
+        const url = await checkWebhookTarget('https://hooks.example.org/', { lookup: resolvingTo('93.184.215.14') });
+        assert.equal(url.hostname, 'hooks.example.org');
+    });
+});